@@ -0,0 +1,143 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+import { createRedactor, secretValuesFromEnv, REDACTED } from './redact.js';
+
+// Append-only audit log (AUDIT_FILE, one JSON object per line) of every MCP tool call, HTTP
+// action and finished run. Entries are never rewritten or pruned. Fields:
+//   id, at, via ('mcp' | 'http' | 'job'), action (tool name, 'POST /api/run', 'job.result'),
+//   caller (token name or null), role, ip (http), project, args (sanitized), outcome
+//   ('ok' | 'error' | 'denied' | 'limited'), error, durationMs, jobId, commits ([sha]), refs ({ ref, before, after })
+
+const MAX_STRING_CHARS = 2000;
+// Keys whose values are masked whatever they look like. A bare 'token' is not one of them: in
+// this server's tools (usage_report) it is an API token's name, and secret
+// values under any key are still caught by the redactor. 'accessToken', 'auth_token' and the
+// like are masked.
+const SECRET_KEY_RE = /secret|password|passwd|api[_-]?key|credential|private[_-]?key|[a-z0-9][_-]?token/i;
+export const AUDIT_OUTCOMES = ['ok', 'error', 'denied', 'limited'];
+
+let auditFile = null;
+let redact = (text) => ({ text });
+
+export function initAudit({ file }) {
+  auditFile = file;
+  // The same secrets job logs are redacted for; call after configureJobs so that
+  // REDACT_ENV_KEYS and REDACT_PATTERNS apply here too
+  redact = createRedactor(secretValuesFromEnv(process.env));
+  try {
+    fs.mkdirSync(path.dirname(auditFile), { recursive: true });
+  } catch (e) {
+    console.warn(`[audit] cannot create ${path.dirname(auditFile)}: ${e?.message || e}`);
+  }
+}
+
+// Arguments as recorded: secret-looking keys and values masked, env reduced to names, long text cut
+export function sanitizeArgs(value, key = '') {
+  if (key && SECRET_KEY_RE.test(key)) return REDACTED;
+  if (key === 'env' && value && typeof value === 'object') return Object.fromEntries(Object.keys(value).map(k => [k, REDACTED]));
+  if (typeof value === 'string') {
+    const text = redact(value).text;
+    return text.length > MAX_STRING_CHARS ? text.slice(0, MAX_STRING_CHARS) + '…' : text;
+  }
+  if (Array.isArray(value)) return value.map(v => sanitizeArgs(v));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, sanitizeArgs(v, k)]));
+  }
+  return value;
+}
+
+export function recordAudit(entry) {
+  if (!auditFile) return;
+  const line = {
+    id: crypto.randomBytes(8).toString('hex'),
+    at: new Date().toISOString(),
+    caller: null,
+    outcome: 'ok',
+    ...entry,
+    ...(entry.args !== undefined ? { args: sanitizeArgs(entry.args) } : {})
+  };
+  try {
+    fs.appendFileSync(auditFile, JSON.stringify(line) + '\n', { encoding: 'utf8', mode: 0o600 });
+  } catch (e) {
+    console.warn(`[audit] failed to append to ${auditFile}: ${e?.message || e}`);
+  }
+}
+
+function matches(e, f) {
+  if (f.caller && e.caller !== f.caller) return false;
+  if (f.action && e.action !== f.action) return false;
+  if (f.project && e.project !== f.project) return false;
+  if (f.outcome && e.outcome !== f.outcome) return false;
+  if (f.jobId && e.jobId !== f.jobId && e.args?.jobId !== f.jobId) return false;
+  if (f.since && e.at < f.since) return false;
+  if (f.until && e.at > f.until) return false;
+  if (f.commit) {
+    const shas = [...(e.commits || []), e.refs?.before, e.refs?.after].filter(Boolean);
+    if (!shas.some(sha => sha.startsWith(f.commit))) return false;
+  }
+  return true;
+}
+
+function normalizeFilters(filters = {}) {
+  const out = { ...filters };
+  for (const k of ['since', 'until']) {
+    if (out[k]) {
+      const t = Date.parse(out[k]);
+      if (Number.isNaN(t)) throw new Error(`${k} must be an ISO date`);
+      out[k] = new Date(t).toISOString();
+    }
+  }
+  return out;
+}
+
+// Matching entries in log order (oldest first)
+export async function* readAudit(filters = {}) {
+  const f = normalizeFilters(filters);
+  if (!auditFile || !fs.existsSync(auditFile)) return;
+  const lines = readline.createInterface({ input: fs.createReadStream(auditFile, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try { entry = JSON.parse(line); } catch (_) { continue; }
+    if (matches(entry, f)) yield entry;
+  }
+}
+
+// Newest-first page of matching entries
+export async function queryAudit({ limit = 100, ...filters } = {}) {
+  const kept = [];
+  let total = 0;
+  for await (const entry of readAudit(filters)) {
+    total++;
+    kept.push(entry);
+    if (kept.length > limit) kept.shift();
+  }
+  return { total, entries: kept.reverse() };
+}
+
+// Express middleware recording an HTTP action once its response is sent, including requests
+// rejected by auth further down. Handlers can add fields through res.locals.audit (e.g. jobId).
+export function auditHttp(action, { args } = {}) {
+  return (req, res, next) => {
+    const started = Date.now();
+    res.on('finish', () => {
+      const status = res.statusCode;
+      recordAudit({
+        via: 'http',
+        action,
+        caller: req.auth?.clientId ?? null,
+        role: req.auth?.extra?.role ?? null,
+        ip: req.ip,
+        project: req.body?.project ?? null,
+        ...(args ? { args: args(req) } : {}),
+        outcome: status === 401 || status === 403 ? 'denied' : status === 429 ? 'limited' : status >= 400 ? 'error' : 'ok',
+        status,
+        durationMs: Date.now() - started,
+        ...res.locals.audit
+      });
+    });
+    next();
+  };
+}
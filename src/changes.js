@@ -0,0 +1,144 @@
+import { git, tryGit, execFileAsync } from './git.js';
+
+// Change summary for a finished run: what a branch changed relative to the commit it was based
+// on, and comparisons between any two commits (compare_branches, GET /api/compare)
+
+const MAX_COMMITS = 200;
+const MAX_FILES = 500;
+const FIELD_SEP = '\x1f';
+const DEFAULT_DIFF_BYTES = 200 * 1024;
+const MAX_DIFF_BYTES = 2 * 1024 * 1024;
+const MAX_DIFF_FILES_PER_PAGE = 100;
+
+export async function listCommits(cwd, base, head, max = MAX_COMMITS) {
+  const out = await git(cwd, ['log', `--max-count=${max}`, `--format=%H${FIELD_SEP}%an${FIELD_SEP}%aI${FIELD_SEP}%s`, `${base}..${head}`]);
+  return out.split('\n').filter(Boolean).map(line => {
+    const [sha, author, date, subject] = line.split(FIELD_SEP);
+    return { sha, author, date, subject };
+  });
+}
+
+// Per-file status and line counts between two commits (renames reported as delete + add). -z
+// keeps paths verbatim: without it git quotes and escapes any path with non-ASCII characters.
+export async function diffFiles(cwd, base, head, extraArgs = [], pathspecs = []) {
+  const tail = pathspecs.length ? ['--', ...pathspecs] : [];
+  const [numstat, nameStatus] = await Promise.all([
+    git(cwd, ['diff', '-z', '--numstat', '--no-renames', ...extraArgs, base, head, ...tail]),
+    git(cwd, ['diff', '-z', '--name-status', '--no-renames', ...extraArgs, base, head, ...tail])
+  ]);
+  // '<status>\0<path>\0' per file
+  const statusByPath = new Map();
+  const fields = nameStatus.split('\0');
+  for (let i = 0; i + 1 < fields.length; i += 2) statusByPath.set(fields[i + 1], fields[i]);
+  // '<additions>\t<deletions>\t<path>\0' per file
+  return numstat.split('\0').filter(Boolean).map(record => {
+    const [add, del, ...rest] = record.split('\t');
+    const file = rest.join('\t');
+    const binary = add === '-' && del === '-';
+    return {
+      path: file,
+      status: statusByPath.get(file) || 'M',
+      additions: binary ? 0 : parseInt(add, 10),
+      deletions: binary ? 0 : parseInt(del, 10),
+      binary
+    };
+  });
+}
+
+export async function summarizeChanges(cwd, { baseBranch, baseCommit, branch }) {
+  const base = baseCommit || (baseBranch && await tryGit(cwd, ['rev-parse', '--verify', '--quiet', `refs/heads/${baseBranch}`]));
+  const head = branch && await tryGit(cwd, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+  const summary = {
+    baseBranch: baseBranch || null,
+    baseCommit: base || null,
+    branch: branch || null,
+    headCommit: head || null,
+    commits: [],
+    files: [],
+    totals: { commits: 0, files: 0, additions: 0, deletions: 0 },
+    truncated: false
+  };
+  if (!base || !head) return summary;
+
+  const commits = await listCommits(cwd, base, head, MAX_COMMITS + 1);
+  const files = await diffFiles(cwd, base, head);
+  summary.commits = commits.slice(0, MAX_COMMITS);
+  summary.files = files.slice(0, MAX_FILES);
+  summary.truncated = commits.length > MAX_COMMITS || files.length > MAX_FILES;
+  summary.totals = {
+    commits: commits.length > MAX_COMMITS
+      ? parseInt(await git(cwd, ['rev-list', '--count', `${base}..${head}`]), 10)
+      : commits.length,
+    files: files.length,
+    additions: files.reduce((n, f) => n + f.additions, 0),
+    deletions: files.reduce((n, f) => n + f.deletions, 0)
+  };
+  return summary;
+}
+
+// What head changed since it diverged from base (both commits), like a pull request: the commits
+// on head only, a per-file stat and the unified diff from their merge base. paths limits it to
+// files or directories (relative, already checked by the caller). The diff is paged by file:
+// a page holds whole files up to maxBytes (a single larger file is cut), and nextCursor, when
+// set, is the cursor for the rest.
+export async function compareRefs(cwd, { base, head, paths = [], ignoreWhitespace = false, contextLines = 3, includeDiff = true, cursor = 0, maxBytes = DEFAULT_DIFF_BYTES }) {
+  const mergeBase = await tryGit(cwd, ['merge-base', base, head]);
+  if (!mergeBase) throw new Error('the two refs have no common history');
+  const pathspecs = paths.map(p => `:(literal)${p}`);
+  const extraArgs = ignoreWhitespace ? ['--ignore-all-space'] : [];
+
+  const [commits, ahead, behind, files] = await Promise.all([
+    listCommits(cwd, base, head, MAX_COMMITS + 1),
+    git(cwd, ['rev-list', '--count', `${base}..${head}`]),
+    git(cwd, ['rev-list', '--count', `${head}..${base}`]),
+    diffFiles(cwd, mergeBase, head, extraArgs, pathspecs)
+  ]);
+  const result = {
+    baseCommit: base,
+    headCommit: head,
+    mergeBase,
+    ahead: parseInt(ahead, 10),
+    behind: parseInt(behind, 10),
+    commits: commits.slice(0, MAX_COMMITS),
+    files: files.slice(0, MAX_FILES),
+    totals: {
+      files: files.length,
+      additions: files.reduce((n, f) => n + f.additions, 0),
+      deletions: files.reduce((n, f) => n + f.deletions, 0)
+    },
+    truncated: commits.length > MAX_COMMITS || files.length > MAX_FILES
+  };
+  if (!includeDiff) return result;
+
+  const cap = Math.min(Math.max(1024, maxBytes), MAX_DIFF_BYTES);
+  const start = Math.max(0, Math.min(cursor, files.length));
+  const diffArgs = ['diff', '--no-color', '--no-ext-diff', '--no-renames', `--unified=${contextLines}`, ...extraArgs, mergeBase, head];
+  const patches = [];
+  let bytes = 0;
+  let next = start;
+  let cut = false;
+  while (next < files.length && next - start < MAX_DIFF_FILES_PER_PAGE) {
+    // Raw output: the trailing newline of the patch matters
+    const { error, stdout, stderr } = await execFileAsync('git', [...diffArgs, '--', `:(literal)${files[next].path}`], { cwd });
+    if (error) throw new Error(`git diff failed: ${(stderr || error.message).trim()}`);
+    const size = Buffer.byteLength(stdout);
+    if (bytes + size > cap) {
+      if (patches.length) break;
+      patches.push(Buffer.from(stdout).subarray(0, cap).toString('utf8').replace(/\uFFFD$/, ''));
+      cut = true;
+      next++;
+      break;
+    }
+    patches.push(stdout);
+    bytes += size;
+    next++;
+  }
+  result.diff = {
+    cursor: start,
+    nextCursor: next < files.length ? next : null,
+    files: files.slice(start, next).map(f => f.path),
+    patch: patches.join(''),
+    ...(cut ? { cut: true } : {})
+  };
+  return result;
+}
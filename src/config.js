@@ -2,6 +2,8 @@ import dotenv from 'dotenv';
 import path from 'node:path';
 import fs from 'node:fs';
 import os from 'node:os';
+import moment from 'moment-timezone';
+import { isSubPath } from './publish.js';
 
 dotenv.config();
 
@@ -36,19 +38,114 @@ const projectsBaseDir = process.env.GOOSE_PROJECTS_DIR
 // 2. projectsBaseDir/<PROJECT_NAME> (managed project under base dir)
 const defaultScopeDir = path.join(projectsBaseDir, slugify(projectName));
 
+// Job history (records + per-job logs) lives outside the scope dir so goose never sees it
+const defaultJobsDir = path.join(os.homedir(), '.cache', 'mcp-goose', 'jobs');
+// Webhooks added at runtime through the goose_webhooks tool
+const defaultWebhooksFile = path.join(os.homedir(), '.cache', 'mcp-goose', 'webhooks.json');
+// Recurring runs created with the schedule_* tools
+const defaultSchedulesFile = path.join(os.homedir(), '.cache', 'mcp-goose', 'schedules.json');
+// Pipelines started with goose_pipeline_run and their step outcomes
+const defaultPipelinesFile = path.join(os.homedir(), '.cache', 'mcp-goose', 'pipelines.json');
+// Named API tokens (hashed) created with the token_* tools
+const defaultTokensFile = path.join(os.homedir(), '.cache', 'mcp-goose', 'tokens.json');
+// Append-only log of tool calls, HTTP actions and run results
+const defaultAuditFile = path.join(os.homedir(), '.cache', 'mcp-goose', 'audit.jsonl');
+// Each goose run gets its own git worktree here, isolated from the shared scope dir checkout
+const defaultWorktreesDir = path.join(os.homedir(), '.cache', 'mcp-goose', 'worktrees');
+
+// REDACT_PATTERNS is a JSON array of regex sources, e.g. ["internal-[0-9a-f]{32}"]
+function parseRedactPatterns(raw) {
+  if (!raw) return [];
+  try {
+    const list = JSON.parse(raw);
+    return Array.isArray(list) ? list.map(String) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// TRUST_PROXY is Express's 'trust proxy' setting: unset or false for none, true for any, a hop
+// count, or comma-separated proxy addresses/subnets (e.g. 'loopback, 10.0.0.0/8')
+function parseTrustProxy(raw) {
+  const value = String(raw || '').trim();
+  if (!value || /^false$/i.test(value)) return false;
+  if (/^true$/i.test(value)) return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
 export const config = {
   port: parseInt(process.env.PORT || '3003', 10),
+  // Admin token from the environment; named tokens with roles live in TOKENS_FILE
   authToken: process.env.AUTH_TOKEN || '',
+  tokensFile: process.env.TOKENS_FILE ? path.resolve(process.env.TOKENS_FILE) : defaultTokensFile,
+  // Usage limits per API token and per client IP (0 disables): runs per hour, queued/running jobs, job minutes per UTC day
+  runLimits: {
+    token: {
+      runsPerHour: parseInt(process.env.RUN_LIMIT_PER_HOUR || '30', 10),
+      activeJobs: parseInt(process.env.RUN_LIMIT_ACTIVE_JOBS || '5', 10),
+      dailyMinutes: parseFloat(process.env.RUN_BUDGET_MINUTES_PER_DAY || '0')
+    },
+    ip: {
+      runsPerHour: parseInt(process.env.IP_RUN_LIMIT_PER_HOUR || '0', 10),
+      activeJobs: parseInt(process.env.IP_RUN_LIMIT_ACTIVE_JOBS || '0', 10),
+      dailyMinutes: parseFloat(process.env.IP_RUN_BUDGET_MINUTES_PER_DAY || '0')
+    }
+  },
+  // Reverse proxies whose X-Forwarded-For is believed for the client IP (per-IP limits, audit log)
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  auditFile: process.env.AUDIT_FILE ? path.resolve(process.env.AUDIT_FILE) : defaultAuditFile,
+  // Browser sign-in: session cookie lifetime, and whether main sites are public (previews and the run panel never are)
+  webSessionHours: parseFloat(process.env.WEB_SESSION_HOURS || '12'),
+  publicMainSite: /^(1|true|yes)$/i.test(process.env.PUBLIC_MAIN_SITE || ''),
   scopeDir: process.env.GOOSE_SCOPE_DIR ? process.env.GOOSE_SCOPE_DIR : defaultScopeDir,
+  // Further projects are directories under here, created with project_create
+  projectsDir: projectsBaseDir,
   gooseBinary: resolvedGoose,
   maxConcurrency: parseInt(process.env.MAX_CONCURRENCY || '1', 10),
   logMaxBytes: parseInt(process.env.LOG_MAX_BYTES || String(8_000_000), 10),
   echoJobLogs: /^(1|true|yes)$/i.test(process.env.ECHO_JOB_LOGS || 'true'),
+  // Job watchdogs (0 disables): hard runtime cap, no-output idle limit, SIGTERM→SIGKILL grace
+  jobMaxRuntimeMinutes: parseFloat(process.env.JOB_MAX_RUNTIME_MINUTES || '60'),
+  jobIdleTimeoutMinutes: parseFloat(process.env.JOB_IDLE_TIMEOUT_MINUTES || '15'),
+  jobKillGraceSeconds: parseFloat(process.env.JOB_KILL_GRACE_SECONDS || '10'),
+  // Finished jobs older than this many days, or beyond the newest N, are pruned (0 disables)
+  jobRetentionDays: parseFloat(process.env.JOB_RETENTION_DAYS || '30'),
+  jobRetentionMax: parseInt(process.env.JOB_RETENTION_MAX || '500', 10),
+  // Extra secret patterns and env var names whose values are masked in job output (see redact.js)
+  redactPatterns: parseRedactPatterns(process.env.REDACT_PATTERNS),
+  redactEnvKeys: (process.env.REDACT_ENV_KEYS || '').split(',').map(s => s.trim()).filter(Boolean),
+  // Env var name patterns goose inherits, and the names a run may override (empty = defaults in env-policy.js)
+  jobEnvAllow: (process.env.JOB_ENV_ALLOW || '').split(',').map(s => s.trim()).filter(Boolean),
+  jobEnvOverridable: (process.env.JOB_ENV_OVERRIDABLE || '').split(',').map(s => s.trim()).filter(Boolean),
+  // Per-run model choice: provider:model patterns a run may pick (empty = runs cannot pick one), highest
+  // per-run max turns (default GOOSE_MAX_TURNS, 0 = no cap)
+  runModelAllow: (process.env.RUN_MODEL_ALLOW || '').split(',').map(s => s.trim()).filter(Boolean),
+  runMaxTurnsLimit: process.env.RUN_MAX_TURNS_LIMIT
+    ? parseInt(process.env.RUN_MAX_TURNS_LIMIT, 10)
+    : parseInt(process.env.GOOSE_MAX_TURNS || '', 10) || 0,
+  // Outbound job webhooks: URLs from config (all events) plus the shared HMAC signing secret
+  webhookUrls: (process.env.WEBHOOK_URLS || '').split(',').map(s => s.trim()).filter(Boolean),
+  webhookSecret: process.env.WEBHOOK_SECRET || '',
+  webhooksFile: process.env.WEBHOOKS_FILE ? path.resolve(process.env.WEBHOOKS_FILE) : defaultWebhooksFile,
+  // Scheduled runs: store file, catch-up policy for runs missed while down, default timezone
+  schedulesFile: process.env.SCHEDULES_FILE ? path.resolve(process.env.SCHEDULES_FILE) : defaultSchedulesFile,
+  scheduleCatchUp: process.env.SCHEDULE_CATCH_UP || 'once',
+  scheduleTimezone: process.env.SCHEDULE_TIMEZONE || '',
+  // MCP sessions: idle minutes before a session is closed (0 disables), SSE events kept per session for resumption
+  mcpSessionIdleMinutes: parseFloat(process.env.MCP_SESSION_IDLE_MINUTES || '30'),
+  mcpEventHistory: parseInt(process.env.MCP_EVENT_HISTORY || '500', 10),
+  // Longest a job-starting call with a progressToken is held open streaming progress (0 = never held)
+  mcpProgressHoldSeconds: parseFloat(process.env.MCP_PROGRESS_HOLD_SECONDS || '60'),
+  // Recipe library: every .yaml file here is a prompt and a goose_run_recipe template (headless-run backs goose_run)
+  recipesDir: process.env.RECIPES_DIR ? path.resolve(process.env.RECIPES_DIR) : path.resolve(process.cwd(), 'recipes'),
+  pipelinesFile: process.env.PIPELINES_FILE ? path.resolve(process.env.PIPELINES_FILE) : defaultPipelinesFile,
+  jobsDir: process.env.JOBS_DIR ? path.resolve(process.env.JOBS_DIR) : defaultJobsDir,
+  worktreesDir: process.env.WORKTREES_DIR ? path.resolve(process.env.WORKTREES_DIR) : defaultWorktreesDir,
 };
 
 export function validateConfig() {
   const errors = [];
-  if (!config.authToken) errors.push('AUTH_TOKEN is required');
   if (!config.scopeDir) errors.push('scopeDir resolved empty');
   if (!path.isAbsolute(config.scopeDir)) errors.push('scopeDir must be an absolute path');
   // Enforce a project name when scopeDir is not explicitly provided by the user
@@ -57,5 +154,48 @@ export function validateConfig() {
   }
   if (config.maxConcurrency < 1) errors.push('MAX_CONCURRENCY must be >= 1');
   if (config.logMaxBytes < 1024) errors.push('LOG_MAX_BYTES must be >= 1024');
+  if (!(config.jobMaxRuntimeMinutes >= 0)) errors.push('JOB_MAX_RUNTIME_MINUTES must be >= 0');
+  if (!(config.jobIdleTimeoutMinutes >= 0)) errors.push('JOB_IDLE_TIMEOUT_MINUTES must be >= 0');
+  if (!(config.jobKillGraceSeconds >= 0)) errors.push('JOB_KILL_GRACE_SECONDS must be >= 0');
+  if (!(config.jobRetentionDays >= 0)) errors.push('JOB_RETENTION_DAYS must be >= 0');
+  if (!(config.jobRetentionMax >= 0)) errors.push('JOB_RETENTION_MAX must be >= 0');
+  for (const [prefix, l] of [['', config.runLimits.token], ['IP_', config.runLimits.ip]]) {
+    if (!(l.runsPerHour >= 0)) errors.push(`${prefix}RUN_LIMIT_PER_HOUR must be >= 0`);
+    if (!(l.activeJobs >= 0)) errors.push(`${prefix}RUN_LIMIT_ACTIVE_JOBS must be >= 0`);
+    if (!(l.dailyMinutes >= 0)) errors.push(`${prefix}RUN_BUDGET_MINUTES_PER_DAY must be >= 0`);
+  }
+  if (!(config.runMaxTurnsLimit >= 0)) errors.push('RUN_MAX_TURNS_LIMIT must be >= 0');
+  if (!(config.webSessionHours > 0)) errors.push('WEB_SESSION_HOURS must be > 0');
+  if (!(config.mcpSessionIdleMinutes >= 0)) errors.push('MCP_SESSION_IDLE_MINUTES must be >= 0');
+  if (!(config.mcpEventHistory >= 0)) errors.push('MCP_EVENT_HISTORY must be >= 0');
+  if (!(config.mcpProgressHoldSeconds >= 0)) errors.push('MCP_PROGRESS_HOLD_SECONDS must be >= 0');
+  if (!config.redactPatterns) {
+    errors.push('REDACT_PATTERNS must be a JSON array of regular expressions');
+  } else {
+    for (const src of config.redactPatterns) {
+      try { new RegExp(src, 'g'); } catch (e) { errors.push(`REDACT_PATTERNS: invalid regex ${src}: ${e.message}`); }
+    }
+  }
+  for (const url of config.webhookUrls) {
+    if (!/^https?:\/\/[^\s]+$/i.test(url)) errors.push(`WEBHOOK_URLS: not an http(s) URL: ${url}`);
+  }
+  if (!['skip', 'once', 'all'].includes(config.scheduleCatchUp)) {
+    errors.push('SCHEDULE_CATCH_UP must be one of skip, once, all');
+  }
+  if (config.scheduleTimezone && !moment.tz.zone(config.scheduleTimezone)) {
+    errors.push(`SCHEDULE_TIMEZONE: unknown timezone ${config.scheduleTimezone}`);
+  }
+  if (config.jobsDir && isSubPath(config.projectsDir, config.jobsDir)) {
+    errors.push('JOBS_DIR must not be inside GOOSE_PROJECTS_DIR');
+  }
+  if (config.worktreesDir && isSubPath(config.projectsDir, config.worktreesDir)) {
+    errors.push('WORKTREES_DIR must not be inside GOOSE_PROJECTS_DIR');
+  }
+  if (config.jobsDir && isSubPath(config.scopeDir, config.jobsDir)) {
+    errors.push('JOBS_DIR must not be inside the scope directory');
+  }
+  if (config.worktreesDir && isSubPath(config.scopeDir, config.worktreesDir)) {
+    errors.push('WORKTREES_DIR must not be inside the scope directory');
+  }
   return errors;
 }
@@ -0,0 +1,116 @@
+import moment from 'moment-timezone';
+
+// Minimal 5-field cron ("minute hour day-of-month month day-of-week") evaluated in an
+// IANA timezone with moment-timezone. Supports *, lists, ranges, steps, month/day names
+// and the @hourly/@daily/@weekly/@monthly/@yearly shortcuts. As in classic cron, when both
+// day-of-month and day-of-week are restricted a day matching either one fires; a field that
+// starts with '*' (so '*/2' too) does not count as restricted.
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Upper bound on search steps; a valid expression always matches within a few hundred
+const MAX_STEPS = 5000;
+
+function parseValue(raw, field) {
+  const upper = raw.toUpperCase();
+  if (field.names) {
+    const idx = field.names.indexOf(upper);
+    if (idx !== -1) return idx + field.offset;
+  }
+  if (!/^\d+$/.test(raw)) throw new Error(`invalid ${field.name} value '${raw}'`);
+  const n = parseInt(raw, 10);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} value ${n} out of range ${field.min}-${field.max}`);
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step >= 1) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`invalid ${field.name} step '${part}'`);
+    }
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field);
+      hi = parseValue(b, field);
+      if (lo > hi) throw new Error(`invalid ${field.name} range '${range}'`);
+    } else {
+      lo = parseValue(range, field);
+      hi = stepText === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Parse an expression; throws with a readable message when it is invalid
+export function parseCron(expression) {
+  const expr = String(expression || '').trim();
+  const source = ALIASES[expr.toLowerCase()] || expr;
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron expression must have 5 fields (minute hour day-of-month month day-of-week): '${expr}'`);
+  const [minutes, hours, dom, months, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0); // 7 is Sunday too
+  return {
+    expression: expr,
+    minutes, hours, dom, months, dow,
+    domRestricted: !parts[2].startsWith('*'),
+    dowRestricted: !parts[4].startsWith('*')
+  };
+}
+
+export function isValidTimezone(tz) {
+  return !!moment.tz.zone(tz);
+}
+
+function dayMatches(cron, m) {
+  const domOk = cron.dom.has(m.date());
+  const dowOk = cron.dow.has(m.day());
+  if (cron.domRestricted && cron.dowRestricted) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+// First time strictly after `after` (Date or ISO string) that matches, as a Date
+export function nextCronTime(cron, timezone, after = new Date()) {
+  const m = moment.tz(after, timezone).startOf('minute').add(1, 'minute');
+  for (let i = 0; i < MAX_STEPS; i++) {
+    if (!cron.months.has(m.month() + 1)) {
+      m.add(1, 'month').startOf('month');
+    } else if (!dayMatches(cron, m)) {
+      m.add(1, 'day').startOf('day');
+    } else if (!cron.hours.has(m.hour())) {
+      m.add(1, 'hour').startOf('hour');
+    } else if (!cron.minutes.has(m.minute())) {
+      m.add(1, 'minute');
+    } else {
+      return m.toDate();
+    }
+  }
+  throw new Error(`cron expression '${cron.expression}' never matches`);
+}
@@ -0,0 +1,79 @@
+// Environment policy for goose children. Instead of inheriting the whole server
+// environment (AUTH_TOKEN, PORT, container secrets, ...), goose gets a small set of
+// process basics plus the variables matching an allowlist of name patterns, and a run
+// may override only the variables on a separate vetted list.
+
+// Always passed through: goose and the tools it runs need these to work at all
+const BASE_KEYS = ['PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LANGUAGE', 'TERM', 'TZ', 'TMPDIR', 'LC_*', 'XDG_*'];
+
+// Never passed through, whatever the allowlist says
+const DENIED_KEYS = new Set(['AUTH_TOKEN']);
+
+export const DEFAULT_ALLOW = [
+  'GOOSE_*',
+  'OPENAI_*', 'ANTHROPIC_*', 'GOOGLE_*', 'GEMINI_*', 'AZURE_OPENAI_*', 'OPENROUTER_*',
+  'GROQ_*', 'MISTRAL_*', 'XAI_*', 'DATABRICKS_*', 'OLLAMA_*', 'LITELLM_*'
+];
+
+export const DEFAULT_OVERRIDABLE = [
+  'GOOSE_PROVIDER', 'GOOSE_MODEL', 'GOOSE_MAX_TURNS', 'GOOSE_CONTEXT_STRATEGY',
+  'GOOSE_CLI_MIN_PRIORITY', 'GOOSE_TEMPERATURE', 'GOOSE_MODE'
+];
+
+const MAX_OVERRIDE_LENGTH = 1024;
+
+let allowPatterns = DEFAULT_ALLOW;
+let overridable = DEFAULT_OVERRIDABLE;
+
+function globToRegExp(pattern) {
+  const src = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${src}$`);
+}
+
+// Predicate for names matching any of the '*' glob patterns
+export function matcher(patterns) {
+  const res = patterns.map(globToRegExp);
+  return (name) => res.some(re => re.test(name));
+}
+
+export function configureEnvPolicy({ allow, overridable: keys } = {}) {
+  if (allow !== undefined) allowPatterns = allow.length ? allow : DEFAULT_ALLOW;
+  if (keys !== undefined) overridable = keys.length ? keys : DEFAULT_OVERRIDABLE;
+}
+
+// Check per-run overrides against the vetted list; throws with the offending key
+export function vetEnvOverrides(overrides = {}) {
+  const canOverride = matcher(overridable);
+  const out = {};
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (DENIED_KEYS.has(key) || !canOverride(key)) {
+      throw new Error(`env override not allowed: ${key} (allowed: ${overridable.join(', ')})`);
+    }
+    if (typeof value !== 'string' || value.length > MAX_OVERRIDE_LENGTH || /[\0\r\n]/.test(value)) {
+      throw new Error(`invalid value for env override ${key}`);
+    }
+    out[key] = value;
+  }
+  return out;
+}
+
+// The environment a goose child is spawned with. overrides must already have been vetted.
+export function buildGooseEnv(overrides = {}, source = process.env) {
+  const isBase = matcher(BASE_KEYS);
+  const isAllowed = matcher(allowPatterns);
+  const env = {};
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined || DENIED_KEYS.has(key)) continue;
+    if (isBase(key) || isAllowed(key)) env[key] = value;
+  }
+  return { ...env, ...overrides };
+}
+
+// Names (never values) of what goose currently receives, for get_config
+export function describeEnvPolicy(source = process.env) {
+  return {
+    allow: allowPatterns,
+    overridable,
+    effectiveKeys: Object.keys(buildGooseEnv({}, source)).sort()
+  };
+}
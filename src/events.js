@@ -0,0 +1,176 @@
+// Best-effort parser that turns goose headless CLI output into structured events.
+//
+// goose prints a session banner, then for every tool call a header such as
+//   ─── text_editor | developer ──────────────────────────
+// followed by `key: value` argument lines, a blank line, and (depending on
+// GOOSE_CLI_MIN_PRIORITY) the tool output. Anything else on stdout is assistant text.
+//
+// Event types:
+//   session_started  { provider, model }
+//   turn_started     { }                      a new model response begins
+//   tool_call        { name, extension, arguments }
+//   tool_result      { name, output }         first output block after a tool call
+//   assistant_message{ text }                 one paragraph of assistant text
+//   error            { message, stream }
+//   summary          { status, exitCode, exitSignal, turns, toolCalls, errors, lastMessage }
+
+const ANSI_RE = /\x1b\[[0-9;?]*[ -/]*[@-~]/g;
+const SESSION_RE = /^starting session \| provider: (\S+) model: (\S+)/;
+const TOOL_HEADER_RE = /^─── (.+?) \| (.+?) ─*$/;
+const ARG_RE = /^([A-Za-z_][\w.-]*):\s?(.*)$/;
+const STDOUT_ERROR_RE = /^(?:error|Error|ERROR)\b[:\s]|panicked at /;
+const STDERR_ERROR_RE = /\b(?:error|ERROR|Error|panicked|fatal)\b/;
+const MAX_TEXT = 4000;
+
+export const EVENT_TYPES = ['session_started', 'turn_started', 'tool_call', 'tool_result', 'assistant_message', 'error', 'summary'];
+
+function clip(text) {
+  return text.length > MAX_TEXT ? text.slice(0, MAX_TEXT) + `… [${text.length - MAX_TEXT} more chars]` : text;
+}
+
+export function createGooseEventParser(onEvent) {
+  const partial = { stdout: '', stderr: '' };
+  let state = 'idle'; // idle | session | text | tool_args | tool_output
+  let inTurn = false;
+  let turns = 0;
+  let toolCalls = 0;
+  let errors = 0;
+  let paragraph = [];
+  let tool = null;
+  let toolOutput = [];
+  let lastArg = null;
+  let lastMessage = null;
+
+  function emit(type, data = {}) {
+    if (type === 'error') errors++;
+    onEvent({ type, turn: turns, ...data });
+  }
+
+  function ensureTurn() {
+    if (inTurn) return;
+    inTurn = true;
+    turns++;
+    emit('turn_started');
+  }
+
+  function flushParagraph() {
+    if (!paragraph.length) return;
+    const text = paragraph.join('\n').trim();
+    paragraph = [];
+    if (!text) return;
+    lastMessage = clip(text);
+    emit('assistant_message', { text: lastMessage });
+  }
+
+  function flushTool() {
+    if (state === 'tool_args' && tool) {
+      emit('tool_call', tool);
+    }
+    if (tool && (state === 'tool_args' || state === 'tool_output')) {
+      const output = toolOutput.join('\n').trim();
+      if (output) emit('tool_result', { name: tool.name, output: clip(output) });
+      // The model gets the tool result back and answers in a new turn
+      inTurn = false;
+    }
+    tool = null;
+    toolOutput = [];
+    lastArg = null;
+  }
+
+  function onStdoutLine(raw) {
+    const line = raw.replace(ANSI_RE, '').replace(/\r$/, '').trimEnd();
+
+    const session = line.match(SESSION_RE);
+    if (session) {
+      flushParagraph();
+      flushTool();
+      state = 'session';
+      emit('session_started', { provider: session[1], model: session[2] });
+      return;
+    }
+
+    const header = line.match(TOOL_HEADER_RE);
+    if (header) {
+      flushParagraph();
+      flushTool();
+      ensureTurn();
+      toolCalls++;
+      tool = { name: header[1].trim(), extension: header[2].trim(), arguments: {} };
+      state = 'tool_args';
+      return;
+    }
+
+    if (state === 'session') {
+      // Indented banner lines (log file, working directory) until the first blank line
+      if (!line.trim()) state = 'idle';
+      return;
+    }
+
+    if (state === 'tool_args') {
+      if (!line.trim()) {
+        emit('tool_call', tool);
+        state = 'tool_output';
+        return;
+      }
+      const arg = line.match(ARG_RE);
+      if (arg) {
+        lastArg = arg[1];
+        tool.arguments[lastArg] = arg[2];
+      } else if (lastArg) {
+        tool.arguments[lastArg] = clip(tool.arguments[lastArg] + '\n' + line);
+      }
+      return;
+    }
+
+    if (state === 'tool_output') {
+      if (!line.trim()) {
+        if (toolOutput.length) {
+          flushTool();
+          state = 'text';
+        }
+        return;
+      }
+      toolOutput.push(line);
+      return;
+    }
+
+    if (STDOUT_ERROR_RE.test(line)) {
+      flushParagraph();
+      emit('error', { message: clip(line.trim()), stream: 'stdout' });
+      return;
+    }
+    if (!line.trim()) {
+      flushParagraph();
+      return;
+    }
+    ensureTurn();
+    state = 'text';
+    paragraph.push(line);
+  }
+
+  function onStderrLine(raw) {
+    const line = raw.replace(ANSI_RE, '').trim();
+    if (line && STDERR_ERROR_RE.test(line)) {
+      emit('error', { message: clip(line), stream: 'stderr' });
+    }
+  }
+
+  return {
+    push(stream, chunk) {
+      const text = partial[stream] + chunk.toString('utf8');
+      const lines = text.split('\n');
+      partial[stream] = lines.pop();
+      const handle = stream === 'stderr' ? onStderrLine : onStdoutLine;
+      for (const line of lines) handle(line);
+    },
+    // Flush what is left and emit the final summary
+    end({ status, exitCode = null, exitSignal = null } = {}) {
+      if (partial.stdout) onStdoutLine(partial.stdout);
+      if (partial.stderr) onStderrLine(partial.stderr);
+      partial.stdout = partial.stderr = '';
+      flushParagraph();
+      flushTool();
+      emit('summary', { status, exitCode, exitSignal, turns, toolCalls, errors, lastMessage });
+    }
+  };
+}
@@ -0,0 +1,44 @@
+import { execFile } from 'node:child_process';
+import path from 'node:path';
+
+export function execFileAsync(cmd, args, opts) {
+  return new Promise((resolve) => {
+    execFile(cmd, args, { maxBuffer: 64 * 1024 * 1024, ...opts, windowsHide: true }, (error, stdout, stderr) => {
+      resolve({ error, stdout: stdout?.toString() || '', stderr: stderr?.toString() || '' });
+    });
+  });
+}
+
+// Run git in cwd and return trimmed stdout; throws with git's stderr on failure
+export async function git(cwd, args) {
+  const { error, stdout, stderr } = await execFileAsync('git', args, { cwd });
+  if (error) {
+    const err = new Error(`git ${args[0]} failed: ${(stderr || error.message || '').trim()}`);
+    err.code = 'GIT_FAILED';
+    throw err;
+  }
+  return stdout.trim();
+}
+
+// Like git(), but resolves null instead of throwing (for probes such as rev-parse --verify)
+export async function tryGit(cwd, args) {
+  const { error, stdout } = await execFileAsync('git', args, { cwd });
+  return error ? null : stdout.trim();
+}
+
+const worktreeLocks = new Map(); // git common dir → tail of its queue of worktree operations
+
+// Run fn (a git worktree add / remove / prune) once no other worktree operation on the same
+// repository is running. They all edit .git/worktrees, and one that starts while another is
+// still creating or deleting its entry can fail.
+export async function withWorktreeLock(cwd, fn) {
+  const key = (await tryGit(cwd, ['rev-parse', '--path-format=absolute', '--git-common-dir'])) || path.resolve(cwd);
+  const run = (worktreeLocks.get(key) || Promise.resolve()).then(() => fn());
+  const tail = run.catch(() => {});
+  worktreeLocks.set(key, tail);
+  try {
+    return await run;
+  } finally {
+    if (worktreeLocks.get(key) === tail) worktreeLocks.delete(key);
+  }
+}
@@ -0,0 +1,197 @@
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { onJobUpdate, getJob, jobStatus, jobResult, listJobs, getOutput, ACTIVE_STATUSES } from './jobs.js';
+
+// Push-style job updates for MCP clients:
+// - progress notifications on the request that started a job (when it sent a progressToken)
+// - job://<id>, job://<id>/log and job://<id>/status resources with resources/subscribe support
+
+const NOTIFY_THROTTLE_MS = 1000;
+const LOG_TAIL_CHARS = 64 * 1024;
+
+let progressHoldMs = 60_000;
+
+export function configureJobNotify({ progressHoldSeconds } = {}) {
+  if (progressHoldSeconds !== undefined) progressHoldMs = Math.max(0, progressHoldSeconds * 1000);
+}
+
+// The run's own turn limit (recorded by queueGooseRun), else the server default
+function maxTurns(jobId) {
+  const own = getJob(jobId)?.maxTurns;
+  if (Number.isInteger(own) && own > 0) return own;
+  const n = parseInt(process.env.GOOSE_MAX_TURNS || '', 10);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+function describeEvent(ev) {
+  switch (ev.type) {
+    case 'turn_started': return `turn ${ev.turn} started`;
+    case 'tool_call': return `turn ${ev.turn}: calling ${ev.name}`;
+    case 'tool_result': return `turn ${ev.turn}: ${ev.name} returned`;
+    case 'assistant_message': return `turn ${ev.turn}: ${ev.text.split('\n')[0].slice(0, 120)}`;
+    case 'error': return `error: ${ev.message.slice(0, 120)}`;
+    default: return ev.type;
+  }
+}
+
+// If the tool call carried a progressToken, hold the request open and send
+// notifications/progress until the job reaches a terminal status, the client aborts or
+// MCP_PROGRESS_HOLD_SECONDS pass, whichever comes first; a longer job is then followed with
+// goose_status or a job:// subscription. progress is the turn count; output within a turn
+// advances it fractionally so the value always increases, as the spec requires.
+// Returns null when no progress was requested (or holding is disabled), else { finished }.
+export async function streamJobProgress(jobId, extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined || !extra?.sendNotification || !progressHoldMs) return null;
+  const total = maxTurns(jobId);
+  let turn = 0;
+  let stepsInTurn = 0;
+  let bytes = 0;
+  let message = 'queued';
+  let lastSent = 0;
+  let pending = null;
+
+  const send = () => {
+    pending = null;
+    lastSent = Date.now();
+    const progress = turn + (1 - 1 / (1 + stepsInTurn));
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, ...(total ? { total } : {}), message: `${message} (${bytes} bytes of output)` }
+    }).catch(() => {});
+  };
+  const schedule = () => {
+    if (pending) return;
+    const wait = Math.max(0, NOTIFY_THROTTLE_MS - (Date.now() - lastSent));
+    pending = setTimeout(send, wait);
+  };
+
+  let finished = false;
+  await new Promise((resolve) => {
+    let off = () => {};
+    let hold = null;
+    const done = () => {
+      off();
+      clearTimeout(hold);
+      if (pending) clearTimeout(pending);
+      resolve();
+    };
+    off = onJobUpdate((u) => {
+      if (u.jobId !== jobId) return;
+      if (u.kind === 'output') {
+        bytes += u.bytes;
+        stepsInTurn++;
+        schedule();
+      } else if (u.kind === 'event') {
+        if (u.event.type === 'turn_started') {
+          turn = u.event.turn;
+          stepsInTurn = 0;
+        } else {
+          stepsInTurn++;
+        }
+        message = describeEvent(u.event);
+        schedule();
+      } else if (u.kind === 'status') {
+        message = u.status;
+        if (!ACTIVE_STATUSES.has(u.status)) {
+          stepsInTurn++;
+          finished = true;
+          send();
+          done();
+        } else {
+          schedule();
+        }
+      }
+    });
+    extra.signal?.addEventListener('abort', done, { once: true });
+    hold = setTimeout(done, progressHoldMs);
+    // Already finished before we started listening
+    const job = getJob(jobId);
+    if (!job || !ACTIVE_STATUSES.has(job.status)) {
+      finished = true;
+      done();
+    }
+  });
+  return { finished };
+}
+
+function jobLogText(jobId) {
+  const job = getJob(jobId);
+  if (!job) return null;
+  const { stdout, stderr } = getOutput(jobId);
+  const tail = (text) => text.length > LOG_TAIL_CHARS ? text.slice(-LOG_TAIL_CHARS) : text;
+  return `# job ${jobId} (${job.status})\n\n## stdout\n${tail(stdout)}\n\n## stderr\n${tail(stderr)}\n`;
+}
+
+// Everything known about a job: what started it, its status and its change summary
+function jobDocument(jobId) {
+  const job = getJob(jobId);
+  if (!job) return null;
+  return {
+    jobId,
+    command: job.command,
+    source: job.source ?? null,
+    requestedBy: job.requestedBy ?? null,
+    project: job.project ?? null,
+    task: job.task ?? null,
+    recipe: job.recipe ?? null,
+    baseBranch: job.baseBranch ?? null,
+    branch: job.branch ?? null,
+    ...jobResult(jobId)
+  };
+}
+
+// Register job resources on an McpServer and notify its subscribers of job updates.
+// Returns a function that stops the notifications, for when the server's session ends.
+export function registerJobResources(server, subscriptions) {
+  const off = onJobUpdate((u) => {
+    const terminal = u.kind === 'status' && !ACTIVE_STATUSES.has(u.status);
+    if (u.kind === 'output' || terminal) subscriptions.notify(`job://${u.jobId}/log`, terminal);
+    if (u.kind === 'status') {
+      subscriptions.notify(`job://${u.jobId}/status`, terminal);
+      subscriptions.notify(`job://${u.jobId}`, terminal);
+    }
+  });
+
+  const listRecent = (suffix, mimeType) => async () => ({
+    resources: listJobs({ limit: 50 }).jobs.map(j => ({
+      uri: `job://${j.jobId}${suffix ? `/${suffix}` : ''}`,
+      name: `job ${j.jobId}${suffix ? ` ${suffix}` : ''} (${j.status})`,
+      mimeType
+    }))
+  });
+
+  server.registerResource(
+    'job',
+    new ResourceTemplate('job://{jobId}', { list: listRecent('', 'application/json') }),
+    { title: 'Job', description: 'A job\'s source, task, branches, status and change summary (as goose_job_result). Subscribable.', mimeType: 'application/json' },
+    async (uri, { jobId }) => {
+      const doc = jobDocument(jobId);
+      if (!doc) throw new Error('job not found');
+      return { contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(doc, null, 2) }] };
+    }
+  );
+
+  server.registerResource(
+    'job-log',
+    new ResourceTemplate('job://{jobId}/log', { list: listRecent('log', 'text/plain') }),
+    { title: 'Job Log', description: 'Tail of a job\'s stdout and stderr. Subscribe to get resources/updated as output arrives and when the job exits.', mimeType: 'text/plain' },
+    async (uri, { jobId }) => {
+      const text = jobLogText(jobId);
+      if (text === null) throw new Error('job not found');
+      return { contents: [{ uri: uri.href, mimeType: 'text/plain', text }] };
+    }
+  );
+
+  server.registerResource(
+    'job-status',
+    new ResourceTemplate('job://{jobId}/status', { list: listRecent('status', 'application/json') }),
+    { title: 'Job Status', description: 'Current status of a job (same as goose_status). Subscribable.', mimeType: 'application/json' },
+    async (uri, { jobId }) => {
+      const st = jobStatus(jobId);
+      if (!st) throw new Error('job not found');
+      return { contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(st, null, 2) }] };
+    }
+  );
+
+  return off;
+}
@@ -0,0 +1,153 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Durable job store: an append-only JSONL file of job snapshots plus one
+// directory per job holding its stdout/stderr logs.
+//
+// <dir>/jobs.jsonl          one JSON record per state change (last one wins)
+// <dir>/<jobId>/stdout.log  goose's stdout, with secrets already redacted (see redact.js)
+// <dir>/<jobId>/stderr.log  goose's stderr, redacted the same way
+// <dir>/<jobId>/combined.log both streams interleaved, one timestamped and tagged line each
+// <dir>/<jobId>/events.jsonl structured events parsed from the output (see events.js)
+
+const RECORDS_FILE = 'jobs.jsonl';
+const JOB_ID_RE = /^[a-f0-9]{24}$/;
+
+let storeDir = null;
+
+function recordsPath() {
+  return path.join(storeDir, RECORDS_FILE);
+}
+
+function jobDir(jobId) {
+  if (!JOB_ID_RE.test(String(jobId))) throw new Error(`invalid job id: ${jobId}`);
+  return path.join(storeDir, jobId);
+}
+
+export function openJobStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  storeDir = dir;
+  return storeDir;
+}
+
+export function isJobStoreOpen() {
+  return !!storeDir;
+}
+
+// Read every record and collapse to the latest snapshot per job, in insertion order.
+// The file is rewritten compacted so it does not grow with every status change.
+export function loadJobRecords() {
+  if (!storeDir) return [];
+  let raw = '';
+  try {
+    raw = fs.readFileSync(recordsPath(), 'utf8');
+  } catch (e) {
+    if (e && e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const latest = new Map();
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const rec = JSON.parse(line);
+      if (rec && rec.id) latest.set(rec.id, rec);
+    } catch (_) {
+      // Skip a torn last line from a crash mid-write
+    }
+  }
+  const records = Array.from(latest.values());
+  rewriteJobRecords(records);
+  return records;
+}
+
+export function rewriteJobRecords(records) {
+  if (!storeDir) return;
+  const tmp = recordsPath() + '.tmp';
+  const body = records.map(r => JSON.stringify(r)).join('\n');
+  fs.writeFileSync(tmp, body ? body + '\n' : '', 'utf8');
+  fs.renameSync(tmp, recordsPath());
+}
+
+export function appendJobRecord(record) {
+  if (!storeDir) return;
+  try {
+    fs.appendFileSync(recordsPath(), JSON.stringify(record) + '\n', 'utf8');
+  } catch (e) {
+    console.warn(`[job-store] failed to persist job ${record?.id}: ${e?.message || e}`);
+  }
+}
+
+// Delete a job's logs and events (retention pruning)
+export function removeJobFiles(jobId) {
+  if (!storeDir) return;
+  try {
+    fs.rmSync(jobDir(jobId), { recursive: true, force: true });
+  } catch (e) {
+    console.warn(`[job-store] failed to remove files for ${jobId}: ${e?.message || e}`);
+  }
+}
+
+export function openLogWriter(jobId, which) {
+  if (!storeDir) return null;
+  const dir = jobDir(jobId);
+  fs.mkdirSync(dir, { recursive: true });
+  const stream = fs.createWriteStream(path.join(dir, `${which}.log`), { flags: 'a' });
+  stream.on('error', (e) => {
+    console.warn(`[job-store] log write failed for ${jobId}/${which}: ${e?.message || e}`);
+  });
+  return stream;
+}
+
+// Read at most the last maxBytes of a persisted log (mirrors the in-memory ring buffer limit).
+// skipped is the number of bytes before the returned tail, i.e. the tail's absolute offset.
+export function readLogTail(jobId, which, maxBytes) {
+  if (!storeDir) return { buffer: Buffer.alloc(0), skipped: 0 };
+  const file = path.join(jobDir(jobId), `${which}.log`);
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+    const { size } = fs.fstatSync(fd);
+    const length = Math.min(size, maxBytes);
+    const buf = Buffer.alloc(length);
+    fs.readSync(fd, buf, 0, length, size - length);
+    return { buffer: buf, skipped: size - length };
+  } catch (e) {
+    if (e && e.code === 'ENOENT') return { buffer: Buffer.alloc(0), skipped: 0 };
+    throw e;
+  } finally {
+    if (fd !== undefined) {
+      try { fs.closeSync(fd); } catch (_) {}
+    }
+  }
+}
+
+export function openEventWriter(jobId) {
+  if (!storeDir) return null;
+  const dir = jobDir(jobId);
+  fs.mkdirSync(dir, { recursive: true });
+  const stream = fs.createWriteStream(path.join(dir, 'events.jsonl'), { flags: 'a' });
+  stream.on('error', (e) => {
+    console.warn(`[job-store] event write failed for ${jobId}: ${e?.message || e}`);
+  });
+  return {
+    write(event) { stream.write(JSON.stringify(event) + '\n'); },
+    end() { stream.end(); }
+  };
+}
+
+export function readJobEvents(jobId) {
+  if (!storeDir) return [];
+  let raw = '';
+  try {
+    raw = fs.readFileSync(path.join(jobDir(jobId), 'events.jsonl'), 'utf8');
+  } catch (e) {
+    if (e && e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const events = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try { events.push(JSON.parse(line)); } catch (_) {}
+  }
+  return events;
+}
@@ -1,148 +1,682 @@
 import { spawn } from 'node:child_process';
 import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import path from 'node:path';
+import { StringDecoder } from 'node:string_decoder';
+import { openJobStore, loadJobRecords, rewriteJobRecords, appendJobRecord, removeJobFiles, openLogWriter, readLogTail, openEventWriter, readJobEvents } from './job-store.js';
+import { createGooseEventParser } from './events.js';
+import { buildGooseEnv, configureEnvPolicy, vetEnvOverrides } from './env-policy.js';
+import { configureRedaction, createRedactor, createStreamRedactor, secretValuesFromEnv } from './redact.js';
 
-// In-memory job store
+// In-memory job index; mirrored to disk by job-store.js when a store is open
 const jobs = new Map();
-let runningJobId = null; // enforce single concurrency
+const runningJobIds = new Set();
+const queue = []; // queued jobs waiting for a free slot
+let maxConcurrency = 1;
+let enqueueSeq = 0;
+const MAX_LIVE_EVENTS = 5000; // per job; older events remain in the job's events.jsonl
+
+export const ACTIVE_STATUSES = new Set(['queued', 'running', 'stopping']);
+
+// Live update feed for notifications: { jobId, kind: 'status' | 'output' | 'event', ... }
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+
+export function onJobUpdate(listener) {
+  updates.on('update', listener);
+  return () => updates.off('update', listener);
+}
+
+function emitUpdate(jobId, kind, data = {}) {
+  try {
+    updates.emit('update', { jobId, kind, ...data });
+  } catch (e) {
+    console.warn(`[jobs] update listener failed for ${jobId}: ${e?.message || e}`);
+  }
+}
+// Defaults for every job; 0 disables a limit. Overridable per job in startJob.
+const limits = {
+  maxRuntimeMs: 0,
+  idleTimeoutMs: 0,
+  killGraceMs: 10_000
+};
+// Finished jobs beyond these limits are dropped from memory and disk; 0 disables a limit
+const retention = {
+  maxAgeMs: 0,
+  maxJobs: 0
+};
+let retentionTimer = null;
+const RETENTION_SWEEP_MS = 60 * 60 * 1000;
+let storeLogMaxBytes = 8_000_000;
 
 function newId() {
   return crypto.randomBytes(12).toString('hex');
 }
 
-function makeRingBuffer(maxBytes) {
-  let buffer = Buffer.alloc(0);
+// Keeps the newest maxBytes of a stream. Offsets are absolute byte positions in the whole
+// stream, so they stay valid after the front is dropped; a read from an offset that is no
+// longer held starts at the oldest byte still kept and reports how many were skipped.
+function makeRingBuffer(maxBytes, initial, initialDropped = 0) {
+  let buffer = initial ? Buffer.from(initial) : Buffer.alloc(0);
+  let dropped = initialDropped; // bytes sliced off the front so far
   return {
     append(chunk) {
       if (!chunk || chunk.length === 0) return;
       buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
       if (buffer.length > maxBytes) {
+        dropped += buffer.length - maxBytes;
         buffer = buffer.slice(buffer.length - maxBytes);
       }
     },
     read(offset = 0, max = 65536) {
-      const start = Math.min(offset, buffer.length);
+      const start = Math.min(Math.max(offset, dropped) - dropped, buffer.length);
       const end = Math.min(start + max, buffer.length);
       const slice = buffer.subarray(start, end);
-      return { data: slice.toString('utf8'), nextOffset: end, isEnd: end >= buffer.length };
+      return {
+        data: slice.toString('utf8'),
+        nextOffset: dropped + end,
+        isEnd: end >= buffer.length,
+        droppedBytes: Math.max(0, dropped - offset),
+        startOffset: dropped
+      };
     },
     full() { return buffer.toString('utf8'); },
-    size() { return buffer.length; }
+    size() { return dropped + buffer.length; }
   };
 }
 
+// Interleaves stdout and stderr into one log, one line at a time, each prefixed with the
+// time its first byte arrived and the stream it came from:
+//   2025-01-01T12:00:00.000Z [stderr] some line
+function makeCombinedLog(append) {
+  const pending = { stdout: null, stderr: null }; // partial line: { at, text }
+  const emit = (stream, { at, text }) => append(`${at} [${stream}] ${text.replace(/\r$/, '')}\n`);
+  return {
+    push(stream, text) {
+      const now = new Date().toISOString();
+      const parts = text.split('\n');
+      for (let i = 0; i < parts.length; i++) {
+        const line = pending[stream] || { at: now, text: '' };
+        line.text += parts[i];
+        if (i < parts.length - 1) {
+          emit(stream, line);
+          pending[stream] = null;
+        } else {
+          pending[stream] = line.text ? line : null;
+        }
+      }
+    },
+    end() {
+      for (const stream of ['stdout', 'stderr']) {
+        if (pending[stream]) emit(stream, pending[stream]);
+        pending[stream] = null;
+      }
+    }
+  };
+}
+
+// Mirror job output to the server console, prefixing each line with the job and stream
+function echoOutput(job, which, text) {
+  const out = which === 'stderr' ? process.stderr : process.stdout;
+  const atLineStart = `${which}AtLineStart`;
+  try {
+    const parts = text.split('\n');
+    for (let i = 0; i < parts.length; i++) {
+      const segment = parts[i];
+      const last = i === parts.length - 1;
+      // Only write prefix at the start of a new line that has content
+      if (job._echo[atLineStart] && (segment.length > 0 || !last)) {
+        out.write(`[goose:${job.id}:${which}] `);
+      }
+      if (segment.length > 0) {
+        out.write(segment);
+      }
+      if (!last) {
+        // There was a newline after this segment
+        out.write('\n');
+        job._echo[atLineStart] = true;
+      } else if (segment.length > 0) {
+        // Last segment: if it ended without a newline, we're mid-line
+        job._echo[atLineStart] = false;
+      }
+    }
+  } catch (_) {}
+}
+
+// Live-only fields (buffers, child handle) and internal _-prefixed state are never persisted
+const TRANSIENT_FIELDS = new Set(['stdout', 'stderr', 'combined', 'child', 'events']);
+
+function serializeJob(job) {
+  const out = {};
+  for (const [k, v] of Object.entries(job)) {
+    if (TRANSIENT_FIELDS.has(k) || k.startsWith('_') || v === undefined) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+// Every state change goes through here, so it doubles as the status notification point
+function persistJob(job) {
+  appendJobRecord(serializeJob(job));
+  emitUpdate(job.id, 'status', { status: job.status });
+}
+
+// Live jobs keep their ring buffers in memory; past jobs are read back from their log files
+// which: 'stdout' | 'stderr' | 'combined'
+function logBuffer(job, which) {
+  const live = job[which];
+  if (live) return live;
+  const { buffer, skipped } = readLogTail(job.id, which, storeLogMaxBytes);
+  return makeRingBuffer(storeLogMaxBytes, buffer, skipped);
+}
+
+// Best-effort check that a recorded pid still belongs to a goose process (Linux /proc only),
+// so we never signal an unrelated process that reused the pid.
+function isOrphanedGoose(pid, goosePath) {
+  if (!pid || !goosePath) return false;
+  try {
+    const argv0 = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0')[0];
+    return path.basename(argv0) === path.basename(goosePath);
+  } catch (_) {
+    return false;
+  }
+}
+
+export function initJobStore({ dir, logMaxBytes, goosePath }) {
+  openJobStore(dir);
+  if (logMaxBytes) storeLogMaxBytes = logMaxBytes;
+  const records = loadJobRecords();
+  let interrupted = 0;
+  for (const rec of records) {
+    const job = { ...rec, stdout: null, stderr: null, combined: null, child: null };
+    // Queued jobs are not re-run after a restart; they are interrupted like running ones
+    if (job.status === 'running' || job.status === 'stopping' || job.status === 'queued') {
+      if (job.status !== 'queued' && isOrphanedGoose(job.pid, goosePath)) {
+        signalGroup(job.pid, 'SIGTERM');
+      }
+      job.status = 'interrupted';
+      job.finishedAt = new Date().toISOString();
+      persistJob(job);
+      interrupted++;
+    }
+    if (job.resultStatus === 'pending') {
+      job.resultStatus = 'error';
+      job.resultError = 'server restarted before the change summary was computed';
+      persistJob(job);
+    }
+    jobs.set(job.id, job);
+  }
+  return { loaded: records.length, interrupted };
+}
+
+// Stop any live children and record them as interrupted (used on server shutdown)
+export function shutdownJobs(signal = 'SIGTERM') {
+  for (const job of queue.splice(0)) {
+    job.status = 'interrupted';
+    job.finishedAt = new Date().toISOString();
+    persistJob(job);
+  }
+  for (const job of jobs.values()) {
+    if (job.status !== 'running' && job.status !== 'stopping') continue;
+    if (job.child) signalChild(job.child, signal);
+    job.status = 'interrupted';
+    job.finishedAt = new Date().toISOString();
+    persistJob(job);
+  }
+  runningJobIds.clear();
+}
+
+export function configureJobs({ maxConcurrency: n, maxRuntimeMs, idleTimeoutMs, killGraceMs, retentionMaxAgeMs, retentionMaxJobs, redactPatterns, redactEnvKeys, envAllow, envOverridable } = {}) {
+  if (n !== undefined) maxConcurrency = Math.max(1, parseInt(n, 10) || 1);
+  if (maxRuntimeMs !== undefined) limits.maxRuntimeMs = Math.max(0, maxRuntimeMs);
+  if (idleTimeoutMs !== undefined) limits.idleTimeoutMs = Math.max(0, idleTimeoutMs);
+  if (killGraceMs !== undefined) limits.killGraceMs = Math.max(0, killGraceMs);
+  if (retentionMaxAgeMs !== undefined) retention.maxAgeMs = Math.max(0, retentionMaxAgeMs);
+  if (retentionMaxJobs !== undefined) retention.maxJobs = Math.max(0, parseInt(retentionMaxJobs, 10) || 0);
+  configureRedaction({ patterns: redactPatterns, envKeys: redactEnvKeys });
+  configureEnvPolicy({ allow: envAllow, overridable: envOverridable });
+  // Age-based pruning needs a periodic sweep even when no jobs finish
+  clearInterval(retentionTimer);
+  retentionTimer = retention.maxAgeMs > 0 ? setInterval(pruneJobs, RETENTION_SWEEP_MS) : null;
+  retentionTimer?.unref();
+  pruneJobs();
+  pumpQueue();
+}
+
+// Drop finished jobs that are older than the retention age or beyond the newest maxJobs.
+// Jobs that are still active or waiting on their change summary are never pruned.
+export function pruneJobs() {
+  if (!retention.maxAgeMs && !retention.maxJobs) return 0;
+  const cutoff = retention.maxAgeMs ? Date.now() - retention.maxAgeMs : -Infinity;
+  const finished = Array.from(jobs.values())
+    .filter(j => !ACTIVE_STATUSES.has(j.status) && j.resultStatus !== 'pending')
+    .sort(compareNewestFirst);
+  const doomed = finished.filter((j, i) =>
+    (retention.maxJobs && i >= retention.maxJobs) || Date.parse(j.finishedAt || createdAt(j)) < cutoff);
+  if (!doomed.length) return 0;
+  for (const job of doomed) {
+    jobs.delete(job.id);
+    removeJobFiles(job.id);
+  }
+  rewriteJobRecords(Array.from(jobs.values()).map(serializeJob));
+  console.log(`[jobs] Pruned ${doomed.length} finished job(s) under the retention policy`);
+  return doomed.length;
+}
+
+// Children are spawned as process group leaders, so signalling -pid reaches goose and
+// everything it started. The group only, never the bare pid: a pid read back from the store, or
+// one whose child has already been reaped, can belong to an unrelated process by now. ESRCH just
+// means the group is already gone. Windows has no process groups; see signalChild.
+function signalGroup(pid, signal) {
+  if (!pid || process.platform === 'win32') return false;
+  try {
+    process.kill(-pid, signal);
+    return true;
+  } catch (e) {
+    if (e.code !== 'ESRCH') console.warn(`[jobs] could not signal process group ${pid}: ${e.message}`);
+    return false;
+  }
+}
+
+// Signal a live child we spawned. On Windows, where it has no group of its own, the
+// ChildProcess handle is the safe way to reach it: it knows when the child has exited.
+function signalChild(child, signal) {
+  if (process.platform === 'win32') return child.kill(signal);
+  return signalGroup(child.pid, signal);
+}
+
+// SIGKILL what is left of an exited child's process group
+function reapGroup(pid) {
+  signalGroup(pid, 'SIGKILL');
+}
+
+// Ask a running job to stop. The job moves to 'stopping' and only reaches its terminal
+// status (reason, or 'killed' if a cancel had to escalate) once the child has exited.
+// SIGKILL follows after the grace period if the process group is still alive.
+function terminateJob(job, reason, signal = 'SIGTERM') {
+  if (job._termination) return false;
+  job._termination = { reason, escalated: false };
+  job.status = 'stopping';
+  job.stopReason = reason;
+  job.stopRequestedAt = new Date().toISOString();
+  persistJob(job);
+  if (!job.child) return true; // still preparing; launchJob bails out before spawning
+  signalChild(job.child, signal);
+  const graceMs = job._limits.killGraceMs;
+  job._timers.kill = setTimeout(() => {
+    if (!runningJobIds.has(job.id)) return;
+    job._termination.escalated = true;
+    job.killedAt = new Date().toISOString();
+    persistJob(job);
+    signalChild(job.child, 'SIGKILL');
+  }, graceMs);
+  return true;
+}
+
+function finalStatus(job, code) {
+  const t = job._termination;
+  if (t) return t.escalated && t.reason === 'canceled' ? 'killed' : t.reason;
+  return code === 0 ? 'completed' : 'failed';
+}
+
 export function getJob(jobId) {
   return jobs.get(jobId) || null;
 }
 
-export function getRunningJobId() {
-  return runningJobId;
+// Merge extra fields into a job record (e.g. results computed after exit) and persist them
+export function updateJob(jobId, patch) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+  Object.assign(job, patch);
+  persistJob(job);
+  return job;
+}
+
+export function getRunningJobIds() {
+  return Array.from(runningJobIds);
+}
+
+export function getQueuedJobIds() {
+  return queue.map(j => j.id);
+}
+
+// 1-based position in the queue, or null when the job is not waiting
+export function queuePosition(jobId) {
+  const idx = queue.findIndex(j => j.id === jobId);
+  return idx === -1 ? null : idx + 1;
+}
+
+// When a job was submitted (records from before the queue existed only have startedAt)
+function createdAt(job) {
+  return job.queuedAt || job.startedAt || null;
+}
+
+function jobTime(job) {
+  return Date.parse(createdAt(job)) || 0;
+}
+
+// Newest first; ties broken by id so the order (and therefore cursors) is stable
+function compareNewestFirst(a, b) {
+  return jobTime(b) - jobTime(a) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+function encodeCursor(job) {
+  return Buffer.from(JSON.stringify([jobTime(job), job.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isFinite(time) && typeof id === 'string') return { time, id };
+  } catch (_) {}
+  throw new Error('invalid cursor');
+}
+
+const TASK_PREVIEW_CHARS = 200;
+
+// Commits a job makes carry the API token that requested it as their committer
+function committerEnv(job) {
+  if (!job.requestedBy) return {};
+  return { GIT_COMMITTER_NAME: job.requestedBy, GIT_COMMITTER_EMAIL: `${job.requestedBy}@mcp-goose` };
 }
 
-export function listJobs() {
-  return Array.from(jobs.values()).map(j => ({
+function summarizeJob(j) {
+  const task = typeof j.task === 'string' && j.task.length > TASK_PREVIEW_CHARS
+    ? j.task.slice(0, TASK_PREVIEW_CHARS) + '…'
+    : j.task ?? null;
+  return {
     jobId: j.id,
     status: j.status,
+    command: j.command,
+    source: j.source ?? null,
+    requestedBy: j.requestedBy ?? null,
+    project: j.project ?? null,
+    task,
+    recipe: j.recipe ?? null,
+    provider: j.provider ?? null,
+    model: j.model ?? null,
+    baseBranch: j.baseBranch ?? null,
+    branch: j.branch ?? null,
+    priority: j.priority ?? 0,
+    queuedAt: createdAt(j),
     startedAt: j.startedAt,
     finishedAt: j.finishedAt,
     exitCode: j.exitCode
-  }));
+  };
 }
 
-export function startJob({ command, args, env, cwd, goosePath, logMaxBytes, echoToConsole = false }) {
-  if (runningJobId) {
-    const err = new Error('A job is already running. Concurrency is limited to 1.');
-    err.code = 'BUSY';
-    throw err;
-  }
+// Timing of every job whose fields match (e.g. { requestedBy: 'ci' }), for usage limits (see limits.js)
+export function jobTimings(match) {
+  return Array.from(jobs.values())
+    .filter(j => Object.entries(match).every(([k, v]) => j[k] === v))
+    .map(j => ({ jobId: j.id, command: j.command, status: j.status, queuedAt: createdAt(j), startedAt: j.startedAt, finishedAt: j.finishedAt }));
+}
 
-  const id = newId();
-  const stdoutBuf = makeRingBuffer(logMaxBytes);
-  const stderrBuf = makeRingBuffer(logMaxBytes);
-  const startedAt = new Date().toISOString();
+// Filtered, newest-first page of the job history. since/until bound the submission time;
+// branch matches either the base branch or the branch a run produced; project is one name or a
+// list of names, where null matches jobs recorded without a project. Pass the returned
+// nextCursor back as cursor for the next page (null when there are no more jobs).
+export function listJobs({ status, command, source, project, branch, since, until, cursor, limit = 50 } = {}) {
+  const statuses = status ? new Set([].concat(status)) : null;
+  const projects = project !== undefined ? new Set([].concat(project)) : null;
+  const from = since ? Date.parse(since) : null;
+  const to = until ? Date.parse(until) : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) throw new Error('since/until must be ISO dates');
+  const after = cursor ? decodeCursor(cursor) : null;
 
-  const child = spawn(goosePath, [command, ...args], {
-    cwd,
-    env: { ...process.env, ...env },
-    stdio: ['ignore', 'pipe', 'pipe'],
-    shell: false
-  });
+  const matches = Array.from(jobs.values())
+    .filter(j => !statuses || statuses.has(j.status))
+    .filter(j => !command || j.command === command)
+    .filter(j => !source || j.source === source)
+    .filter(j => !projects || projects.has(j.project ?? null))
+    .filter(j => !branch || j.baseBranch === branch || j.branch === branch)
+    .filter(j => from === null || jobTime(j) >= from)
+    .filter(j => to === null || jobTime(j) < to)
+    .filter(j => !after || jobTime(j) < after.time || (jobTime(j) === after.time && j.id < after.id))
+    .sort(compareNewestFirst);
+
+  const page = matches.slice(0, limit);
+  const hasMore = matches.length > page.length;
+  return {
+    jobs: page.map(summarizeJob),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    hasMore
+  };
+}
 
+// Queue a job. It starts immediately when a slot is free (up to maxConcurrency),
+// otherwise it waits in FIFO order; a higher priority jumps ahead of lower ones.
+// Optional hooks: prepare(job) runs once a slot is free and may return { cwd, ...meta }
+// to merge into the job (e.g. a fresh worktree); onExit(job) runs after the job finishes.
+// env holds per-run overrides; they are checked against the env policy here and throw when not
+// allowed. goose otherwise only sees the allowlisted part of the server environment.
+export function startJob({ command, args, env, cwd, goosePath, logMaxBytes, echoToConsole = false, priority = 0, meta = {}, prepare, onExit, maxRuntimeMs, idleTimeoutMs }) {
+  const envOverrides = vetEnvOverrides(env);
+  const id = newId();
   const job = {
     id,
-    pid: child.pid,
-    status: 'running',
+    pid: null,
+    status: 'queued',
     command, args, cwd,
-    startedAt,
+    ...meta,
+    priority: Number.isFinite(priority) ? priority : 0,
+    queuedAt: new Date().toISOString(),
+    startedAt: null,
     finishedAt: null,
     exitCode: null,
-    stdout: stdoutBuf,
-    stderr: stderrBuf,
-    child,
+    stdout: makeRingBuffer(logMaxBytes),
+    stderr: makeRingBuffer(logMaxBytes),
+    combined: makeRingBuffer(logMaxBytes),
+    events: [],
+    eventCount: 0,
+    child: null,
+    _seq: enqueueSeq++,
+    _spawn: { env: envOverrides, goosePath, echoToConsole },
+    _hooks: { prepare, onExit },
+    _limits: {
+      maxRuntimeMs: maxRuntimeMs ?? limits.maxRuntimeMs,
+      idleTimeoutMs: idleTimeoutMs ?? limits.idleTimeoutMs,
+      killGraceMs: limits.killGraceMs
+    },
+    _timers: {},
     _echo: { stdoutAtLineStart: true, stderrAtLineStart: true }
   };
 
   jobs.set(id, job);
-  runningJobId = id;
+  insertByPriority(job);
+  persistJob(job);
+  pumpQueue();
 
-  child.stdout.on('data', (d) => {
-    stdoutBuf.append(d);
-    if (echoToConsole) {
-      try {
-        const text = d.toString();
-        const parts = text.split('\n');
-        for (let i = 0; i < parts.length; i++) {
-          const segment = parts[i];
-          // Only write prefix at the start of a new line
-          if (job._echo.stdoutAtLineStart) {
-            process.stdout.write(`[goose:${id}:stdout] `);
-          }
-          if (segment.length > 0) {
-            process.stdout.write(segment);
-          }
-          if (i < parts.length - 1) {
-            // There was a newline after this segment
-            process.stdout.write('\n');
-            job._echo.stdoutAtLineStart = true;
-          } else {
-            // Last segment: if it ended without a newline, we're mid-line
-            job._echo.stdoutAtLineStart = false;
-          }
-        }
-      } catch (_) {}
-    }
+  return {
+    jobId: id,
+    status: job.status,
+    queuePosition: queuePosition(id),
+    pid: job.pid,
+    queuedAt: job.queuedAt,
+    startedAt: job.startedAt
+  };
+}
+
+function insertByPriority(job) {
+  let idx = queue.findIndex(q => q.priority < job.priority || (q.priority === job.priority && q._seq > job._seq));
+  if (idx === -1) idx = queue.length;
+  queue.splice(idx, 0, job);
+}
+
+function pumpQueue() {
+  while (runningJobIds.size < maxConcurrency && queue.length) {
+    const job = queue.shift();
+    launchJob(job).catch((e) => failLaunch(job, e));
+  }
+}
+
+// launchJob threw (a log file could not be opened, spawn rejected its arguments, ...): fail the
+// job and free its slot, which its own finish() will now never do
+function failLaunch(job, e) {
+  console.warn(`[jobs] could not start ${job.id}: ${e?.message || e}`);
+  if (job.finishedAt && !runningJobIds.has(job.id)) return;
+  runningJobIds.delete(job.id);
+  for (const t of Object.values(job._timers)) clearTimeout(t);
+  job.stderr?.append(Buffer.from(`[launch error] ${String(e?.message || e)}\n`));
+  if (job.status !== 'interrupted') job.status = 'failed';
+  job.exitCode = null;
+  job.finishedAt = new Date().toISOString();
+  persistJob(job);
+  pumpQueue();
+  if (job._hooks.onExit) {
+    Promise.resolve()
+      .then(() => job._hooks.onExit(job))
+      .catch((err) => console.warn(`[jobs] onExit hook failed for ${job.id}: ${err?.message || err}`));
+  }
+}
+
+async function launchJob(job) {
+  const { id, command, args } = job;
+  const { env, goosePath, echoToConsole } = job._spawn;
+  const stdoutBuf = job.stdout;
+  const stderrBuf = job.stderr;
+  const stdoutLog = openLogWriter(id, 'stdout');
+  const stderrLog = openLogWriter(id, 'stderr');
+  const combinedLog = openLogWriter(id, 'combined');
+  const combined = makeCombinedLog((line) => {
+    job.combined.append(line);
+    combinedLog?.write(line);
   });
-  child.stderr.on('data', (d) => {
-    stderrBuf.append(d);
-    if (echoToConsole) {
-      try {
-        const text = d.toString();
-        const parts = text.split('\n');
-        for (let i = 0; i < parts.length; i++) {
-          const segment = parts[i];
-          if (job._echo.stderrAtLineStart) {
-            process.stderr.write(`[goose:${id}:stderr] `);
-          }
-          if (segment.length > 0) {
-            process.stderr.write(segment);
-          }
-          if (i < parts.length - 1) {
-            process.stderr.write('\n');
-            job._echo.stderrAtLineStart = true;
-          } else {
-            job._echo.stderrAtLineStart = false;
-          }
-        }
-      } catch (_) {}
-    }
+  const endLogs = () => {
+    combined.end();
+    stdoutLog?.end();
+    stderrLog?.end();
+    combinedLog?.end();
+  };
+  const eventLog = openEventWriter(id);
+  const parser = createGooseEventParser((event) => {
+    const full = { seq: ++job.eventCount, at: new Date().toISOString(), ...event };
+    job.events.push(full);
+    if (job.events.length > MAX_LIVE_EVENTS) job.events.shift();
+    eventLog?.write(full);
+    emitUpdate(id, 'event', { event: full });
   });
 
-  child.on('exit', (code) => {
+  // All output is redacted before it reaches buffers, logs, events, listeners or the console
+  const redact = createRedactor(secretValuesFromEnv({ ...process.env, ...env }));
+  const onOutput = (which, text, count) => {
+    if (count) job.redactions = (job.redactions || 0) + count;
+    (which === 'stderr' ? stderrBuf : stdoutBuf).append(Buffer.from(text));
+    combined.push(which, text);
+    parser.push(which, text);
+    emitUpdate(id, 'output', { stream: which, bytes: Buffer.byteLength(text) });
+    (which === 'stderr' ? stderrLog : stdoutLog)?.write(text);
+    if (echoToConsole) echoOutput(job, which, text);
+  };
+  const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+  const redactors = {
+    stdout: createStreamRedactor(redact, (text, count) => onOutput('stdout', text, count)),
+    stderr: createStreamRedactor(redact, (text, count) => onOutput('stderr', text, count))
+  };
+  const endOutput = () => {
+    for (const which of ['stdout', 'stderr']) {
+      redactors[which].push(decoders[which].end());
+      redactors[which].end();
+    }
+    endLogs();
+  };
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  runningJobIds.add(id);
+
+  const endEvents = () => {
+    parser.end({ status: job.status, exitCode: job.exitCode, exitSignal: job.exitSignal });
+    eventLog?.end();
+  };
+
+  // Release the slot exactly once, whether the child exited, never spawned or was never prepared
+  const finish = (code, signal = null) => {
+    if (!runningJobIds.has(id)) return;
+    runningJobIds.delete(id);
+    for (const t of Object.values(job._timers)) clearTimeout(t);
+    // Reap anything goose left behind in its process group
+    reapGroup(job.child?.pid);
     job.exitCode = code;
-    job.status = code === 0 ? 'completed' : 'failed';
+    job.exitSignal = signal;
+    // A job interrupted by server shutdown keeps that status
+    if (job.status !== 'interrupted') job.status = finalStatus(job, code);
     job.finishedAt = new Date().toISOString();
-    runningJobId = null;
+    // With a child, the summary waits for 'close' so trailing output is parsed first
+    if (!job.child) endEvents();
+    persistJob(job);
+    pumpQueue();
+    pruneJobs();
+    if (job._hooks.onExit) {
+      Promise.resolve()
+        .then(() => job._hooks.onExit(job))
+        .catch((e) => console.warn(`[jobs] onExit hook failed for ${id}: ${e?.message || e}`));
+    }
+  };
+
+  if (job._hooks.prepare) {
+    try {
+      Object.assign(job, await job._hooks.prepare(job) || {});
+    } catch (e) {
+      redactors.stderr.push(`[prepare error] ${String(e?.message || e)}\n`);
+      endOutput();
+      finish(null);
+      return;
+    }
+    // Canceled while preparing
+    if (job._termination) {
+      endOutput();
+      finish(null);
+      return;
+    }
+  }
+
+  const child = spawn(goosePath, [command, ...args], {
+    cwd: job.cwd,
+    env: buildGooseEnv({ ...env, ...committerEnv(job) }),
+    stdio: ['ignore', 'pipe', 'pipe'],
+    shell: false,
+    detached: process.platform !== 'win32' // own process group, see signalGroup
+  });
+
+  job.pid = child.pid ?? null;
+  job.child = child;
+  job.lastOutputAt = job.startedAt;
+  persistJob(job);
+
+  const { maxRuntimeMs: runtimeLimit, idleTimeoutMs: idleLimit } = job._limits;
+  if (runtimeLimit > 0) {
+    job._timers.runtime = setTimeout(() => {
+      job.timeoutReason = 'max_runtime';
+      terminateJob(job, 'timed_out');
+    }, runtimeLimit);
+  }
+  if (idleLimit > 0) {
+    job._timers.idle = setTimeout(() => {
+      job.timeoutReason = 'idle';
+      terminateJob(job, 'timed_out');
+    }, idleLimit);
+  }
+  // Any output counts as activity for the idle watchdog
+  const touch = () => {
+    job.lastOutputAt = new Date().toISOString();
+    job._timers.idle?.refresh();
+  };
+
+  child.stdout.on('data', (d) => {
+    touch();
+    redactors.stdout.push(decoders.stdout.write(d));
+  });
+  child.stderr.on('data', (d) => {
+    touch();
+    redactors.stderr.push(decoders.stderr.write(d));
+  });
+
+  child.on('exit', (code, signal) => {
+    finish(code, signal);
     if (echoToConsole) {
-      const msg = `[goose:${id}] exited with code ${code}\n`;
+      const msg = `[goose:${id}] exited with ${signal ? `signal ${signal}` : `code ${code}`} (${job.status})\n`;
       try {
         // Ensure we end the current line before writing the exit message
         if (!job._echo.stdoutAtLineStart) process.stdout.write('\n');
@@ -151,26 +685,37 @@ export function startJob({ command, args, env, cwd, goosePath, logMaxBytes, echo
     }
   });
 
-  child.on('error', (e) => {
-    stderrBuf.append(`\n[spawn error] ${String(e?.message || e)}\n`);
+  // Flush log files once both pipes have drained
+  child.on('close', () => {
+    endOutput();
+    endEvents();
   });
 
-  return { jobId: id, pid: child.pid, startedAt };
+  child.on('error', (e) => {
+    redactors.stderr.push(`\n[spawn error] ${String(e?.message || e)}\n`);
+    // No 'exit' event follows a failed spawn
+    if (!child.pid) finish(null);
+  });
 }
 
 export function stopJob(jobId, signal = 'SIGTERM') {
   const job = jobs.get(jobId);
   if (!job) return { ok: false, reason: 'not_found' };
-  if (job.status !== 'running') return { ok: false, reason: 'not_running' };
-  try {
-    process.kill(job.child.pid, signal);
+  if (job.status === 'queued') {
+    const idx = queue.indexOf(job);
+    if (idx !== -1) queue.splice(idx, 1);
     job.status = 'canceled';
     job.finishedAt = new Date().toISOString();
-    runningJobId = null;
-    return { ok: true };
-  } catch (e) {
-    return { ok: false, reason: 'kill_failed', error: String(e) };
+    // Never started, so no change summary will follow
+    if (job.resultStatus === 'pending') job.resultStatus = null;
+    persistJob(job);
+    return { ok: true, status: job.status };
   }
+  if (job.status === 'stopping') return { ok: true, status: job.status, note: 'already stopping' };
+  if (job.status !== 'running') return { ok: false, reason: 'not_running' };
+  terminateJob(job, 'canceled', signal);
+  // The job becomes 'canceled' (or 'killed' after SIGKILL escalation) once the child exits
+  return { ok: true, status: job.status, killGraceSeconds: Math.round(job._limits.killGraceMs / 1000) };
 }
 
 export function jobStatus(jobId) {
@@ -178,29 +723,81 @@ export function jobStatus(jobId) {
   if (!job) return null;
   const runtimeSeconds = job.startedAt && !job.finishedAt
     ? Math.floor((Date.now() - Date.parse(job.startedAt)) / 1000)
-    : job.finishedAt
+    : job.startedAt && job.finishedAt
       ? Math.floor((Date.parse(job.finishedAt) - Date.parse(job.startedAt)) / 1000)
       : 0;
   return {
     jobId: job.id,
     status: job.status,
+    queuePosition: queuePosition(job.id),
+    queueLength: queue.length,
+    priority: job.priority ?? 0,
     exitCode: job.exitCode,
+    exitSignal: job.exitSignal ?? null,
+    stopReason: job.stopReason ?? null,
+    timeoutReason: job.timeoutReason ?? null,
+    lastOutputAt: job.lastOutputAt ?? null,
+    redactions: job.redactions ?? 0,
+    queuedAt: job.queuedAt,
     startedAt: job.startedAt,
     finishedAt: job.finishedAt,
     runtimeSeconds
   };
 }
 
+// Status plus the change summary attached after a run finishes. resultStatus is 'pending' until
+// the summary has been computed, then 'ready' or 'error'; jobs that never produce one report null.
+export function jobResult(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+  return {
+    ...jobStatus(jobId),
+    resultStatus: job.resultStatus ?? null,
+    result: job.result ?? null,
+    ...(job.resultError ? { resultError: job.resultError } : {})
+  };
+}
+
+// Read a log from an absolute byte offset. droppedBytes > 0 means the caller fell behind and
+// that many bytes before startOffset are no longer kept (LOG_MAX_BYTES).
 export function streamLogs(jobId, which = 'stdout', offset = 0, max = 65536) {
   const job = jobs.get(jobId);
   if (!job) return null;
-  const buf = which === 'stderr' ? job.stderr : job.stdout;
-  const { data, nextOffset, isEnd } = buf.read(offset, max);
-  return { data, nextOffset, isEnd };
+  return logBuffer(job, which).read(offset, max);
 }
 
-export function getOutput(jobId) {
+// Full retained output, either per stream or as the combined timestamped view
+export function getOutput(jobId, { combined = false } = {}) {
   const job = jobs.get(jobId);
   if (!job) return null;
-  return { stdout: job.stdout.full(), stderr: job.stderr.full(), exitCode: job.exitCode };
+  const redactions = job.redactions ?? 0;
+  if (combined) return { combined: logBuffer(job, 'combined').full(), exitCode: job.exitCode, redactions };
+  return { stdout: logBuffer(job, 'stdout').full(), stderr: logBuffer(job, 'stderr').full(), exitCode: job.exitCode, redactions };
+}
+
+// Page through a job's structured events. cursor is the last seq the caller has seen;
+// types optionally restricts which events are returned (the cursor still advances past others).
+export function jobEvents(jobId, cursor = 0, limit = 100, types = null) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+  let source = job.events || readJobEvents(job.id);
+  // Live jobs only keep the newest events in memory; fall back to disk for older cursors
+  if (job.events && source.length && source[0].seq > cursor + 1) source = readJobEvents(job.id);
+  const wanted = types && types.length ? new Set(types) : null;
+  const events = [];
+  let nextCursor = cursor;
+  for (const ev of source) {
+    if (ev.seq <= cursor) continue;
+    if (events.length >= limit) break;
+    nextCursor = ev.seq;
+    if (!wanted || wanted.has(ev.type)) events.push(ev);
+  }
+  const lastSeq = source.length ? source[source.length - 1].seq : cursor;
+  const finished = !ACTIVE_STATUSES.has(job.status);
+  return {
+    events,
+    nextCursor,
+    hasMore: nextCursor < lastSeq,
+    done: finished && nextCursor >= lastSeq
+  };
 }
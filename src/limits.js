@@ -0,0 +1,124 @@
+import { jobTimings, ACTIVE_STATUSES } from './jobs.js';
+
+// Usage limits on goose runs, checked when a tool call or POST /api/run is about to queue runs.
+// A caller is counted twice, by API token (requestedBy on its jobs) and by client IP
+// (requestedFrom), each against its own set of limits (0 disables a limit):
+// - runsPerHour: goose run jobs queued in the last 60 minutes
+// - activeJobs: jobs queued or running at the same time
+// - dailyMinutes: runtime of all its jobs in the current UTC day
+// Usage is read from the job history, so it survives restarts. Runs a schedule or pipeline
+// launches later count towards usage but are not refused. A check that passes reserves its runs
+// until the caller has queued them (or failed to), so concurrent calls cannot all pass against
+// the same usage.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const ACTIVE_RETRY_SECONDS = 30;
+const SCOPES = [
+  { scope: 'token', field: 'requestedBy', label: (v) => `token '${v}'` },
+  { scope: 'ip', field: 'requestedFrom', label: (v) => `IP ${v}` }
+];
+
+const reservations = new Set(); // { requestedBy, requestedFrom, runs, at }
+
+const limits = {
+  token: { runsPerHour: 0, activeJobs: 0, dailyMinutes: 0 },
+  ip: { runsPerHour: 0, activeJobs: 0, dailyMinutes: 0 }
+};
+
+export function configureLimits({ token, ip } = {}) {
+  if (token) Object.assign(limits.token, token);
+  if (ip) Object.assign(limits.ip, ip);
+}
+
+function dayStart(now) {
+  const d = new Date(now);
+  d.setUTCHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+function usageOf(match, now) {
+  const jobs = jobTimings(match);
+  const reserved = Array.from(reservations).filter(r => Object.entries(match).every(([k, v]) => r[k] === v));
+  const runTimes = jobs
+    .filter(j => j.command === 'run' && j.queuedAt && Date.parse(j.queuedAt) > now - HOUR_MS)
+    .map(j => Date.parse(j.queuedAt))
+    .concat(reserved.flatMap(r => Array(r.runs).fill(r.at)))
+    .sort((a, b) => a - b);
+  const today = dayStart(now);
+  let runtimeMs = 0;
+  for (const j of jobs) {
+    if (!j.startedAt) continue;
+    const start = Math.max(Date.parse(j.startedAt), today);
+    const end = j.finishedAt ? Date.parse(j.finishedAt) : now;
+    if (end > start) runtimeMs += end - start;
+  }
+  return {
+    runTimes,
+    activeJobs: jobs.filter(j => ACTIVE_STATUSES.has(j.status)).length + reserved.length,
+    minutesToday: runtimeMs / 60_000
+  };
+}
+
+function limitError(message, retryAfterSeconds) {
+  const err = new Error(retryAfterSeconds ? `${message}; retry after ${retryAfterSeconds}s` : message);
+  err.code = 'RATE_LIMITED';
+  err.retryAfterSeconds = retryAfterSeconds;
+  return err;
+}
+
+// Throws a RATE_LIMITED error with retryAfterSeconds when queuing `runs` more goose runs for
+// this token / IP would exceed one of its limits. Otherwise reserves them and returns a function
+// that releases the reservation, to be called once the runs are queued or queueing failed.
+export function checkRunLimits({ token = null, ip = null, runs = 1 }) {
+  const now = Date.now();
+  for (const { scope, field, label } of SCOPES) {
+    const value = scope === 'token' ? token : ip;
+    if (!value) continue;
+    const limit = limits[scope];
+    const usage = usageOf({ [field]: value }, now);
+    const who = label(value);
+    if (limit.runsPerHour) {
+      if (runs > limit.runsPerHour) throw limitError(`${runs} runs exceed the limit of ${limit.runsPerHour} runs per hour for ${who}`, null);
+      const over = usage.runTimes.length + runs - limit.runsPerHour;
+      if (over > 0) {
+        // Room frees up as the oldest runs in the window turn an hour old
+        const freeAt = usage.runTimes[over - 1] + HOUR_MS;
+        throw limitError(`${who} reached ${limit.runsPerHour} runs per hour`, Math.max(1, Math.ceil((freeAt - now) / 1000)));
+      }
+    }
+    if (limit.activeJobs && usage.activeJobs >= limit.activeJobs) {
+      throw limitError(`${who} already has ${usage.activeJobs} queued or running job(s) (limit ${limit.activeJobs})`, ACTIVE_RETRY_SECONDS);
+    }
+    if (limit.dailyMinutes && usage.minutesToday >= limit.dailyMinutes) {
+      const resetAt = dayStart(now) + DAY_MS;
+      throw limitError(`${who} used its daily budget of ${limit.dailyMinutes} job minutes`, Math.ceil((resetAt - now) / 1000));
+    }
+  }
+  const reservation = { requestedBy: token, requestedFrom: ip, runs, at: now };
+  reservations.add(reservation);
+  return () => reservations.delete(reservation);
+}
+
+// Consumption against each limit for a token and/or IP
+export function usageReport({ token = null, ip = null }) {
+  const now = Date.now();
+  const report = {};
+  for (const { scope, field } of SCOPES) {
+    const value = scope === 'token' ? token : ip;
+    if (!value) continue;
+    const limit = limits[scope];
+    const usage = usageOf({ [field]: value }, now);
+    report[scope] = {
+      [scope === 'token' ? 'name' : 'address']: value,
+      runsPerHour: { used: usage.runTimes.length, limit: limit.runsPerHour || null },
+      activeJobs: { used: usage.activeJobs, limit: limit.activeJobs || null },
+      dailyMinutes: {
+        used: Math.round(usage.minutesToday * 10) / 10,
+        limit: limit.dailyMinutes || null,
+        resetsAt: new Date(dayStart(now) + DAY_MS).toISOString()
+      }
+    };
+  }
+  return report;
+}
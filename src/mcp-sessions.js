@@ -0,0 +1,165 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+// Stateful MCP sessions over Streamable HTTP. An initialize request (POST /mcp without an
+// Mcp-Session-Id) opens a session with its own McpServer; later requests carry the id.
+// GET /mcp opens the session's server-to-client SSE stream (resource updates and other
+// notifications), DELETE /mcp ends the session. Messages on SSE streams get event ids and
+// are kept per session, so a client reconnecting with Last-Event-ID gets what it missed.
+// Sessions with no open request or stream for MCP_SESSION_IDLE_MINUTES are closed. A session
+// belongs to the API token that opened it (req.auth, set by the caller's auth check).
+
+const sessions = new Map(); // sessionId → { transport, server, dispose, owner, lastSeenAt, openRequests }
+let createServer = null;
+let idleMs = 0;
+let eventsKept = 500;
+let sweepTimer = null;
+
+// SDK releases before 1.23.0 do not release a stream replayed for Last-Event-ID when it closes,
+// so the next GET of the session gets 409. handleMcpRequest works around that on those releases
+// only, since it has to reach into the transport's private stream map.
+const REPLAY_CLOSE_FIXED_IN = [1, 23, 0];
+
+function sdkVersion() {
+  try {
+    // The package's exports do not include package.json; it sits three levels above dist/<format>/server
+    const entry = createRequire(import.meta.url).resolve('@modelcontextprotocol/sdk/server/streamableHttp.js');
+    const pkg = JSON.parse(fs.readFileSync(path.join(path.dirname(entry), '..', '..', '..', 'package.json'), 'utf8'));
+    return pkg.version.split('.').map(n => parseInt(n, 10));
+  } catch {
+    return null;
+  }
+}
+
+function releasesReplayedStreams(version) {
+  if (!version) return true; // unknown: leave the transport alone
+  for (let i = 0; i < REPLAY_CLOSE_FIXED_IN.length; i++) {
+    if (version[i] !== REPLAY_CLOSE_FIXED_IN[i]) return version[i] > REPLAY_CLOSE_FIXED_IN[i];
+  }
+  return true;
+}
+
+const needsReplayCloseWorkaround = !releasesReplayedStreams(sdkVersion());
+
+// Bounded in-memory event store for one session (the SDK's EventStore interface)
+function createEventStore(limit) {
+  const events = []; // { id, streamId, message }
+  let seq = 0;
+  return {
+    async storeEvent(streamId, message) {
+      const id = `${streamId}:${++seq}`;
+      events.push({ id, streamId, message });
+      if (events.length > limit) events.splice(0, events.length - limit);
+      return id;
+    },
+    async replayEventsAfter(lastEventId, { send }) {
+      const index = events.findIndex(e => e.id === lastEventId);
+      if (index === -1) throw new Error(`event ${lastEventId} is no longer available`);
+      const { streamId } = events[index];
+      for (const e of events.slice(index + 1)) {
+        if (e.streamId === streamId) await send(e.id, e.message);
+      }
+      return streamId;
+    }
+  };
+}
+
+function sendError(res, status, message) {
+  res.status(status).json({ jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+async function closeSession(id, reason) {
+  const session = sessions.get(id);
+  if (!session) return;
+  sessions.delete(id);
+  session.dispose?.();
+  console.log(`[mcp] session ${id} closed (${reason})`);
+  try {
+    await session.server.close();
+  } catch (_) {}
+}
+
+function sweepIdle() {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (session.openRequests === 0 && now - session.lastSeenAt > idleMs) closeSession(id, 'idle');
+  }
+}
+
+// createMcpServer(req) → { server, dispose? }: a fresh McpServer with the tools the caller may use
+export function initMcpSessions({ createMcpServer, idleMinutes = 30, eventHistory = 500 }) {
+  createServer = createMcpServer;
+  idleMs = idleMinutes * 60 * 1000;
+  eventsKept = Math.max(0, eventHistory);
+  clearInterval(sweepTimer);
+  if (idleMs > 0) {
+    sweepTimer = setInterval(sweepIdle, Math.min(idleMs, 60 * 1000));
+    sweepTimer.unref?.();
+  }
+}
+
+async function openSession(req, res) {
+  const { server, dispose } = createServer(req);
+  const owner = req.auth?.clientId ?? null;
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => crypto.randomUUID(),
+    eventStore: eventsKept > 0 ? createEventStore(eventsKept) : undefined,
+    onsessioninitialized: (id) => {
+      sessions.set(id, { transport, server, dispose, owner, lastSeenAt: Date.now(), openRequests: 1 });
+      res.on('close', () => {
+        const session = sessions.get(id);
+        if (session) session.openRequests--;
+      });
+      console.log(`[mcp] session ${id} opened`);
+    }
+  });
+  transport.onclose = () => {
+    if (transport.sessionId && sessions.has(transport.sessionId)) closeSession(transport.sessionId, 'closed by client');
+  };
+  await server.connect(transport);
+  await transport.handleRequest(req, res, req.body);
+  // A failed initialize never gets a session id; nothing else will close this server
+  if (!transport.sessionId) {
+    dispose?.();
+    await server.close().catch(() => {});
+  }
+}
+
+// Handles POST, GET and DELETE on /mcp (auth is checked by the caller)
+export async function handleMcpRequest(req, res) {
+  const id = req.headers['mcp-session-id'];
+  if (!id) {
+    if (req.method === 'POST' && isInitializeRequest(req.body)) return openSession(req, res);
+    return sendError(res, 400, 'Bad Request: Mcp-Session-Id header is required (send initialize first)');
+  }
+  const session = sessions.get(id);
+  if (!session) return sendError(res, 404, 'Session not found');
+  if (session.owner !== (req.auth?.clientId ?? null)) return sendError(res, 403, 'Forbidden: session belongs to another token');
+  session.lastSeenAt = Date.now();
+  session.openRequests++;
+  res.on('close', () => {
+    session.openRequests--;
+    session.lastSeenAt = Date.now();
+    if (!needsReplayCloseWorkaround) return;
+    // Drop the replayed stream's mapping ourselves if it still points at this response
+    const streams = session.transport._streamMapping;
+    if (!(streams instanceof Map)) return;
+    for (const [streamId, stream] of streams) {
+      if (stream === res) streams.delete(streamId);
+    }
+  });
+  await session.transport.handleRequest(req, res, req.body);
+}
+
+export function mcpSessionCount() {
+  return sessions.size;
+}
+
+export async function closeAllMcpSessions() {
+  clearInterval(sweepTimer);
+  await Promise.all(Array.from(sessions.keys()).map(id => closeSession(id, 'server shutdown')));
+}
@@ -0,0 +1,264 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { onJobUpdate, getJob, getOutput, stopJob, ACTIVE_STATUSES } from './jobs.js';
+
+// Multi-step goose pipelines. Steps run one after another, each as its own goose run based on
+// the branch produced by the previous step. A step succeeds when its job completed and its
+// success conditions hold; on failure the pipeline stops, or with onFailure 'continue' moves on
+// from the branch the failed step started from. Pipelines are persisted to a JSON file; one
+// that was running when the server stopped is marked interrupted on the next start.
+//
+// Pipeline status: running → succeeded | completed_with_failures | failed | canceled | interrupted
+// Step outcome:    pending → running → succeeded | failed | canceled | skipped
+
+export const FAILURE_POLICIES = ['stop', 'continue'];
+
+const MAX_PIPELINES_KEPT = 200;
+
+const pipelines = new Map();
+let storeFile = null;
+let launchStep = null;
+
+function newId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function save() {
+  if (!storeFile) return;
+  try {
+    fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+    const tmp = storeFile + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(Array.from(pipelines.values()), null, 2), 'utf8');
+    fs.renameSync(tmp, storeFile);
+  } catch (e) {
+    console.warn(`[pipelines] failed to save ${storeFile}: ${e?.message || e}`);
+  }
+}
+
+function load() {
+  if (!storeFile) return [];
+  try {
+    return JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+  } catch (e) {
+    if (e && e.code !== 'ENOENT') console.warn(`[pipelines] failed to load ${storeFile}: ${e?.message || e}`);
+    return [];
+  }
+}
+
+// Keep the newest finished pipelines; running ones are never dropped
+function prune() {
+  const finished = Array.from(pipelines.values())
+    .filter(p => p.status !== 'running')
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  for (const p of finished.slice(MAX_PIPELINES_KEPT)) pipelines.delete(p.id);
+}
+
+function isTerminal(pipeline) {
+  return pipeline.status !== 'running';
+}
+
+function finishPipeline(pipeline, status) {
+  pipeline.status = status;
+  pipeline.finishedAt = new Date().toISOString();
+  for (const step of pipeline.steps) {
+    if (step.outcome === 'pending') step.outcome = 'skipped';
+  }
+  console.log(`[pipelines] '${pipeline.name}' ${status}`);
+  prune();
+  save();
+}
+
+// Why a finished step failed, or null when it succeeded
+function stepFailure(step, job) {
+  if (job.status !== 'completed') return `job ${job.status}${job.exitCode != null ? ` (exit code ${job.exitCode})` : ''}`;
+  const when = step.successWhen || {};
+  if (when.requireCommits && !(job.result?.totals?.commits > 0)) return 'no commits were made';
+  if (when.outputIncludes || when.outputExcludes) {
+    const out = getOutput(job.id);
+    const text = out ? out.stdout : '';
+    if (when.outputIncludes && !text.includes(when.outputIncludes)) return `output does not include '${when.outputIncludes}'`;
+    if (when.outputExcludes && text.includes(when.outputExcludes)) return `output includes '${when.outputExcludes}'`;
+  }
+  return null;
+}
+
+async function runStep(pipeline, index) {
+  const step = pipeline.steps[index];
+  pipeline.currentStep = index;
+  step.outcome = 'running';
+  step.baseBranch = pipeline.nextBranch;
+  step.startedAt = new Date().toISOString();
+  try {
+    const started = await launchStep(step, { project: pipeline.project, baseBranch: pipeline.nextBranch, priority: pipeline.priority, requestedBy: pipeline.requestedBy || null, requestedFrom: pipeline.requestedFrom || null, pipelineId: pipeline.id, stepIndex: index });
+    step.jobId = started.jobId;
+    console.log(`[pipelines] '${pipeline.name}' step ${index + 1}/${pipeline.steps.length} → job ${started.jobId}`);
+    save();
+    if (pipeline.cancelRequested) stopJob(started.jobId);
+    // The job may already have finished (e.g. a spawn error) before its id was recorded
+    const job = getJob(started.jobId);
+    if (job && !ACTIVE_STATUSES.has(job.status) && job.resultStatus !== 'pending') await stepFinished(pipeline, job);
+  } catch (e) {
+    step.outcome = 'failed';
+    step.error = String(e?.message || e);
+    step.finishedAt = new Date().toISOString();
+    await advance(pipeline, index, false);
+  }
+}
+
+async function advance(pipeline, index, succeeded) {
+  const step = pipeline.steps[index];
+  if (pipeline.cancelRequested) return finishPipeline(pipeline, 'canceled');
+  if (!succeeded && step.onFailure !== 'continue') return finishPipeline(pipeline, 'failed');
+  if (index + 1 >= pipeline.steps.length) {
+    const anyFailed = pipeline.steps.some(s => s.outcome === 'failed');
+    return finishPipeline(pipeline, anyFailed ? 'completed_with_failures' : 'succeeded');
+  }
+  await runStep(pipeline, index + 1);
+}
+
+async function stepFinished(pipeline, job) {
+  const index = pipeline.steps.findIndex(s => s.jobId === job.id);
+  const step = pipeline.steps[index];
+  if (!step || step.outcome !== 'running') return;
+  step.status = job.status;
+  step.finishedAt = job.finishedAt || new Date().toISOString();
+  step.baseBranch = job.baseBranch ?? step.baseBranch;
+  step.branch = job.result?.branch ?? job.branch ?? null;
+  step.previewUrl = job.result?.previewUrl ?? null;
+  if (pipeline.cancelRequested && job.status !== 'completed') {
+    step.outcome = 'canceled';
+  } else {
+    const failure = stepFailure(step, job);
+    step.outcome = failure ? 'failed' : 'succeeded';
+    if (failure) step.error = failure;
+  }
+  // A successful step hands its branch to the next one; after a failure the next step starts
+  // from the same branch the failed one did
+  if (step.outcome === 'succeeded' && step.branch) pipeline.nextBranch = step.branch;
+  save();
+  await advance(pipeline, index, step.outcome === 'succeeded');
+}
+
+function handleUpdate(u) {
+  if (u.kind !== 'status' || ACTIVE_STATUSES.has(u.status)) return;
+  const job = getJob(u.jobId);
+  if (!job || !job.pipelineId || job.resultStatus === 'pending') return;
+  const pipeline = pipelines.get(job.pipelineId);
+  if (!pipeline || isTerminal(pipeline)) return;
+  stepFinished(pipeline, job).catch(e => console.warn(`[pipelines] '${pipeline.name}' failed to advance: ${e?.message || e}`));
+}
+
+export function initPipelines({ file, launch }) {
+  storeFile = file || null;
+  launchStep = launch;
+  let interrupted = 0;
+  for (const rec of load()) {
+    if (!rec || !rec.id) continue;
+    pipelines.set(rec.id, rec);
+    if (rec.status !== 'running') continue;
+    for (const step of rec.steps) {
+      if (step.outcome === 'running') {
+        step.outcome = 'failed';
+        step.error = 'server restarted while the step was running';
+      }
+    }
+    finishPipeline(rec, 'interrupted');
+    interrupted++;
+  }
+  onJobUpdate(handleUpdate);
+  return { loaded: pipelines.size, interrupted };
+}
+
+// steps: [{ name?, text | recipe, params?, timeoutMinutes?, successWhen?, onFailure? }]
+export async function startPipeline({ name, project = null, branch, priority = 0, requestedBy = null, requestedFrom = null, steps }) {
+  if (!steps || !steps.length) throw new Error('a pipeline needs at least one step');
+  steps.forEach((s, i) => {
+    if (!s.text === !s.recipe) throw new Error(`step ${i + 1}: exactly one of text or recipe is required`);
+  });
+  const pipeline = {
+    id: newId(),
+    name: name || `pipeline (${steps.length} steps)`,
+    status: 'running',
+    project,
+    branch: branch || null,
+    nextBranch: branch || null,
+    priority,
+    requestedBy,
+    requestedFrom,
+    currentStep: 0,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    steps: steps.map((s, i) => ({
+      index: i,
+      name: s.name || (s.text ? s.text.slice(0, 60) : s.recipe),
+      text: s.text || null,
+      recipe: s.recipe || null,
+      params: s.params || null,
+      timeoutMinutes: s.timeoutMinutes || null,
+      successWhen: s.successWhen || null,
+      onFailure: s.onFailure || 'stop',
+      outcome: 'pending',
+      jobId: null,
+      status: null,
+      baseBranch: null,
+      branch: null,
+      previewUrl: null,
+      error: null,
+      startedAt: null,
+      finishedAt: null
+    }))
+  };
+  pipelines.set(pipeline.id, pipeline);
+  save();
+  await runStep(pipeline, 0);
+  return pipelineStatus(pipeline.id);
+}
+
+// Roll-up view: the pipeline status plus each step with its job's live status
+export function pipelineStatus(id) {
+  const pipeline = pipelines.get(id);
+  if (!pipeline) return null;
+  const { nextBranch, cancelRequested, ...rest } = pipeline;
+  const steps = pipeline.steps.map(s => {
+    const job = s.jobId && getJob(s.jobId);
+    return { ...s, status: job ? job.status : s.status };
+  });
+  const counts = {};
+  for (const s of steps) counts[s.outcome] = (counts[s.outcome] || 0) + 1;
+  return {
+    ...rest,
+    finalBranch: pipeline.status === 'running' ? null : nextBranch,
+    progress: { total: steps.length, ...counts },
+    steps
+  };
+}
+
+export function listPipelines({ status, limit = 20 } = {}) {
+  return Array.from(pipelines.values())
+    .filter(p => !status || p.status === status)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    .slice(0, limit)
+    .map(p => ({
+      id: p.id,
+      name: p.name,
+      project: p.project ?? null,
+      status: p.status,
+      currentStep: p.currentStep,
+      steps: p.steps.length,
+      createdAt: p.createdAt,
+      finishedAt: p.finishedAt
+    }));
+}
+
+// Stop the running step and skip the rest; the pipeline becomes 'canceled' once that job ends
+export function stopPipeline(id) {
+  const pipeline = pipelines.get(id);
+  if (!pipeline) return { ok: false, reason: 'not_found' };
+  if (isTerminal(pipeline)) return { ok: false, reason: `pipeline already ${pipeline.status}` };
+  pipeline.cancelRequested = true;
+  const step = pipeline.steps[pipeline.currentStep];
+  const stopped = step?.jobId ? stopJob(step.jobId) : null;
+  save();
+  return { ok: true, step: pipeline.currentStep, job: stopped };
+}
@@ -1,9 +1,13 @@
 /**
  * Preview UI component - injected into HTML pages
- * Provides branch switching, live reload, and Goose run interface
+ * Provides branch switching, live reload, changes vs main and Goose run interface
  */
 
-export function buildPreviewUI(branches, currentPath = '/') {
+import { LOGOUT_PATH } from './web-auth.js';
+
+// project is the project the page belongs to; basePath is where its main site is served.
+// user is the signed-in token name, canRun whether it may start runs, csrfToken goes with every POST.
+export function buildPreviewUI(branches, currentPath = '/', { project = null, basePath = '/', user = null, canRun = false, csrfToken = null } = {}) {
   const sortedBranches = branches.sort((a, b) => {
     // Sort by modification time if available, otherwise alphabetically
     if (a.mtime && b.mtime) return b.mtime - a.mtime;
@@ -35,6 +39,11 @@ export function buildPreviewUI(branches, currentPath = '/') {
     ._goose_ui .branch:hover{background:#18324a}
     ._goose_ui .branch.active{background:#29557a;color:#fff;font-weight:500}
     ._goose_ui .branch.hidden{display:none}
+    ._goose_ui .compare{display:none;border-top:1px solid #2a3b4a;padding:8px 14px}
+    ._goose_ui .compare.show{display:block}
+    ._goose_ui .compare button{width:100%;padding:7px 12px;background:#18324a;border:1px solid #2a3b4a;border-radius:6px;color:#bde0fe;font-size:12px;cursor:pointer}
+    ._goose_ui .compare button:hover{background:#29557a}
+    ._goose_ui .result ul{margin:6px 0;padding-left:16px}
     ._goose_ui .run-section{border-top:1px solid #2a3b4a;padding:12px 14px}
     ._goose_ui .run-section label{display:block;font-size:12px;color:#8ba3b5;margin-bottom:6px;font-weight:500}
     ._goose_ui .run-section .branch-info{font-size:11px;color:#6b8a9a;margin-bottom:8px;font-style:italic}
@@ -45,6 +54,12 @@ export function buildPreviewUI(branches, currentPath = '/') {
     ._goose_ui .run-section button:disabled{background:#374151;cursor:not-allowed}
     ._goose_ui .hint{padding:8px 14px;font-size:12px;color:#4ade80;background:#0a1419;border-top:1px solid #2a3b4a;opacity:0;transition:opacity .25s}
     ._goose_ui .hint.show{opacity:1}
+    ._goose_ui .result{display:none;padding:8px 14px;font-size:12px;color:#dfe9f1;background:#0a1419;border-top:1px solid #2a3b4a}
+    ._goose_ui .result.show{display:block}
+    ._goose_ui .result a{color:#bde0fe}
+    ._goose_ui .account{display:flex;align-items:center;justify-content:space-between;padding:6px 14px;font-size:11px;color:#6b8a9a;border-top:1px solid #2a3b4a}
+    ._goose_ui .account form{margin:0}
+    ._goose_ui .account button{background:none;border:none;color:#8ba3b5;cursor:pointer;font-size:11px;padding:0;text-decoration:underline}
   </style>`;
 
   const markup = `
@@ -56,7 +71,7 @@ export function buildPreviewUI(branches, currentPath = '/') {
     </div>
     <div class="panel" id="_goose_panel">
       <div class="header">
-        <h3>Preview & Run</h3>
+        <h3>Preview & Run${project ? ` · ${escapeHtml(project)}` : ''}</h3>
         <button class="close" id="_goose_close">×</button>
       </div>
       <div class="search">
@@ -65,19 +80,30 @@ export function buildPreviewUI(branches, currentPath = '/') {
       <div class="branches" id="_goose_branches">
         ${sortedBranches.map(b => `<a href="${b.url}" class="branch ${currentPath.startsWith(b.url) ? 'active' : ''}" data-name="${b.name.toLowerCase()}">${b.name}</a>`).join('')}
       </div>
-      <div class="run-section">
+      <div class="compare" id="_goose_compare">
+        <button id="_goose_compare_btn">Changes vs main</button>
+      </div>
+      ${canRun ? `<div class="run-section">
         <label for="_goose_instruction">Run Goose Task:</label>
         <div class="branch-info" id="_goose_branch_info">Will branch from: <span id="_goose_current_branch">main</span></div>
         <textarea id="_goose_instruction" placeholder="Enter your instruction for Goose..."></textarea>
         <button id="_goose_run_btn">Run Task</button>
-      </div>
+      </div>` : ''}
       <div class="hint" id="_goose_hint"></div>
+      <div class="result" id="_goose_result"></div>
+      ${user ? `<div class="account">
+        <span>Signed in as ${escapeHtml(user)}</span>
+        <form method="post" action="${LOGOUT_PATH}"><input type="hidden" name="csrf" value="${escapeHtml(csrfToken || '')}"><button type="submit">Sign out</button></form>
+      </div>` : ''}
     </div>
   </div>`;
 
   const script = `
   <script>
     (function(){
+      var PROJECT = ${JSON.stringify(project)};
+      var BASE_PATH = ${JSON.stringify(basePath)};
+      var CSRF_TOKEN = ${JSON.stringify(csrfToken)};
       var toggle = document.getElementById('_goose_toggle');
       var panel = document.getElementById('_goose_panel');
       var close = document.getElementById('_goose_close');
@@ -87,11 +113,14 @@ export function buildPreviewUI(branches, currentPath = '/') {
       var runBtn = document.getElementById('_goose_run_btn');
       var hint = document.getElementById('_goose_hint');
       var currentBranchSpan = document.getElementById('_goose_current_branch');
+      var resultBox = document.getElementById('_goose_result');
+      var compareBox = document.getElementById('_goose_compare');
+      var compareBtn = document.getElementById('_goose_compare_btn');
 
       // Detect and display current branch
       function detectCurrentBranch() {
         var branch = 'main';
-        var path = window.location.pathname;
+        var path = '/' + window.location.pathname.slice(BASE_PATH.length);
         if (path.startsWith('/.preview/')) {
           var parts = path.split('/');
           if (parts.length >= 3) {
@@ -112,6 +141,72 @@ export function buildPreviewUI(branches, currentPath = '/') {
         setTimeout(function(){ hint.classList.remove('show'); }, duration || 3000);
       }
 
+      // Poll a started run until its change summary is ready, then link to the preview
+      function watchResult(url) {
+        if (!url) return;
+        fetch(url)
+          .then(function(res){ return res.json(); })
+          .then(function(data){
+            if (data.error) return;
+            if (data.resultStatus === 'pending' || !data.resultStatus) {
+              setTimeout(function(){ watchResult(url); }, 5000);
+              return;
+            }
+            resultBox.textContent = '';
+            var r = data.result || {};
+            var t = r.totals || {};
+            var summary = document.createElement('div');
+            summary.textContent = data.status + (r.branch ? ' on ' + r.branch : '') + ': ' +
+              (t.commits || 0) + ' commit(s), ' + (t.files || 0) + ' file(s), +' + (t.additions || 0) + '/-' + (t.deletions || 0);
+            resultBox.appendChild(summary);
+            if (r.previewUrl) {
+              var link = document.createElement('a');
+              // Same server, so keep only the path (the URL is built with localhost)
+              link.href = new URL(r.previewUrl).pathname;
+              link.textContent = 'Open preview';
+              resultBox.appendChild(link);
+            }
+            resultBox.classList.add('show');
+          })
+          .catch(function(){ setTimeout(function(){ watchResult(url); }, 10000); });
+      }
+
+      // What the previewed branch changed since it left main (GET /api/compare)
+      function compareUrl(extra) {
+        return '/api/compare?base=main&head=' + encodeURIComponent(currentBranch) +
+          (PROJECT ? '&project=' + encodeURIComponent(PROJECT) : '') + extra;
+      }
+      if (currentBranch !== 'main') compareBox.classList.add('show');
+      compareBtn.addEventListener('click', function(){
+        compareBtn.disabled = true;
+        fetch(compareUrl('&diff=false'))
+          .then(function(res){ return res.json(); })
+          .then(function(data){
+            if (data.error) return showHint('Error: ' + data.error, 5000);
+            var t = data.totals || {};
+            resultBox.textContent = '';
+            var summary = document.createElement('div');
+            summary.textContent = data.ahead + ' commit(s) ahead of main' + (data.behind ? ', ' + data.behind + ' behind' : '') + ': ' +
+              (t.files || 0) + ' file(s), +' + (t.additions || 0) + '/-' + (t.deletions || 0);
+            resultBox.appendChild(summary);
+            var list = document.createElement('ul');
+            (data.files || []).slice(0, 10).forEach(function(f){
+              var item = document.createElement('li');
+              item.textContent = f.status + ' ' + f.path + (f.binary ? ' (binary)' : ' +' + f.additions + '/-' + f.deletions);
+              list.appendChild(item);
+            });
+            resultBox.appendChild(list);
+            var link = document.createElement('a');
+            link.href = compareUrl('&format=patch');
+            link.target = '_blank';
+            link.textContent = 'View diff';
+            resultBox.appendChild(link);
+            resultBox.classList.add('show');
+          })
+          .catch(function(err){ showHint(err.message || 'Request failed', 5000); })
+          .finally(function(){ compareBtn.disabled = false; });
+      });
+
       toggle.addEventListener('click', function(){
         panel.classList.toggle('open');
       });
@@ -133,7 +228,7 @@ export function buildPreviewUI(branches, currentPath = '/') {
         });
       });
 
-      runBtn.addEventListener('click', function(){
+      if (runBtn) runBtn.addEventListener('click', function(){
         var text = instruction.value.trim();
         if (!text) {
           showHint('Please enter an instruction', 2000);
@@ -144,23 +239,21 @@ export function buildPreviewUI(branches, currentPath = '/') {
         
         fetch('/api/run', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ text: text, branch: currentBranch })
-        })
-        .then(function(res){ 
-          if (res.status === 409) {
-            return res.json().then(function(data) {
-              throw new Error(data.error || 'Another task is already running');
-            });
-          }
-          return res.json(); 
+          headers: CSRF_TOKEN ? { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN } : { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ text: text, branch: currentBranch, project: PROJECT || undefined })
         })
+        .then(function(res){ return res.json(); })
         .then(function(data){
           if (data.error) {
             showHint('Error: ' + data.error, 5000);
+          } else if (data.status === 'queued') {
+            showHint('Task queued (position ' + data.queuePosition + '): ' + data.jobId, 4000);
+            instruction.value = '';
+            watchResult(data.resultUrl);
           } else {
             showHint('Task started: ' + data.jobId, 3000);
             instruction.value = '';
+            watchResult(data.resultUrl);
           }
         })
         .catch(function(err){
@@ -178,6 +271,8 @@ export function buildPreviewUI(branches, currentPath = '/') {
         es.addEventListener('reload', function(ev){
           var data = {};
           try { data = JSON.parse(ev.data || '{}'); } catch(_) {}
+          // Publishes of other projects do not affect this site
+          if (data.project && PROJECT && data.project !== PROJECT) return;
           showHint('Updated ' + (data.branch || 'site') + ' — reloading…', 650);
           setTimeout(function(){ location.reload(); }, 650);
         });
@@ -187,3 +282,7 @@ export function buildPreviewUI(branches, currentPath = '/') {
 
   return styles + markup + script;
 }
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
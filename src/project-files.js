@@ -0,0 +1,180 @@
+import { execFile } from 'node:child_process';
+import path from 'node:path';
+import { tryGit } from './git.js';
+import { currentBranch } from './worktree.js';
+import { isSubPath } from './publish.js';
+
+// Read-only access to a project's files at any branch or commit, for project_list_files,
+// project_read_file and project_search. Everything is read from git objects (ls-tree, cat-file,
+// grep on the commit), never from the checkout, and every path is kept inside the project dir:
+// paths are normalized, '..' and absolute paths are refused, and when the project dir is a
+// subdirectory of its repository only that subtree is visible.
+
+const MAX_FILE_BYTES = 1024 * 1024;
+const DEFAULT_READ_BYTES = 100 * 1024;
+const MAX_LISTED_FILES = 5000;
+const MAX_SEARCH_RESULTS = 500;
+const MAX_LINE_CHARS = 500;
+const SEARCH_OUTPUT_BYTES = 16 * 1024 * 1024;
+const BINARY_SNIFF_BYTES = 8000;
+const REF_RE = /^[A-Za-z0-9._\/~^@{}-]+$/;
+
+// A caller-supplied path as a clean 'a/b/c' relative to the project dir ('' for the root)
+export function projectPath(project, input = '') {
+  const raw = String(input).replace(/\\/g, '/');
+  if (raw.includes('\0')) throw new Error('invalid path');
+  if (raw.startsWith('/')) throw new Error(`path must be relative to the project: ${input}`);
+  const parts = raw.split('/').filter(p => p && p !== '.');
+  if (parts.includes('..') || !isSubPath(project.dir, path.join(project.dir, ...parts))) {
+    throw new Error(`path escapes the project: ${input}`);
+  }
+  return parts.join('/');
+}
+
+// Glob with '**' (any dirs), '*' and '?'; a pattern without '/' matches the file name in any dir
+export function globMatcher(pattern) {
+  if (!pattern) return () => true;
+  let src = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      src += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (c === '*') src += '[^/]*';
+    else if (c === '?') src += '[^/]';
+    else src += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  const re = new RegExp(`^${src}$`);
+  return pattern.includes('/') ? (p) => re.test(p) : (p) => re.test(path.posix.basename(p));
+}
+
+function gitBuffer(cwd, args, maxBuffer) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, encoding: 'buffer', maxBuffer, windowsHide: true }, (error, stdout, stderr) => {
+      if (error && error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') resolve({ data: stdout, overflow: true });
+      // git grep exits 1 when nothing matched
+      else if (error && !(args[0] === 'grep' && error.code === 1)) reject(new Error(`git ${args[0]} failed: ${(stderr?.toString() || error.message).trim()}`));
+      else resolve({ data: stdout, overflow: false });
+    });
+  });
+}
+
+// Branch name (preferred) or any commit-ish → { ref, commit, prefix }; ref defaults to the
+// checked-out branch. prefix is the project dir's path inside its repository ('' at the top).
+export async function resolveProjectRef(project, ref) {
+  const wanted = ref || await currentBranch(project.dir);
+  if (!REF_RE.test(wanted) || wanted.startsWith('-') || wanted.includes('..')) throw new Error(`invalid ref: ${wanted}`);
+  const commit = await tryGit(project.dir, ['rev-parse', '--verify', '--quiet', `refs/heads/${wanted}^{commit}`])
+    || await tryGit(project.dir, ['rev-parse', '--verify', '--quiet', '--end-of-options', `${wanted}^{commit}`]);
+  if (!commit) throw new Error(`no branch or commit '${wanted}' in project '${project.name}'`);
+  const prefix = (await tryGit(project.dir, ['rev-parse', '--show-prefix'])) || '';
+  return { ref: wanted, commit, prefix };
+}
+
+function looksBinary(data) {
+  return data.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
+
+// Files under dir (recursively, or its direct entries), optionally filtered by a glob
+export async function listProjectFiles(project, { ref, dir = '', glob, recursive = true, limit = 500 } = {}) {
+  const { ref: resolved, commit, prefix } = await resolveProjectRef(project, ref);
+  const rel = projectPath(project, dir);
+  const treePath = prefix + rel;
+  const args = ['ls-tree', '-z', '--long', '--full-tree', ...(recursive ? ['-r'] : []), commit];
+  if (treePath) args.push('--', recursive ? treePath : `${treePath}/`);
+  const out = await tryGit(project.dir, args);
+  if (out === null) throw new Error(`cannot list '${rel || '.'}' at ${resolved}`);
+  const match = globMatcher(glob);
+  const max = Math.min(Math.max(1, limit), MAX_LISTED_FILES);
+  const files = [];
+  let total = 0;
+  for (const line of out.split('\0').filter(Boolean)) {
+    const tab = line.indexOf('\t');
+    const [mode, kind, , size] = line.slice(0, tab).split(/\s+/);
+    const full = line.slice(tab + 1);
+    if (!full.startsWith(prefix)) continue;
+    const filePath = full.slice(prefix.length);
+    if (kind === 'commit' || !match(filePath)) continue; // submodules
+    total++;
+    if (files.length < max) {
+      files.push({
+        path: filePath,
+        type: kind === 'tree' ? 'directory' : mode === '120000' ? 'symlink' : 'file',
+        ...(kind === 'blob' ? { size: Number(size) } : {})
+      });
+    }
+  }
+  if (rel && !total && !glob) throw new Error(`not found at ${resolved}: ${rel}`);
+  return { ref: resolved, commit, dir: rel, total, files, ...(total > files.length ? { truncated: true } : {}) };
+}
+
+// A text file's content, whole or a 1-based line range, cut at maxBytes. Binary files are
+// reported without content, symlinks with their target.
+export async function readProjectFile(project, { ref, path: filePath, startLine, endLine, maxBytes = DEFAULT_READ_BYTES } = {}) {
+  const { ref: resolved, commit, prefix } = await resolveProjectRef(project, ref);
+  const rel = projectPath(project, filePath);
+  if (!rel) throw new Error('path is required');
+  const entry = await tryGit(project.dir, ['ls-tree', '-z', '--long', '--full-tree', commit, '--', prefix + rel]);
+  const [mode, type, object, size] = (entry || '').split('\t')[0].split(/\s+/);
+  if (type === 'tree') throw new Error(`'${rel}' is a directory; use project_list_files`);
+  if (type !== 'blob') throw new Error(`not found at ${resolved}: ${rel}`);
+  const base = { ref: resolved, commit, path: rel, size: Number(size) };
+  if (base.size > MAX_FILE_BYTES) throw new Error(`file is too large to read (${size} bytes, limit ${MAX_FILE_BYTES})`);
+  const { data } = await gitBuffer(project.dir, ['cat-file', 'blob', object], MAX_FILE_BYTES + 1024);
+  // A symlink's blob is its target path; it is reported, never followed
+  if (mode === '120000') return { ...base, symlink: true, target: data.toString('utf8') };
+  if (looksBinary(data)) return { ...base, binary: true };
+
+  const lines = data.toString('utf8').split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  const from = Math.max(1, startLine || 1);
+  const to = Math.min(lines.length, endLine || lines.length);
+  if (from > lines.length && lines.length) throw new Error(`startLine ${from} is past the end of the file (${lines.length} lines)`);
+  let content = lines.slice(from - 1, to).join('\n');
+  const cap = Math.min(Math.max(1, maxBytes), MAX_FILE_BYTES);
+  let truncated = false;
+  if (Buffer.byteLength(content) > cap) {
+    content = Buffer.from(content).subarray(0, cap).toString('utf8').replace(/\uFFFD$/, '');
+    truncated = true;
+  }
+  return { ...base, binary: false, totalLines: lines.length, startLine: from, endLine: to, content, ...(truncated ? { truncated: true } : {}) };
+}
+
+// Matching lines in text files (git grep on the commit; binary files are skipped). pattern is a
+// fixed string unless regex is set (POSIX extended syntax).
+export async function searchProject(project, { ref, pattern, regex = false, ignoreCase = false, dir = '', glob, maxResults = 100 } = {}) {
+  if (!pattern) throw new Error('pattern is required');
+  const { ref: resolved, commit, prefix } = await resolveProjectRef(project, ref);
+  const rel = projectPath(project, dir);
+  const args = ['grep', '-n', '-z', '-I', '--full-name', regex ? '-E' : '-F', ...(ignoreCase ? ['-i'] : []), '-e', pattern, commit, '--', `:(top)${prefix}${rel}`];
+  const { data, overflow } = await gitBuffer(project.dir, args, SEARCH_OUTPUT_BYTES);
+  const match = globMatcher(glob);
+  const max = Math.min(Math.max(1, maxResults), MAX_SEARCH_RESULTS);
+  const results = [];
+  const files = new Set();
+  let total = 0;
+  // Each match is '<commit>:<path>\0<line>\0<text>\n'
+  for (const record of data.toString('utf8').split('\n')) {
+    const [where, lineNo, ...text] = record.split('\0');
+    if (lineNo === undefined) continue;
+    const full = where.slice(commit.length + 1);
+    if (!full.startsWith(prefix)) continue;
+    const filePath = full.slice(prefix.length);
+    if (!match(filePath)) continue;
+    total++;
+    files.add(filePath);
+    if (results.length < max) {
+      const line = text.join('\0');
+      results.push({ path: filePath, line: Number(lineNo), text: line.length > MAX_LINE_CHARS ? line.slice(0, MAX_LINE_CHARS) + '…' : line });
+    }
+  }
+  return {
+    ref: resolved,
+    commit,
+    pattern,
+    totalMatches: total,
+    filesMatched: files.size,
+    results,
+    ...(total > results.length || overflow ? { truncated: true } : {})
+  };
+}
@@ -0,0 +1,240 @@
+import { EventEmitter } from 'node:events';
+import { execFile } from 'node:child_process';
+import path from 'node:path';
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { tryGit } from './git.js';
+import { resolveProject, listProjectDirs } from './projects.js';
+import { previewUrl } from './publish.js';
+import { currentBranch } from './worktree.js';
+
+// Project content as MCP resources, read from git objects so they reflect committed branches and
+// never depend on what is checked out:
+// - project://<branch>/<path>  a file (text or base64 blob) or a directory listing (JSON)
+// - branch://<branch>          a branch: head commit, recent commits, preview URL and its files
+// Branch names are percent-encoded (feature%2Fx). Projects other than the default one add
+// ?project=<name>. Subscribers are notified when the branch changes (see notifyBranchChanged).
+
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_LISTED_FILES = 1000;
+const RECENT_COMMITS = 10;
+const LIST_CHANGED_THROTTLE_MS = 1000;
+
+const MIME_TYPES = {
+  '.html': 'text/html', '.htm': 'text/html', '.css': 'text/css', '.js': 'text/javascript', '.mjs': 'text/javascript',
+  '.json': 'application/json', '.md': 'text/markdown', '.txt': 'text/plain', '.csv': 'text/csv',
+  '.xml': 'application/xml', '.svg': 'image/svg+xml', '.yaml': 'application/yaml', '.yml': 'application/yaml',
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp',
+  '.ico': 'image/x-icon', '.pdf': 'application/pdf', '.woff': 'font/woff', '.woff2': 'font/woff2'
+};
+
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+// Called whenever a project's branch was committed to or created; branch 'all' means any branch
+export function notifyBranchChanged(project, branch) {
+  changes.emit('change', { project, branch });
+}
+
+function projectQuery(project) {
+  return project.isDefault ? '' : `?project=${encodeURIComponent(project.name)}`;
+}
+
+function encodePath(filePath) {
+  return filePath.split('/').map(encodeURIComponent).join('/');
+}
+
+export function projectFileUri(project, branch, filePath) {
+  return `project://${encodeURIComponent(branch)}/${encodePath(filePath)}${projectQuery(project)}`;
+}
+
+export function branchUri(project, branch) {
+  return `branch://${encodeURIComponent(branch)}${projectQuery(project)}`;
+}
+
+// project://<branch>/<path>?project=<name> or branch://<branch>?project=<name> → parts, or null
+function parseUri(href) {
+  const m = /^(project|branch):\/\/([^/?]+)(?:\/([^?]*))?(?:\?(.*))?$/.exec(href);
+  if (!m) return null;
+  try {
+    return {
+      scheme: m[1],
+      branch: decodeURIComponent(m[2]),
+      filePath: (m[3] || '').split('/').filter(Boolean).map(decodeURIComponent).join('/'),
+      project: new URLSearchParams(m[4] || '').get('project')
+    };
+  } catch (_) {
+    return null;
+  }
+}
+
+function mimeTypeOf(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+function gitBuffer(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, encoding: 'buffer', maxBuffer: MAX_FILE_BYTES + 1024, windowsHide: true }, (error, stdout, stderr) => {
+      if (error) reject(new Error(`git ${args[0]} failed: ${(stderr?.toString() || error.message).trim()}`));
+      else resolve(stdout);
+    });
+  });
+}
+
+async function requireBranch(project, branch) {
+  const ref = `refs/heads/${branch}`;
+  if (!(await tryGit(project.dir, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]))) {
+    throw new Error(`branch not found in project '${project.name}': ${branch}`);
+  }
+  return ref;
+}
+
+async function listFiles(project, ref, limit = MAX_LISTED_FILES) {
+  const out = await tryGit(project.dir, ['ls-tree', '-r', '-z', '--name-only', ref]);
+  const files = out ? out.split('\0').filter(Boolean) : [];
+  return { files: files.slice(0, limit), total: files.length };
+}
+
+async function readProjectPath(uri, parts) {
+  const project = resolveProject(parts.project);
+  const ref = await requireBranch(project, parts.branch);
+  const spec = `${ref}:${parts.filePath}`;
+  const type = await tryGit(project.dir, ['cat-file', '-t', spec]);
+  if (type === 'tree') {
+    const out = await tryGit(project.dir, ['ls-tree', '-z', '--long', spec]);
+    const entries = (out || '').split('\0').filter(Boolean).map(line => {
+      const [meta, name] = line.split('\t');
+      const [, kind, , size] = meta.split(/\s+/);
+      const entryPath = parts.filePath ? `${parts.filePath}/${name}` : name;
+      return {
+        name,
+        type: kind === 'tree' ? 'directory' : 'file',
+        ...(kind === 'blob' ? { size: Number(size) } : {}),
+        uri: projectFileUri(project, parts.branch, entryPath)
+      };
+    });
+    const text = JSON.stringify({ project: project.name, branch: parts.branch, path: parts.filePath, entries }, null, 2);
+    return { contents: [{ uri: uri.href, mimeType: 'application/json', text }] };
+  }
+  if (type !== 'blob') throw new Error(`not found on branch '${parts.branch}': ${parts.filePath}`);
+  const size = Number(await tryGit(project.dir, ['cat-file', '-s', spec]));
+  if (size > MAX_FILE_BYTES) throw new Error(`file is too large to read as a resource (${size} bytes, limit ${MAX_FILE_BYTES})`);
+  const data = await gitBuffer(project.dir, ['cat-file', 'blob', spec]);
+  const mimeType = mimeTypeOf(parts.filePath);
+  const unknown = mimeType === 'application/octet-stream';
+  // Text unless the type says otherwise; unknown types are text when they contain no NUL byte
+  if ((!unknown && !/^text\/|json|xml|yaml/.test(mimeType)) || data.includes(0)) {
+    return { contents: [{ uri: uri.href, mimeType, blob: data.toString('base64') }] };
+  }
+  return { contents: [{ uri: uri.href, mimeType: unknown ? 'text/plain' : mimeType, text: data.toString('utf8') }] };
+}
+
+async function branchDocument(project, branch) {
+  const ref = await requireBranch(project, branch);
+  const log = await tryGit(project.dir, ['log', `-${RECENT_COMMITS}`, '--format=%H%x1f%cI%x1f%an%x1f%s', ref]);
+  const commits = (log || '').split('\n').filter(Boolean).map(line => {
+    const [commit, date, author, subject] = line.split('\x1f');
+    return { commit, date, author, subject };
+  });
+  const { files, total } = await listFiles(project, ref);
+  return {
+    project: project.name,
+    branch,
+    current: (await currentBranch(project.dir)) === branch,
+    head: commits[0] || null,
+    recentCommits: commits,
+    previewUrl: previewUrl(branch, project.isDefault ? null : project.name),
+    totalFiles: total,
+    files: files.map(f => ({ path: f, uri: projectFileUri(project, branch, f) })),
+    ...(total > files.length ? { filesTruncated: true } : {})
+  };
+}
+
+async function projectBranches(project) {
+  const out = await tryGit(project.dir, ['for-each-ref', '--format=%(refname:short)', 'refs/heads/']);
+  return (out || '').split('\n').filter(Boolean);
+}
+
+// Register project:// and branch:// on an McpServer and notify its subscribers of branch changes.
+// Returns a function that stops the notifications, for when the server's session ends.
+export function registerProjectResources(server, subscriptions) {
+  let listChangedTimer = null;
+  const onChange = ({ project, branch }) => {
+    subscriptions.notifyMatching((uri) => {
+      const parts = parseUri(uri);
+      if (!parts) return false;
+      try {
+        if (resolveProject(parts.project).name !== project) return false;
+      } catch (_) {
+        return false;
+      }
+      return branch === 'all' || parts.branch === branch;
+    });
+    // A new branch (e.g. from a finished job) also changes what resources/list returns
+    if (!listChangedTimer) {
+      listChangedTimer = setTimeout(() => {
+        listChangedTimer = null;
+        server.sendResourceListChanged();
+      }, LIST_CHANGED_THROTTLE_MS);
+    }
+  };
+  changes.on('change', onChange);
+
+  // Files of each project's checked-out branch; other branches are reachable through branch://
+  const listFilesOfCurrentBranches = async () => {
+    const resources = [];
+    for (const project of listProjectDirs()) {
+      const branch = await currentBranch(project.dir);
+      if (resources.length >= MAX_LISTED_FILES) break;
+      const { files } = await listFiles(project, `refs/heads/${branch}`, MAX_LISTED_FILES - resources.length);
+      for (const f of files) {
+        resources.push({ uri: projectFileUri(project, branch, f), name: `${project.name}:${branch}:${f}`, mimeType: mimeTypeOf(f) });
+      }
+    }
+    return { resources };
+  };
+
+  const listAllBranches = async () => {
+    const resources = [];
+    for (const project of listProjectDirs()) {
+      for (const branch of await projectBranches(project)) {
+        resources.push({ uri: branchUri(project, branch), name: `${project.name}:${branch}`, mimeType: 'application/json' });
+      }
+    }
+    return { resources };
+  };
+
+  server.registerResource(
+    'project-file',
+    new ResourceTemplate('project://{branch}/{+path}', { list: listFilesOfCurrentBranches }),
+    {
+      title: 'Project File',
+      description: 'A file or directory of a project as committed on a branch (read from git, not the checkout). Append ?project=<name> for projects other than the default one. Subscribable: updated when the branch changes.'
+    },
+    async (uri) => {
+      const parts = parseUri(uri.href);
+      if (!parts || parts.scheme !== 'project') throw new Error(`invalid project resource: ${uri.href}`);
+      return readProjectPath(uri, parts);
+    }
+  );
+
+  server.registerResource(
+    'branch',
+    new ResourceTemplate('branch://{branch}', { list: listAllBranches }),
+    {
+      title: 'Branch',
+      description: 'A branch of a project: head commit, recent commits, preview URL and its files. Append ?project=<name> for projects other than the default one. Subscribable.',
+      mimeType: 'application/json'
+    },
+    async (uri) => {
+      const parts = parseUri(uri.href);
+      if (!parts || parts.scheme !== 'branch') throw new Error(`invalid branch resource: ${uri.href}`);
+      const doc = await branchDocument(resolveProject(parts.project), parts.branch);
+      return { contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(doc, null, 2) }] };
+    }
+  );
+
+  return () => {
+    changes.off('change', onChange);
+    clearTimeout(listChangedTimer);
+  };
+}
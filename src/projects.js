@@ -0,0 +1,96 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { isSubPath } from './publish.js';
+
+// Projects: one git working tree per site, each a directory directly under the projects base
+// dir (GOOSE_PROJECTS_DIR) and addressed by its name. The default project is the configured
+// scope dir (PROJECT_NAME / GOOSE_SCOPE_DIR) and is used whenever a tool gets no project.
+// Archiving moves a project to <base>/.archive/, out of reach of every tool.
+
+export const PROJECT_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const ARCHIVE_DIR = '.archive';
+
+let baseDir = null;
+let defaultProject = null;
+
+export function initProjects({ baseDir: base, defaultDir }) {
+  baseDir = path.resolve(base);
+  const dir = path.resolve(defaultDir);
+  const inBase = path.dirname(dir) === baseDir;
+  defaultProject = {
+    name: inBase ? path.basename(dir) : path.basename(dir).replace(/[^A-Za-z0-9._-]+/g, '_') || 'app',
+    dir,
+    isDefault: true
+  };
+  fs.mkdirSync(baseDir, { recursive: true });
+  return defaultProject;
+}
+
+export function getDefaultProject() {
+  return defaultProject;
+}
+
+export function validateProjectName(name) {
+  if (typeof name !== 'string' || !PROJECT_NAME_RE.test(name) || name.includes('..')) {
+    throw new Error(`invalid project name '${name}': use letters, digits, '.', '_' or '-' (max 64, not starting with '.')`);
+  }
+  return name;
+}
+
+// Map a project name to its directory; throws unless it is an existing project inside the base dir
+export function resolveProject(name) {
+  if (!name || name === defaultProject.name) return defaultProject;
+  validateProjectName(name);
+  const dir = path.join(baseDir, name);
+  let real;
+  try {
+    real = fs.realpathSync(dir);
+  } catch (_) {
+    throw new Error(`project not found: ${name}`);
+  }
+  // A symlinked project must not lead outside the base dir
+  if (!isSubPath(fs.realpathSync(baseDir), real) || !fs.statSync(real).isDirectory()) {
+    throw new Error(`project not found: ${name}`);
+  }
+  return { name, dir, isDefault: false };
+}
+
+export function listProjectDirs() {
+  const out = [defaultProject];
+  let entries = [];
+  try {
+    entries = fs.readdirSync(baseDir, { withFileTypes: true });
+  } catch (_) {}
+  for (const ent of entries) {
+    if (!ent.isDirectory() || !PROJECT_NAME_RE.test(ent.name) || ent.name === defaultProject.name) continue;
+    out.push({ name: ent.name, dir: path.join(baseDir, ent.name), isDefault: false });
+  }
+  return out;
+}
+
+// Create an empty project directory; the caller initializes its repository
+export async function createProjectDir(name) {
+  validateProjectName(name);
+  if (name === defaultProject.name) throw new Error(`project already exists: ${name}`);
+  const dir = path.join(baseDir, name);
+  try {
+    await fsp.mkdir(dir);
+  } catch (e) {
+    if (e && e.code === 'EEXIST') throw new Error(`project already exists: ${name}`);
+    throw e;
+  }
+  return { name, dir, isDefault: false };
+}
+
+// Move a project to <base>/.archive/<name>-<timestamp> and return where it went
+export async function archiveProjectDir(name) {
+  const project = resolveProject(name);
+  if (project.isDefault) throw new Error('the default project cannot be archived');
+  const archiveRoot = path.join(baseDir, ARCHIVE_DIR);
+  await fsp.mkdir(archiveRoot, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  const target = path.join(archiveRoot, `${name}-${stamp}`);
+  await fsp.rename(project.dir, target);
+  return { ...project, archivedTo: target };
+}
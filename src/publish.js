@@ -2,18 +2,21 @@ import fs from 'node:fs';
 import fsp from 'node:fs/promises';
 import path from 'node:path';
 import os from 'node:os';
-import { execFile } from 'node:child_process';
+import { execFileAsync, withWorktreeLock } from './git.js';
 
 // Simple constants to keep first version clean (no env customizations)
 const MAIN_BRANCH = 'main';
 const PREVIEW_PREFIX = '.preview';
+// Sites of projects other than the default one live under <preview root>/.project/<name>/
+const PROJECT_PREFIX = '.project';
 const DEFAULT_PREVIEW_ROOT = path.join(os.homedir(), '.cache', 'mcp-goose', 'www');
+const PUBLISH_WORKTREES_ROOT = path.join(os.homedir(), '.cache', 'mcp-goose', 'publish-worktrees');
 
 function ensureDirSync(dir) {
   fs.mkdirSync(dir, { recursive: true });
 }
 
-function isSubPath(parent, child) {
+export function isSubPath(parent, child) {
   const rp = path.resolve(parent);
   const rc = path.resolve(child);
   return rc === rp || rc.startsWith(rp + path.sep);
@@ -59,14 +62,6 @@ async function copyDir(src, dest) {
   }
 }
 
-function execFileAsync(cmd, args, opts) {
-  return new Promise((resolve) => {
-    execFile(cmd, args, { ...opts, windowsHide: true }, (error, stdout, stderr) => {
-      resolve({ error, stdout: stdout?.toString() || '', stderr: stderr?.toString() || '' });
-    });
-  });
-}
-
 async function detectBranch(scopeDir) {
   // Try git branch name
   try {
@@ -81,7 +76,7 @@ async function detectBranch(scopeDir) {
   return MAIN_BRANCH; // sensible default
 }
 
-async function ensureScopeReady(scopeDir) {
+export async function ensureScopeReady(scopeDir) {
   // Ensure the working directory exists
   try {
     await fsp.mkdir(scopeDir, { recursive: true });
@@ -111,71 +106,110 @@ async function ensureScopeReady(scopeDir) {
     // Non-fatal; publishing will still proceed using default MAIN_BRANCH
   }
 
-  // Create a README.md with guidance for Goose if missing
+  await ensureGuidanceReadme(scopeDir);
+}
+
+// Guidance README for Goose, written where the project has none
+const GUIDANCE_README = [
+  '# Project: Website managed by Goose (Agentic AI)',
+  '',
+  'This directory is the working tree for a website maintained entirely by Goose (an agentic AI).',
+  'The MCP server (mcp-goose) limits Goose operations to this folder and enforces non-interactive, reproducible workflows.',
+  '',
+  '## Goals',
+  '- Build and maintain a fast, accessible, and responsive website.',
+  '- Keep the project simple and transparent for humans to review.',
+  '',
+  '## Allowed Tech & Frameworks',
+  '- Primary: Static site using HTML, CSS, and vanilla JavaScript.',
+  '- Optional CSS tooling: Tailwind CSS (via CDN) or lightweight utility CSS.',
+  '- Optional JS: Minimal, framework-free; consider progressive enhancement.',
+  '- Avoid: Server-side runtimes, heavy build systems, or frameworks unless explicitly instructed.',
+  '',
+  '## Content & Assets',
+  '- Prefer local assets (images, fonts).',
+  '- If using external resources (e.g., fonts, CSS), pin versions and provide integrity where possible.',
+  '- Optimize images for web; provide alt text and captions when relevant.',
+  '',
+  '## Accessibility & Quality',
+  '- Follow WCAG best practices; ensure semantic HTML.',
+  '- Ensure keyboard navigability and sufficient color contrast.',
+  '- Test on common viewport sizes; ensure responsive layout.',
+  '- Avoid intrusive animations; respect reduced motion preferences.',
+  '',
+  '## Structure',
+  '- Use `index.html` as the entry point.',
+  '- Organize assets under `/assets` (e.g., /assets/css, /assets/js, /assets/img).',
+  '- Keep pages small and modular; reuse components when reasonable.',
+  '',
+  '## Git & Workflow',
+  '- Always work on the current branch; create feature branches if needed.',
+  '- Commit with concise, descriptive messages.',
+  '- Do not push to any remote from this environment.',
+  '- Do not remove or alter files outside this scope directory.',
+  '',
+  '## Security & Safety',
+  '- Do not run arbitrary shell commands; operations are performed via the Goose CLI under MCP guardrails.',
+  '- Avoid handling secrets in this repository.',
+  '',
+  '## Deployment & Preview',
+  '- Local previews are served by mcp-goose at http://localhost:3003/ (main) or /.preview/<branch>/.',
+  '- Only committed changes are published to the local preview.',
+  '',
+  '## Getting Started',
+  '- Begin by creating a minimal index.html and supporting assets.',
+  '- Keep the design simple and user-friendly.'
+].join('\n');
+
+// Create a README.md with guidance for Goose if missing; resolves true when it wrote one. Called
+// for the scope dir and for every job worktree, since a worktree is checked out from a commit and
+// never sees untracked files.
+export async function ensureGuidanceReadme(dir) {
   try {
-    const readmePath = path.join(scopeDir, 'README.md');
+    const readmePath = path.join(dir, 'README.md');
     const exists = await fsp.access(readmePath).then(() => true).catch(() => false);
     if (!exists) {
-      const lines = [
-        '# Project: Website managed by Goose (Agentic AI)',
-        '',
-        'This directory is the working tree for a website maintained entirely by Goose (an agentic AI).',
-        'The MCP server (mcp-goose) limits Goose operations to this folder and enforces non-interactive, reproducible workflows.',
-        '',
-        '## Goals',
-        '- Build and maintain a fast, accessible, and responsive website.',
-        '- Keep the project simple and transparent for humans to review.',
-        '',
-        '## Allowed Tech & Frameworks',
-        '- Primary: Static site using HTML, CSS, and vanilla JavaScript.',
-        '- Optional CSS tooling: Tailwind CSS (via CDN) or lightweight utility CSS.',
-        '- Optional JS: Minimal, framework-free; consider progressive enhancement.',
-        '- Avoid: Server-side runtimes, heavy build systems, or frameworks unless explicitly instructed.',
-        '',
-        '## Content & Assets',
-        '- Prefer local assets (images, fonts).',
-        '- If using external resources (e.g., fonts, CSS), pin versions and provide integrity where possible.',
-        '- Optimize images for web; provide alt text and captions when relevant.',
-        '',
-        '## Accessibility & Quality',
-        '- Follow WCAG best practices; ensure semantic HTML.',
-        '- Ensure keyboard navigability and sufficient color contrast.',
-        '- Test on common viewport sizes; ensure responsive layout.',
-        '- Avoid intrusive animations; respect reduced motion preferences.',
-        '',
-        '## Structure',
-        '- Use `index.html` as the entry point.',
-        '- Organize assets under `/assets` (e.g., /assets/css, /assets/js, /assets/img).',
-        '- Keep pages small and modular; reuse components when reasonable.',
-        '',
-        '## Git & Workflow',
-        '- Always work on the current branch; create feature branches if needed.',
-        '- Commit with concise, descriptive messages.',
-        '- Do not push to any remote from this environment.',
-        '- Do not remove or alter files outside this scope directory.',
-        '',
-        '## Security & Safety',
-        '- Do not run arbitrary shell commands; operations are performed via the Goose CLI under MCP guardrails.',
-        '- Avoid handling secrets in this repository.',
-        '',
-        '## Deployment & Preview',
-        '- Local previews are served by mcp-goose at http://localhost:3003/ (main) or /.preview/<branch>/.',
-        '- Only committed changes are published to the local preview.',
-        '',
-        '## Getting Started',
-        '- Begin by creating a minimal index.html and supporting assets.',
-        '- Keep the design simple and user-friendly.'
-      ];
-      const content = lines.join('\n');
-      await fsp.writeFile(readmePath, content, 'utf8');
+      await fsp.writeFile(readmePath, GUIDANCE_README, 'utf8');
+      return true;
     }
   } catch (_) {
     // Non-fatal if README cannot be created
   }
+  return false;
+}
+
+// Delete the guidance README from a job worktree if goose left it as we wrote it, untracked and
+// unchanged, so it does not count as an uncommitted change. Resolves true when it was removed.
+export async function removeGuidanceReadme(dir) {
+  const readmePath = path.join(dir, 'README.md');
+  const { error, stdout } = await execFileAsync('git', ['status', '--porcelain', '--', 'README.md'], { cwd: dir });
+  if (error || stdout.trim() !== '?? README.md') return false;
+  const content = await fsp.readFile(readmePath, 'utf8').catch(() => null);
+  if (content !== GUIDANCE_README) return false;
+  await fsp.rm(readmePath, { force: true });
+  return true;
 }
 
-export function resolvePreviewRoot() {
-  return DEFAULT_PREVIEW_ROOT;
+// project: name of a non-default project, or null for the default project served at '/'
+export function resolvePreviewRoot(project = null) {
+  return project ? path.join(DEFAULT_PREVIEW_ROOT, PROJECT_PREFIX, project) : DEFAULT_PREVIEW_ROOT;
+}
+
+// URL path the project's main site is served under
+export function previewBasePath(project = null) {
+  return project ? `/${PROJECT_PREFIX}/${project}/` : '/';
+}
+
+// Where a branch of a project is (or will be) served once published
+export function previewUrl(branch, project = null) {
+  const base = `http://localhost:${process.env.PORT || 3003}${previewBasePath(project)}`;
+  return branch === MAIN_BRANCH ? base : `${base}${PREVIEW_PREFIX}/${branchSlug(branch)}/`;
+}
+
+// Delete a project's published site (after archiving it)
+export async function removePreviewSite(project) {
+  if (!project) return;
+  await fsp.rm(resolvePreviewRoot(project), { recursive: true, force: true });
 }
 
 function resolveTargetDir(previewRoot, branch) {
@@ -184,10 +218,9 @@ function resolveTargetDir(previewRoot, branch) {
   return path.join(previewRoot, PREVIEW_PREFIX, slug);
 }
 
-export async function publishCurrentBranch(scopeDir) {
-  await ensureScopeReady(scopeDir);
-  const branch = await detectBranch(scopeDir);
-  const previewRoot = resolvePreviewRoot();
+// Copy srcDir into the preview slot for branch and return where it is served
+async function publishDir(srcDir, branch, project = null) {
+  const previewRoot = resolvePreviewRoot(project);
   const targetDir = resolveTargetDir(previewRoot, branch);
 
   ensureDirSync(previewRoot);
@@ -198,16 +231,38 @@ export async function publishCurrentBranch(scopeDir) {
     throw new Error('Resolved targetDir is outside of previewRoot');
   }
 
-  // When publishing main, preserve the .preview directory
-  const skipNames = (branch === MAIN_BRANCH) ? [PREVIEW_PREFIX] : [];
+  // When publishing main, preserve the branch previews (and, at the root, the other projects' sites)
+  const skipNames = (branch === MAIN_BRANCH) ? [PREVIEW_PREFIX, ...(project ? [] : [PROJECT_PREFIX])] : [];
   await rmDirContents(targetDir, skipNames);
-  await copyDir(scopeDir, targetDir);
+  await copyDir(srcDir, targetDir);
 
-  const url = branch === MAIN_BRANCH
-    ? `http://localhost:${process.env.PORT || 3003}/`
-    : `http://localhost:${process.env.PORT || 3003}/${PREVIEW_PREFIX}/${branchSlug(branch)}/`;
+  return { branch, project, targetDir, url: previewUrl(branch, project) };
+}
 
-  return { branch, targetDir, url };
+// Publish the committed tree of a branch without touching the checkout in scopeDir:
+// the branch is materialized in a throwaway worktree, copied, then removed.
+export async function publishBranch(scopeDir, branch, project = null) {
+  await ensureScopeReady(scopeDir);
+  ensureDirSync(PUBLISH_WORKTREES_ROOT);
+  const tmpDir = await fsp.mkdtemp(path.join(PUBLISH_WORKTREES_ROOT, `${branchSlug(branch)}-`));
+  const { error, stderr } = await withWorktreeLock(scopeDir, () => execFileAsync('git', ['worktree', 'add', '--detach', tmpDir, `refs/heads/${branch}`], { cwd: scopeDir }));
+  if (error) {
+    throw new Error(`Failed to materialize '${branch}': ${(stderr || error.message || '').trim()}`);
+  }
+  try {
+    return await publishDir(tmpDir, branch, project);
+  } finally {
+    await withWorktreeLock(scopeDir, () => execFileAsync('git', ['worktree', 'remove', '--force', tmpDir], { cwd: scopeDir }));
+  }
+}
+
+export async function publishCurrentBranch(scopeDir, project = null) {
+  await ensureScopeReady(scopeDir);
+  const branch = await detectBranch(scopeDir);
+  const { error } = await execFileAsync('git', ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], { cwd: scopeDir });
+  // A repo without commits has nothing to materialize; fall back to the working directory
+  if (error) return publishDir(scopeDir, branch, project);
+  return publishBranch(scopeDir, branch, project);
 }
 
 async function getAllBranches(scopeDir) {
@@ -216,52 +271,24 @@ async function getAllBranches(scopeDir) {
   return stdout.trim().split('\n').filter(b => b.trim());
 }
 
-export async function publishAllBranches(scopeDir) {
+export async function publishAllBranches(scopeDir, project = null) {
   await ensureScopeReady(scopeDir);
   const branches = await getAllBranches(scopeDir);
   const results = [];
-  const currentBranch = await detectBranch(scopeDir);
-  
+
   console.log(`[publishAllBranches] Found ${branches.length} branches: ${branches.join(', ')}`);
-  console.log(`[publishAllBranches] Current branch: ${currentBranch}`);
-  
+
   for (const branch of branches) {
     try {
-      console.log(`[publishAllBranches] Checking out '${branch}'...`);
-      // Checkout the branch
-      const { error: checkoutError, stderr } = await execFileAsync('git', ['checkout', branch], { cwd: scopeDir });
-      if (checkoutError) {
-        console.warn(`[publishAllBranches] Failed to checkout '${branch}': ${stderr || checkoutError.message || checkoutError}`);
-        continue;
-      }
-      
-      // Publish it
       console.log(`[publishAllBranches] Publishing '${branch}'...`);
-      const result = await publishCurrentBranch(scopeDir);
+      const result = await publishBranch(scopeDir, branch, project);
       results.push(result);
       console.log(`[publishAllBranches] ✓ Published '${branch}' → ${result.targetDir}`);
-      
-      // Verify the directory exists
-      try {
-        const stat = await fsp.stat(result.targetDir);
-        console.log(`[publishAllBranches]   Directory exists: ${stat.isDirectory()}`);
-      } catch (e) {
-        console.warn(`[publishAllBranches]   WARNING: Directory does not exist after publish!`);
-      }
     } catch (e) {
       console.warn(`[publishAllBranches] Failed to publish '${branch}': ${e?.message || e}`);
-      console.warn(e);
     }
   }
-  
-  // Return to original branch
-  console.log(`[publishAllBranches] Returning to '${currentBranch}'...`);
-  try {
-    await execFileAsync('git', ['checkout', currentBranch], { cwd: scopeDir });
-  } catch (e) {
-    console.warn(`[publishAllBranches] Failed to return to '${currentBranch}': ${e?.message || e}`);
-  }
-  
+
   return results;
 }
 
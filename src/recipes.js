@@ -0,0 +1,285 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { EventEmitter } from 'node:events';
+import YAML from 'yaml';
+import { z } from 'zod';
+
+// Recipe library: every .yaml/.yml file in the recipes dir is a goose recipe template, addressed
+// by its file name without extension (recipes/add-blog-post.yaml → 'add-blog-post'). Templates
+// declare typed parameters and use them as {{ key }} placeholders. Rendering substitutes values
+// into the parsed document and serializes it again, so values are always valid YAML whatever
+// they contain. The library reloads when files in the dir change.
+//
+// Parameter fields (goose recipe format): key, input_type (string | number | boolean | date |
+// file | select), requirement (required | optional | user_prompt), description, default, options.
+// Headless runs cannot prompt, so user_prompt parameters are treated as required.
+// date values are YYYY-MM-DD; 'today' (as a value or a default) is the server's current date.
+
+export const INPUT_TYPES = ['string', 'number', 'boolean', 'date', 'file', 'select'];
+const REQUIREMENTS = ['required', 'optional', 'user_prompt'];
+const RECIPE_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const PARAM_KEY_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const ANY_TEMPLATE_RE = /\{\{(.*?)\}\}|\{%/g;
+const RELOAD_DEBOUNCE_MS = 200;
+
+const recipes = new Map(); // name → { name, file, title, description, parameters, doc, errors }
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+let recipesDir = null;
+let watcher = null;
+let reloadTimer = null;
+
+// Strings of the document that goose renders, i.e. everything but the parameter declarations
+function templateStrings(doc, out = []) {
+  if (typeof doc === 'string') out.push(doc);
+  else if (Array.isArray(doc)) doc.forEach(v => templateStrings(v, out));
+  else if (doc && typeof doc === 'object') {
+    for (const [k, v] of Object.entries(doc)) if (k !== 'parameters') templateStrings(v, out);
+  }
+  return out;
+}
+
+function isRequired(param) {
+  return param.requirement !== 'optional';
+}
+
+function validateRecipe(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['recipe must be a YAML mapping'];
+  if (typeof doc.title !== 'string' || !doc.title.trim()) errors.push('title is required');
+  if (typeof doc.description !== 'string' || !doc.description.trim()) errors.push('description is required');
+  if (typeof doc.instructions !== 'string' && typeof doc.prompt !== 'string') errors.push('instructions or prompt is required');
+  const params = doc.parameters ?? [];
+  const keys = new Set();
+  if (!Array.isArray(params)) {
+    errors.push('parameters must be a list');
+  } else {
+    params.forEach((p, i) => {
+      const at = `parameters[${i}]`;
+      if (!p || typeof p !== 'object') return errors.push(`${at} must be a mapping`);
+      if (typeof p.key !== 'string' || !PARAM_KEY_RE.test(p.key)) return errors.push(`${at}.key must be an identifier`);
+      if (keys.has(p.key)) errors.push(`${at}: duplicate key '${p.key}'`);
+      keys.add(p.key);
+      if (!INPUT_TYPES.includes(p.input_type)) errors.push(`${at}.input_type must be one of ${INPUT_TYPES.join(', ')}`);
+      if (!REQUIREMENTS.includes(p.requirement)) errors.push(`${at}.requirement must be one of ${REQUIREMENTS.join(', ')}`);
+      if (p.requirement === 'optional' && p.default === undefined) errors.push(`${at}: optional parameters need a default`);
+      if (p.input_type === 'select' && (!Array.isArray(p.options) || !p.options.length)) errors.push(`${at}: select parameters need options`);
+      if (p.input_type === 'date' && p.default !== undefined && parseDate(p.default) === null) errors.push(`${at}.default must be a YYYY-MM-DD date or 'today'`);
+    });
+  }
+  for (const text of templateStrings(doc)) {
+    for (const m of text.matchAll(ANY_TEMPLATE_RE)) {
+      const simple = m[0].match(new RegExp(`^${PLACEHOLDER_RE.source}$`));
+      if (!simple) errors.push(`unsupported template syntax '${m[0]}': only {{ key }} placeholders are allowed`);
+      else if (!keys.has(simple[1])) errors.push(`placeholder '{{ ${simple[1]} }}' is not a declared parameter`);
+    }
+  }
+  return errors;
+}
+
+function loadFile(file) {
+  const name = path.basename(file).replace(/\.ya?ml$/i, '');
+  const base = { name, file, title: null, description: null, parameters: [], doc: null, errors: [] };
+  if (!RECIPE_NAME_RE.test(name)) return { ...base, errors: [`file name must use letters, digits, '_' or '-'`] };
+  let doc;
+  try {
+    doc = YAML.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return { ...base, errors: [`invalid YAML: ${e?.message || e}`] };
+  }
+  const errors = validateRecipe(doc);
+  return {
+    ...base,
+    title: typeof doc?.title === 'string' ? doc.title : null,
+    description: typeof doc?.description === 'string' ? doc.description : null,
+    parameters: errors.length ? [] : (doc.parameters || []),
+    doc: errors.length ? null : doc,
+    errors
+  };
+}
+
+function reload() {
+  let files = [];
+  try {
+    files = fs.readdirSync(recipesDir).filter(f => /\.ya?ml$/i.test(f)).sort();
+  } catch (e) {
+    if (e && e.code !== 'ENOENT') console.warn(`[recipes] failed to read ${recipesDir}: ${e?.message || e}`);
+  }
+  recipes.clear();
+  for (const f of files) {
+    const recipe = loadFile(path.join(recipesDir, f));
+    if (recipes.has(recipe.name)) {
+      console.warn(`[recipes] ${f} ignored: another file already defines '${recipe.name}'`);
+      continue;
+    }
+    recipes.set(recipe.name, recipe);
+    if (recipe.errors.length) console.warn(`[recipes] ${f} is invalid: ${recipe.errors.join('; ')}`);
+  }
+  const valid = Array.from(recipes.values()).filter(r => !r.errors.length).length;
+  console.log(`[recipes] loaded ${valid} recipe(s) from ${recipesDir}${valid < recipes.size ? ` (${recipes.size - valid} invalid)` : ''}`);
+  changes.emit('change');
+}
+
+export function initRecipes({ dir }) {
+  recipesDir = dir;
+  reload();
+  watcher?.close();
+  watcher = null;
+  try {
+    watcher = fs.watch(recipesDir, () => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+    });
+    watcher.unref?.();
+  } catch (e) {
+    console.warn(`[recipes] not watching ${recipesDir}: ${e?.message || e}`);
+  }
+  return { loaded: recipes.size };
+}
+
+export function onRecipesChanged(listener) {
+  changes.on('change', listener);
+  return () => changes.off('change', listener);
+}
+
+// Public view of the library, invalid recipes included with their errors
+export function listRecipes() {
+  return Array.from(recipes.values()).map(r => ({
+    name: r.name,
+    title: r.title,
+    description: r.description,
+    parameters: r.parameters.map(p => ({
+      key: p.key,
+      type: p.input_type,
+      required: isRequired(p) && p.default === undefined,
+      ...(p.description ? { description: p.description } : {}),
+      ...(p.default !== undefined ? { default: p.default } : {}),
+      ...(p.options ? { options: p.options } : {})
+    })),
+    valid: !r.errors.length,
+    ...(r.errors.length ? { errors: r.errors } : {})
+  }));
+}
+
+export function getRecipe(name) {
+  const recipe = recipes.get(name);
+  if (!recipe) throw new Error(`recipe not found: ${name}`);
+  if (recipe.errors.length) throw new Error(`recipe '${name}' is invalid: ${recipe.errors.join('; ')}`);
+  return recipe;
+}
+
+// A date value as YYYY-MM-DD, or null when it is not a real calendar date
+function parseDate(value, now = new Date()) {
+  if (value === 'today') {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  }
+  const m = typeof value === 'string' ? value.match(DATE_RE) : null;
+  if (!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3] ? value : null;
+}
+
+function coerce(param, value) {
+  const fail = (why) => { throw new Error(`parameter '${param.key}' ${why}`); };
+  switch (param.input_type) {
+    case 'number': {
+      const n = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() ? Number(value) : NaN);
+      if (!Number.isFinite(n)) fail('must be a number');
+      return n;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return fail('must be true or false');
+    case 'date': {
+      const date = parseDate(value);
+      if (date === null) fail("must be a YYYY-MM-DD date or 'today'");
+      return date;
+    }
+    case 'select':
+      if (!param.options.map(String).includes(String(value))) fail(`must be one of ${param.options.join(', ')}`);
+      return String(value);
+    default:
+      if (typeof value !== 'string' && typeof value !== 'number') fail('must be a string');
+      return String(value);
+  }
+}
+
+// Check values against the recipe's parameters and fill in defaults; returns { key: value }
+export function resolveRecipeParams(name, values = {}) {
+  const recipe = getRecipe(name);
+  const declared = new Map(recipe.parameters.map(p => [p.key, p]));
+  for (const key of Object.keys(values)) {
+    if (!declared.has(key)) throw new Error(`recipe '${name}' has no parameter '${key}'`);
+  }
+  const resolved = {};
+  for (const p of recipe.parameters) {
+    const given = values[p.key];
+    if (given === undefined || given === null || given === '') {
+      if (p.default !== undefined) resolved[p.key] = p.input_type === 'date' ? coerce(p, p.default) : p.default;
+      else if (isRequired(p)) throw new Error(`recipe '${name}' requires parameter '${p.key}'`);
+      continue;
+    }
+    resolved[p.key] = coerce(p, given);
+  }
+  return resolved;
+}
+
+function substitute(node, values) {
+  if (typeof node === 'string') return node.replace(PLACEHOLDER_RE, (_, key) => String(values[key] ?? ''));
+  if (Array.isArray(node)) return node.map(v => substitute(v, values));
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, substitute(v, values)]));
+  }
+  return node;
+}
+
+// Render a recipe with its parameters filled in; the result declares no parameters of its own
+export function renderRecipe(name, values = {}) {
+  const recipe = getRecipe(name);
+  const resolved = resolveRecipeParams(name, values);
+  const { parameters, ...rest } = recipe.doc;
+  const doc = substitute(rest, resolved);
+  return { doc, yaml: YAML.stringify(doc, { lineWidth: 0 }), params: resolved };
+}
+
+function promptText(doc) {
+  return [doc.instructions, doc.prompt].filter(s => typeof s === 'string' && s.trim()).join('\n\n');
+}
+
+// Register every valid recipe as a prompt on an McpServer and keep them in sync with the library.
+// Returns a function that stops the syncing, for when the server's session ends.
+export function registerRecipePrompts(server) {
+  let registered = [];
+  const sync = () => {
+    for (const prompt of registered) prompt.remove();
+    registered = [];
+    for (const recipe of recipes.values()) {
+      if (recipe.errors.length) continue;
+      const argsSchema = Object.fromEntries(recipe.parameters.map(p => {
+        const about = `${p.input_type}${p.options ? ` (${p.options.join(' | ')})` : ''}${p.description ? `: ${p.description}` : ''}`;
+        const arg = z.string().describe(about);
+        return [p.key, isRequired(p) && p.default === undefined ? arg : arg.optional()];
+      }));
+      try {
+        registered.push(server.registerPrompt(recipe.name, {
+          title: recipe.title,
+          description: `${recipe.description} (run it with goose_run_recipe)`,
+          argsSchema
+        }, (args) => ({
+          description: recipe.title,
+          messages: [{ role: 'user', content: { type: 'text', text: promptText(renderRecipe(recipe.name, args).doc) } }]
+        })));
+      } catch (e) {
+        // The prompts capability cannot be added to a session that started without any recipe
+        console.warn(`[recipes] prompts not updated for this session: ${e?.message || e}`);
+        return;
+      }
+    }
+  };
+  sync();
+  return onRecipesChanged(sync);
+}
@@ -0,0 +1,102 @@
+// Secret redaction for goose output. Masks the values of secret-looking environment
+// variables (goose inherits the server's env, so it can echo them) and well-known
+// credential formats before output is buffered, persisted, echoed or returned.
+
+export const REDACTED = '[REDACTED]';
+
+// Env vars whose values are treated as secrets
+const SECRET_NAME_RE = /(?:TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|ACCESS_?KEY|PRIVATE_?KEY|CREDENTIALS?)(?:$|_)/i;
+// Shorter values are too likely to match ordinary output ('true', port numbers, ...)
+const MIN_SECRET_LENGTH = 8;
+// Partial lines are held back so a secret split across chunks is still caught
+const PARTIAL_FLUSH_MS = 250;
+const MAX_PARTIAL_BYTES = 16 * 1024;
+
+export const DEFAULT_PATTERNS = [
+  /sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g, // OpenAI / Anthropic
+  /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g, // GitHub tokens
+  /\bgithub_pat_[A-Za-z0-9_]{22,}\b/g,
+  /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g, // Slack
+  /\bAKIA[0-9A-Z]{16}\b/g, // AWS access key id
+  /\bAIza[0-9A-Za-z_-]{35}\b/g, // Google API key
+  /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g, // JWT
+  /(\bBearer\s+)[A-Za-z0-9._~+/=-]{16,}/gi
+];
+
+let extraPatterns = [];
+let extraEnvKeys = [];
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile user-supplied pattern sources; throws on an invalid one
+export function compilePatterns(sources = []) {
+  return sources.map(src => new RegExp(src, 'g'));
+}
+
+export function configureRedaction({ patterns, envKeys } = {}) {
+  if (patterns !== undefined) extraPatterns = compilePatterns(patterns);
+  if (envKeys !== undefined) extraEnvKeys = envKeys.filter(Boolean);
+}
+
+export function secretValuesFromEnv(env = {}) {
+  const values = new Set();
+  for (const [name, value] of Object.entries(env)) {
+    if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH) continue;
+    if (SECRET_NAME_RE.test(name) || extraEnvKeys.includes(name)) values.add(value);
+  }
+  return Array.from(values);
+}
+
+// Returns redact(text) → { text, count } for the given secret values plus all patterns
+export function createRedactor(secretValues = []) {
+  const values = secretValues.filter(v => v && v.length >= MIN_SECRET_LENGTH).sort((a, b) => b.length - a.length);
+  const rules = [
+    ...(values.length ? [new RegExp(values.map(escapeRegExp).join('|'), 'g')] : []),
+    ...DEFAULT_PATTERNS,
+    ...extraPatterns
+  ];
+  return function redact(text) {
+    let count = 0;
+    for (const re of rules) {
+      text = text.replace(re, (match, prefix) => {
+        count++;
+        // Keep a captured prefix such as 'Bearer ' so the context stays readable
+        return typeof prefix === 'string' && match.startsWith(prefix) ? prefix + REDACTED : REDACTED;
+      });
+    }
+    return { text, count };
+  };
+}
+
+// Line-buffered redaction of one output stream. Complete lines are redacted and passed to
+// onText right away; a trailing partial line waits for its newline, a short pause, or end().
+export function createStreamRedactor(redact, onText) {
+  let partial = '';
+  let timer = null;
+  const emit = (text) => {
+    if (!text) return;
+    const { text: clean, count } = redact(text);
+    onText(clean, count);
+  };
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const rest = partial;
+    partial = '';
+    emit(rest);
+  };
+  return {
+    push(text) {
+      text = partial + text;
+      const cut = text.lastIndexOf('\n') + 1;
+      partial = text.slice(cut);
+      emit(text.slice(0, cut));
+      if (partial.length > MAX_PARTIAL_BYTES) return flush();
+      clearTimeout(timer);
+      timer = partial ? setTimeout(flush, PARTIAL_FLUSH_MS) : null;
+    },
+    end: flush
+  };
+}
@@ -0,0 +1,87 @@
+import { matcher } from './env-policy.js';
+
+// Per-run goose options: provider, model, max turns and the --explain / --debug switches.
+// A run that picks its own provider or model must land on an entry of the allowlist
+// (RUN_MODEL_ALLOW, 'provider:model' patterns with '*'; a bare 'model' means any provider);
+// without an allowlist runs cannot pick one. Its max turns may not exceed RUN_MAX_TURNS_LIMIT.
+// The same rules apply when the choice comes through the GOOSE_PROVIDER / GOOSE_MODEL /
+// GOOSE_MAX_TURNS env overrides, so those cannot be used to get around them. Options a run
+// leaves out fall back to the server's goose environment.
+
+const NAME_RE = /^[A-Za-z0-9._:\/@-]{1,200}$/;
+const ENV_KEYS = { provider: 'GOOSE_PROVIDER', model: 'GOOSE_MODEL', maxTurns: 'GOOSE_MAX_TURNS' };
+
+let modelAllow = [];
+let maxTurnsLimit = 0;
+
+export function configureRunOptions({ models, maxTurns } = {}) {
+  if (models !== undefined) modelAllow = models.map(m => (m.includes(':') ? m : `*:${m}`));
+  if (maxTurns !== undefined) maxTurnsLimit = maxTurns;
+}
+
+function serverDefaults(source = process.env) {
+  const turns = parseInt(source.GOOSE_MAX_TURNS || '', 10);
+  return {
+    provider: source.GOOSE_PROVIDER || null,
+    model: source.GOOSE_MODEL || null,
+    maxTurns: Number.isFinite(turns) && turns > 0 ? turns : null
+  };
+}
+
+// One option from its input or its env override; both are fine as long as they agree
+function pick(name, value, env) {
+  const fromEnv = env?.[ENV_KEYS[name]];
+  if (value === undefined || value === null || value === '') return fromEnv === undefined ? undefined : String(fromEnv);
+  if (fromEnv !== undefined && String(fromEnv) !== String(value)) {
+    throw new Error(`${name} conflicts with env.${ENV_KEYS[name]}; set it once`);
+  }
+  return String(value);
+}
+
+// Checks the options a run asks for (env = its already vetted env overrides). Returns the goose
+// flags to add and the effective values, which are recorded on the job.
+export function resolveRunOptions({ provider, model, maxTurns, explain = false, debug = false } = {}, env = {}) {
+  const chosen = { provider: pick('provider', provider, env), model: pick('model', model, env), maxTurns: pick('maxTurns', maxTurns, env) };
+  for (const name of ['provider', 'model']) {
+    if (chosen[name] !== undefined && !NAME_RE.test(chosen[name])) throw new Error(`invalid ${name}: ${chosen[name]}`);
+  }
+  for (const [name, value] of [['explain', explain], ['debug', debug]]) {
+    if (value !== undefined && value !== null && typeof value !== 'boolean') throw new Error(`${name} must be a boolean`);
+  }
+  let turns;
+  if (chosen.maxTurns !== undefined) {
+    turns = Number(chosen.maxTurns);
+    if (!Number.isInteger(turns) || turns < 1) throw new Error('maxTurns must be a positive integer');
+    if (maxTurnsLimit && turns > maxTurnsLimit) throw new Error(`maxTurns cannot exceed ${maxTurnsLimit} (RUN_MAX_TURNS_LIMIT)`);
+  }
+
+  const defaults = serverDefaults();
+  const effective = {
+    provider: chosen.provider ?? defaults.provider,
+    model: chosen.model ?? defaults.model,
+    maxTurns: turns ?? defaults.maxTurns,
+    explain: !!explain,
+    debug: !!debug
+  };
+  if (chosen.provider !== undefined || chosen.model !== undefined) {
+    if (!modelAllow.length) throw new Error('choosing a provider or model per run is disabled (RUN_MODEL_ALLOW is not set)');
+    const key = `${effective.provider ?? ''}:${effective.model ?? ''}`;
+    if (!matcher(modelAllow)(key)) {
+      throw new Error(`model not allowed: ${effective.provider ?? '(default provider)'} / ${effective.model ?? '(default model)'} (allowed: ${modelAllow.join(', ')})`);
+    }
+  }
+
+  // Only what the run chose as input becomes a flag; env overrides already reach goose as env
+  const args = [];
+  if (provider) args.push('--provider', chosen.provider);
+  if (model) args.push('--model', chosen.model);
+  if (maxTurns !== undefined && maxTurns !== null && maxTurns !== '') args.push('--max-turns', String(turns));
+  if (explain) args.push('--explain');
+  if (debug) args.push('--debug');
+  return { args, effective };
+}
+
+// For get_config
+export function describeRunOptions() {
+  return { allowedModels: modelAllow.length ? modelAllow : null, maxTurnsLimit: maxTurnsLimit || null, defaults: serverDefaults() };
+}
@@ -0,0 +1,252 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import moment from 'moment-timezone';
+import { parseCron, nextCronTime, isValidTimezone } from './cron.js';
+import { getJob, jobStatus, getRunningJobIds, getQueuedJobIds, ACTIVE_STATUSES } from './jobs.js';
+
+// Recurring goose runs. Schedules are cron expressions evaluated in their own timezone and
+// persisted to a JSON file, so they survive restarts. Each firing queues a goose run through
+// the launch function given to initScheduler and is recorded in the schedule's run history.
+//
+// whenBusy: 'skip'  → do not start if the previous run of this schedule is still active or
+//                     the server has no free slot (all running, or jobs already waiting)
+//           'queue' → always queue the run
+// catchUp (runs missed while the server was down):
+//           'skip'  → record them as missed, wait for the next occurrence
+//           'once'  → start one run for all of them
+//           'all'   → start one run per missed occurrence (capped at MAX_CATCH_UP)
+
+export const BUSY_POLICIES = ['skip', 'queue'];
+export const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+
+const MAX_RUNS_KEPT = 100;
+const MAX_CATCH_UP = 24;
+const MAX_TIMER_MS = 60 * 60 * 1000; // re-check at least hourly (clock changes, setTimeout limits)
+
+const schedules = new Map();
+let storeFile = null;
+let launchRun = null;
+let slots = 1;
+let defaultCatchUp = 'once';
+let timer = null;
+
+function newId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function save() {
+  if (!storeFile) return;
+  try {
+    fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+    const tmp = storeFile + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(Array.from(schedules.values()), null, 2), 'utf8');
+    fs.renameSync(tmp, storeFile);
+  } catch (e) {
+    console.warn(`[scheduler] failed to save ${storeFile}: ${e?.message || e}`);
+  }
+}
+
+function load() {
+  if (!storeFile) return [];
+  try {
+    return JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+  } catch (e) {
+    if (e && e.code !== 'ENOENT') console.warn(`[scheduler] failed to load ${storeFile}: ${e?.message || e}`);
+    return [];
+  }
+}
+
+function nextAfter(schedule, after) {
+  return nextCronTime(parseCron(schedule.cron), schedule.timezone, after).toISOString();
+}
+
+function recordRun(schedule, run) {
+  schedule.runs.push({ at: new Date().toISOString(), ...run });
+  if (schedule.runs.length > MAX_RUNS_KEPT) schedule.runs.splice(0, schedule.runs.length - MAX_RUNS_KEPT);
+}
+
+function isBusy(schedule) {
+  const last = [...schedule.runs].reverse().find(r => r.jobId);
+  const lastJob = last && getJob(last.jobId);
+  if (lastJob && ACTIVE_STATUSES.has(lastJob.status)) return 'previous run still active';
+  if (getQueuedJobIds().length > 0 || getRunningJobIds().length >= slots) return 'no free job slot';
+  return null;
+}
+
+async function fire(schedule, scheduledFor, { catchUp = false, ignoreBusy = false } = {}) {
+  const busy = !ignoreBusy && schedule.whenBusy === 'skip' && isBusy(schedule);
+  if (busy) {
+    recordRun(schedule, { scheduledFor, outcome: 'skipped_busy', reason: busy, ...(catchUp ? { catchUp } : {}) });
+    console.log(`[scheduler] '${schedule.name}' skipped: ${busy}`);
+    return;
+  }
+  try {
+    const started = await launchRun(schedule);
+    recordRun(schedule, { scheduledFor, outcome: 'started', jobId: started.jobId, ...(catchUp ? { catchUp } : {}) });
+    console.log(`[scheduler] '${schedule.name}' started job ${started.jobId}`);
+  } catch (e) {
+    recordRun(schedule, { scheduledFor, outcome: 'error', error: String(e?.message || e), ...(catchUp ? { catchUp } : {}) });
+    console.warn(`[scheduler] '${schedule.name}' failed to start: ${e?.message || e}`);
+  }
+  schedule.lastRunAt = new Date().toISOString();
+}
+
+// Occurrences between a schedule's stored nextRunAt and now, i.e. the runs missed while down
+function missedOccurrences(schedule, now) {
+  const missed = [];
+  let t = schedule.nextRunAt;
+  let total = 0;
+  while (t && Date.parse(t) <= now) {
+    total++;
+    if (missed.length < MAX_CATCH_UP) missed.push(t);
+    else missed[MAX_CATCH_UP - 1] = t; // keep the latest as the last entry
+    if (total > 100_000) break;
+    t = nextAfter(schedule, t);
+  }
+  return { missed, total };
+}
+
+async function catchUp(schedule, now) {
+  const { missed, total } = missedOccurrences(schedule, now);
+  if (!total) return 0;
+  const policy = schedule.catchUp || defaultCatchUp;
+  console.log(`[scheduler] '${schedule.name}' missed ${total} run(s) while down; catch-up policy '${policy}'`);
+  if (policy === 'skip') {
+    recordRun(schedule, { scheduledFor: missed[missed.length - 1], outcome: 'missed', missedCount: total });
+  } else if (policy === 'once') {
+    await fire(schedule, missed[missed.length - 1], { catchUp: total });
+  } else {
+    for (const at of missed) await fire(schedule, at, { catchUp: total, ignoreBusy: true });
+    if (total > missed.length) {
+      recordRun(schedule, { scheduledFor: missed[0], outcome: 'missed', missedCount: total - missed.length });
+    }
+  }
+  return total;
+}
+
+function arm() {
+  clearTimeout(timer);
+  const times = Array.from(schedules.values())
+    .filter(s => !s.paused && s.nextRunAt)
+    .map(s => Date.parse(s.nextRunAt));
+  if (!times.length) return;
+  const delay = Math.min(Math.max(0, Math.min(...times) - Date.now()), MAX_TIMER_MS);
+  timer = setTimeout(tick, delay);
+  timer.unref?.();
+}
+
+async function tick() {
+  const now = Date.now();
+  for (const schedule of schedules.values()) {
+    if (schedule.paused || !schedule.nextRunAt || Date.parse(schedule.nextRunAt) > now) continue;
+    const scheduledFor = schedule.nextRunAt;
+    schedule.nextRunAt = nextAfter(schedule, new Date(now));
+    await fire(schedule, scheduledFor);
+  }
+  save();
+  arm();
+}
+
+export async function initScheduler({ file, launch, maxConcurrency = 1, catchUp: policy = 'once' }) {
+  storeFile = file || null;
+  launchRun = launch;
+  slots = Math.max(1, maxConcurrency);
+  defaultCatchUp = policy;
+  const now = Date.now();
+  let caughtUp = 0;
+  for (const rec of load()) {
+    if (!rec || !rec.id) continue;
+    const schedule = { runs: [], ...rec };
+    schedules.set(schedule.id, schedule);
+    if (schedule.paused) continue;
+    try {
+      caughtUp += await catchUp(schedule, now);
+      schedule.nextRunAt = nextAfter(schedule, new Date(now));
+    } catch (e) {
+      console.warn(`[scheduler] schedule '${schedule.name}' (${schedule.id}) is invalid and was paused: ${e?.message || e}`);
+      schedule.paused = true;
+      schedule.nextRunAt = null;
+    }
+  }
+  save();
+  arm();
+  return { loaded: schedules.size, caughtUp };
+}
+
+// Public view with the next run in the schedule's own timezone and recent run outcomes
+function describe(schedule, { runs = 5 } = {}) {
+  const { runs: history, ...rest } = schedule;
+  return {
+    ...rest,
+    nextRunLocal: schedule.nextRunAt ? moment.tz(schedule.nextRunAt, schedule.timezone).format('ddd YYYY-MM-DD HH:mm z') : null,
+    recentRuns: history.slice(-runs).reverse()
+  };
+}
+
+export function createSchedule({ name, cron, timezone, project = null, text, recipe, branch, priority = 0, whenBusy = 'skip', catchUp: policy, createdBy = null }) {
+  if (!text === !recipe) throw new Error('exactly one of text or recipe is required');
+  if (!isValidTimezone(timezone)) throw new Error(`unknown timezone: ${timezone}`);
+  const schedule = {
+    id: newId(),
+    name: name || (text ? text.slice(0, 60) : recipe),
+    cron: parseCron(cron).expression,
+    timezone,
+    project,
+    text: text || null,
+    recipe: recipe || null,
+    branch: branch || null,
+    priority,
+    whenBusy,
+    catchUp: policy || null,
+    paused: false,
+    createdAt: new Date().toISOString(),
+    createdBy,
+    lastRunAt: null,
+    nextRunAt: null,
+    runs: []
+  };
+  schedule.nextRunAt = nextAfter(schedule, new Date()); // throws for expressions that never match
+  schedules.set(schedule.id, schedule);
+  save();
+  arm();
+  return describe(schedule);
+}
+
+export function listSchedules() {
+  return Array.from(schedules.values()).map(s => describe(s, { runs: 1 }));
+}
+
+function requireSchedule(id) {
+  const schedule = schedules.get(id);
+  if (!schedule) throw new Error(`schedule not found: ${id}`);
+  return schedule;
+}
+
+export function setSchedulePaused(id, paused) {
+  const schedule = requireSchedule(id);
+  schedule.paused = paused;
+  // Occurrences that passed while paused are not caught up
+  schedule.nextRunAt = paused ? null : nextAfter(schedule, new Date());
+  save();
+  arm();
+  return describe(schedule);
+}
+
+export function deleteSchedule(id) {
+  requireSchedule(id);
+  schedules.delete(id);
+  save();
+  arm();
+  return { ok: true, id };
+}
+
+// Run history with each started job's current status (null once the job has been pruned)
+export function scheduleRuns(id, limit = 20) {
+  const schedule = requireSchedule(id);
+  return {
+    id,
+    name: schedule.name,
+    runs: schedule.runs.slice(-limit).reverse().map(r => (r.jobId ? { ...r, jobStatus: jobStatus(r.jobId)?.status ?? null } : r))
+  };
+}
@@ -2,89 +2,252 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import moment from 'moment-timezone';
+import YAML from 'yaml';
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
-import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { z } from 'zod';
 import path from 'node:path';
 import os from 'node:os';
+import crypto from 'node:crypto';
 
 import { config, validateConfig } from './config.js';
-import { startJob, jobStatus, streamLogs, getOutput, stopJob, getRunningJobId } from './jobs.js';
+import { startJob, jobStatus, jobResult, streamLogs, getOutput, jobEvents, stopJob, initJobStore, shutdownJobs, configureJobs, updateJob, listJobs } from './jobs.js';
 import fs from 'node:fs';
-import { publishCurrentBranch, publishAllBranches, initGitWatcher, resolvePreviewRoot } from './publish.js';
+import { publishCurrentBranch, publishAllBranches, publishBranch, initGitWatcher, resolvePreviewRoot, previewBasePath, removePreviewSite, ensureScopeReady, ensureGuidanceReadme } from './publish.js';
+import { initProjects, resolveProject, listProjectDirs, createProjectDir, archiveProjectDir } from './projects.js';
+import { createJobWorktree, finalizeJobWorktree, pruneJobWorktrees, resolveBaseBranch, hasCommits, currentBranch } from './worktree.js';
+import { execFileAsync, tryGit } from './git.js';
 import { buildPreviewUI } from './preview-ui.js';
+import { EVENT_TYPES } from './events.js';
+import { summarizeChanges, compareRefs } from './changes.js';
+import { registerJobResources, streamJobProgress, configureJobNotify } from './job-notify.js';
+import { registerProjectResources, notifyBranchChanged } from './project-resources.js';
+import { listProjectFiles, readProjectFile, searchProject, resolveProjectRef, projectPath } from './project-files.js';
+import { createSubscriptions } from './subscriptions.js';
+import { initRecipes, listRecipes, renderRecipe, registerRecipePrompts } from './recipes.js';
+import { initTokens, authenticateToken, hasRole, listTokens, createToken, rotateToken, revokeToken, ROLES } from './tokens.js';
+import { initAudit, recordAudit, queryAudit, readAudit, auditHttp, AUDIT_OUTCOMES } from './audit.js';
+import { configureLimits, checkRunLimits, usageReport } from './limits.js';
+import { initWebAuth, registerWebAuthRoutes, requireWebRole, optionalWebAuth } from './web-auth.js';
+import { initMcpSessions, handleMcpRequest, mcpSessionCount, closeAllMcpSessions } from './mcp-sessions.js';
+import { describeEnvPolicy, vetEnvOverrides } from './env-policy.js';
+import { configureRunOptions, resolveRunOptions, describeRunOptions } from './run-options.js';
+import { initWebhooks, listWebhooks, addWebhook, removeWebhook, testWebhook, recentDeliveries, WEBHOOK_EVENTS } from './webhooks.js';
+import { initPipelines, startPipeline, pipelineStatus, listPipelines, stopPipeline, FAILURE_POLICIES } from './pipelines.js';
+import { initScheduler, createSchedule, listSchedules, setSchedulePaused, deleteSchedule, scheduleRuns, BUSY_POLICIES, CATCH_UP_POLICIES } from './scheduler.js';
 
 dotenv.config();
 
-// Instantiate MCP server BEFORE registering any tools
-const server = new McpServer({ name: 'mcp-goose', version: '0.1.0' });
+// Minimum role for each tool (see tokens.js); tools missing here are admin-only
+const TOOL_ROLES = {
+  health_check: 'viewer', get_config: 'viewer', goose_version: 'viewer', goose_help: 'viewer',
+  goose_list_commands: 'viewer', goose_status: 'viewer', goose_list_jobs: 'viewer', goose_stream_logs: 'viewer',
+  goose_job_events: 'viewer', goose_job_result: 'viewer', goose_get_output: 'viewer', goose_pipeline_status: 'viewer',
+  schedule_list: 'viewer', schedule_runs: 'viewer', project_list: 'viewer', list_branches: 'viewer', usage_report: 'viewer',
+  project_list_files: 'viewer', project_read_file: 'viewer', project_search: 'viewer', compare_branches: 'viewer',
+  goose_run: 'runner', goose_run_recipe: 'runner', goose_pipeline_run: 'runner', goose_pipeline_stop: 'runner',
+  goose_stop: 'runner', goose_session_start: 'runner', goose_session_resume: 'runner', goose_session_list: 'runner',
+  goose_session_export: 'runner', goose_recipe_validate: 'runner', goose_recipe_deeplink: 'runner',
+  schedule_create: 'runner', schedule_pause: 'runner', schedule_resume: 'runner', schedule_delete: 'runner'
+};
+
+function toolRole(name) {
+  return TOOL_ROLES[name] || 'admin';
+}
+
+// Name of the API token behind a tool call (recorded on jobs and commits)
+function callerName(extra) {
+  return extra?.authInfo?.clientId || null;
+}
+
+// Client IP of a tool call, for the per-IP usage limits
+function callerIp(extra) {
+  return extra?.authInfo?.extra?.ip || null;
+}
+
+// Tools that queue goose runs, with the number of runs a call queues; checked against the usage limits
+const RUN_TOOLS = { goose_run: () => 1, goose_run_recipe: () => 1, goose_pipeline_run: (args) => args?.steps?.length || 1 };
+
+// Tools that move a branch of the project they act on; the audit log records the branch head before and after
+const REF_CHANGING_TOOLS = { promote_branch_to_main: 'main', undo_last_commit_on_main: 'main' };
+
+async function branchHead(projectName, branch) {
+  try {
+    return await tryGit(resolveProject(projectName).dir, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+  } catch (_) {
+    return null;
+  }
+}
+
+// Job id from a tool result that started a job, for the audit log
+function startedJobId(result) {
+  try {
+    return JSON.parse(result.content[0].text).jobId || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Tools are collected here and registered on a fresh McpServer for every MCP session. Each
+// session only sees the tools its token's role allows, and every call checks the role again.
+// Every call is recorded in the audit log (see audit.js).
+const toolDefinitions = [];
+function registerTool(name, definition, handler) {
+  const required = toolRole(name);
+  const guarded = async (args, extra) => {
+    const role = extra?.authInfo?.extra?.role ?? null;
+    const entry = { via: 'mcp', action: name, caller: callerName(extra), role, project: args?.project ?? null, args };
+    if (!role || !hasRole(role, required)) {
+      recordAudit({ ...entry, outcome: 'denied' });
+      throw new Error(`forbidden: ${name} requires the ${required} role`);
+    }
+    let releaseRuns = () => {};
+    if (RUN_TOOLS[name]) {
+      try {
+        releaseRuns = checkRunLimits({ token: callerName(extra), ip: callerIp(extra), runs: RUN_TOOLS[name](args) });
+      } catch (e) {
+        recordAudit({ ...entry, outcome: 'limited', error: e.message });
+        throw e;
+      }
+      // The job is in the history once queued; jobStartedResult releases before holding the request
+      extra = { ...extra, releaseRuns };
+    }
+    const ref = REF_CHANGING_TOOLS[name];
+    const before = ref ? await branchHead(args?.project, ref) : null;
+    const started = Date.now();
+    try {
+      const result = await handler(args, extra);
+      recordAudit({
+        ...entry,
+        outcome: result?.isError ? 'error' : 'ok',
+        durationMs: Date.now() - started,
+        jobId: startedJobId(result),
+        ...(ref ? { refs: { ref, before, after: await branchHead(args?.project, ref) } } : {})
+      });
+      return result;
+    } catch (e) {
+      recordAudit({
+        ...entry,
+        outcome: 'error',
+        error: String(e?.message || e),
+        durationMs: Date.now() - started,
+        ...(ref ? { refs: { ref, before, after: await branchHead(args?.project, ref) } } : {})
+      });
+      throw e;
+    } finally {
+      releaseRuns();
+    }
+  };
+  toolDefinitions.push([name, definition, guarded]);
+}
+
+function createMcpServer(req) {
+  const role = req.auth?.extra?.role;
+  const server = new McpServer({ name: 'mcp-goose', version: '0.1.0' });
+  const subscriptions = createSubscriptions(server);
+  const offJobs = registerJobResources(server, subscriptions);
+  const offProjects = registerProjectResources(server, subscriptions);
+  const offPrompts = registerRecipePrompts(server);
+  for (const [name, definition, handler] of toolDefinitions) {
+    if (role && hasRole(role, toolRole(name))) server.registerTool(name, definition, handler);
+  }
+  return {
+    server,
+    dispose: () => {
+      offJobs();
+      offProjects();
+      offPrompts();
+      subscriptions.dispose();
+    }
+  };
+}
+
+// Response for tools that start a job. When the caller sent a progressToken, the request stays
+// open streaming notifications/progress until the job finishes (its final status is included) or
+// the progress hold runs out (the current status is included and the job keeps running).
+async function jobStartedResult(started, extra) {
+  extra?.releaseRuns?.();
+  const progress = await streamJobProgress(started.jobId, extra);
+  const body = !progress ? started
+    : progress.finished ? { ...started, final: jobStatus(started.jobId) }
+    : { ...started, current: jobStatus(started.jobId) };
+  return { content: [{ type: 'text', text: JSON.stringify(body, null, 2) }] };
+}
+
+// Tools take an optional project name; everything they touch stays inside that project's dir
+const projectArg = z.string().optional().describe('Project name from project_list (default: the default project)');
+
+// Preview site of a project: null for the default project, which is served at '/'
+function previewSite(project) {
+  return project.isDefault ? null : project.name;
+}
+
+// listJobs filter for a project's jobs; jobs recorded before projects existed belong to the default one
+function projectJobFilter(project) {
+  return project.isDefault ? [project.name, null] : project.name;
+}
 
 // Tool: goose_session_start
-server.registerTool(
+registerTool(
   'goose_session_start',
   {
     title: 'Session Start',
     description: 'Start an interactive Goose session (CLI)',
     inputSchema: {
-      name: z.string().optional().describe('Optional session name (-n, --name)')
+      name: z.string().optional().describe('Optional session name (-n, --name)'),
+      project: projectArg
     }
   },
-  async ({ name }) => {
+  async ({ name, project }, extra) => {
+    const proj = resolveProject(project);
     const args = ['session', '--with-builtin', 'developer'];
     if (name) args.push('--name', name);
-    if (getRunningJobId()) {
-      const err = new Error('A job is already running. Concurrency is limited to 1.');
-      err.code = 'BUSY';
-      throw err;
-    }
-    const { jobId, pid, startedAt } = startJob({
+    const started = startJob({
       command: args.shift(),
       args: sanitizeArgs(args),
       env: {},
-      cwd: config.scopeDir,
+      cwd: proj.dir,
       goosePath: config.gooseBinary,
       logMaxBytes: config.logMaxBytes,
-      echoToConsole: config.echoJobLogs
+      echoToConsole: config.echoJobLogs,
+      meta: { source: 'goose_session_start', requestedBy: callerName(extra), project: proj.name }
     });
-    return { content: [{ type: 'text', text: JSON.stringify({ jobId, pid, startedAt }, null, 2) }] };
+    return jobStartedResult(started, extra);
   }
 );
 
 // Tool: goose_session_resume
-server.registerTool(
+registerTool(
   'goose_session_resume',
   {
     title: 'Session Resume',
     description: 'Resume an existing Goose session (CLI)',
     inputSchema: {
       name: z.string().optional().describe('Resume by name (-n, --name)'),
-      id: z.string().optional().describe('Resume by id (-i, --id)')
+      id: z.string().optional().describe('Resume by id (-i, --id)'),
+      project: projectArg
     }
   },
-  async ({ name, id }) => {
+  async ({ name, id, project }, extra) => {
+    const proj = resolveProject(project);
     const args = ['session', '--resume', '--with-builtin', 'developer'];
     if (name) args.push('--name', name);
     if (id) args.push('--id', id);
-    if (getRunningJobId()) {
-      const err = new Error('A job is already running. Concurrency is limited to 1.');
-      err.code = 'BUSY';
-      throw err;
-    }
-    const { jobId, pid, startedAt } = startJob({
+    const started = startJob({
       command: args.shift(),
       args: sanitizeArgs(args),
       env: {},
-      cwd: config.scopeDir,
+      cwd: proj.dir,
       goosePath: config.gooseBinary,
       logMaxBytes: config.logMaxBytes,
-      echoToConsole: config.echoJobLogs
+      echoToConsole: config.echoJobLogs,
+      meta: { source: 'goose_session_resume', requestedBy: callerName(extra), project: proj.name }
     });
-    return { content: [{ type: 'text', text: JSON.stringify({ jobId, pid, startedAt }, null, 2) }] };
+    return jobStartedResult(started, extra);
   }
 );
 
 // Tool: goose_session_remove
-server.registerTool(
+registerTool(
   'goose_session_remove',
   {
     title: 'Session Remove',
@@ -95,26 +258,22 @@ server.registerTool(
       regex: z.string().optional().describe('Regex pattern (-r, --regex)')
     }
   },
-  async ({ id, name, regex }) => {
+  async ({ id, name, regex }, extra) => {
     const args = ['session', 'remove'];
     if (id) args.push('--id', id);
     if (name) args.push('--name', name);
     if (regex) args.push('--regex', regex);
-    if (getRunningJobId()) {
-      const err = new Error('A job is already running. Concurrency is limited to 1.');
-      err.code = 'BUSY';
-      throw err;
-    }
-    const { jobId, pid, startedAt } = startJob({
+    const started = startJob({
       command: args.shift(),
       args: sanitizeArgs(args),
       env: {},
       cwd: config.scopeDir,
       goosePath: config.gooseBinary,
       logMaxBytes: config.logMaxBytes,
-      echoToConsole: config.echoJobLogs
+      echoToConsole: config.echoJobLogs,
+      meta: { source: 'goose_session_remove', requestedBy: callerName(extra) }
     });
-    return { content: [{ type: 'text', text: JSON.stringify({ jobId, pid, startedAt }, null, 2) }] };
+    return jobStartedResult(started, extra);
   }
 );
 
@@ -125,9 +284,84 @@ if (configErrors.length) {
   process.exit(1);
 }
 
+const tokenState = initTokens({ file: config.tokensFile, bootstrapToken: config.authToken });
+if (!tokenState.bootstrap && !tokenState.admins) {
+  console.error(`[config] Invalid configuration:\n- AUTH_TOKEN is required until an admin token exists in ${config.tokensFile}`);
+  process.exit(1);
+}
+console.log(`[tokens] ${tokenState.active} named token(s) from ${config.tokensFile}${tokenState.bootstrap ? ' plus AUTH_TOKEN (admin)' : ''}`);
+
+const defaultProject = initProjects({ baseDir: config.projectsDir, defaultDir: config.scopeDir });
+console.log(`[projects] default project '${defaultProject.name}' at ${defaultProject.dir}; projects dir ${config.projectsDir}`);
+
+// Load persisted job history; jobs that were running when we last stopped become 'interrupted'
+try {
+  const { loaded, interrupted } = initJobStore({
+    dir: config.jobsDir,
+    logMaxBytes: config.logMaxBytes,
+    goosePath: config.gooseBinary
+  });
+  console.log(`[jobs] Loaded ${loaded} job(s) from ${config.jobsDir} (${interrupted} marked interrupted)`);
+} catch (e) {
+  console.warn(`[jobs] Failed to load job history from ${config.jobsDir}: ${e?.message || e}`);
+}
+
+// Recipes rendered for runs are deleted when their job exits; after a restart no job is left to
+// run the ones still here (interrupted or canceled while queued)
+const RUNTIME_RECIPES_DIR = path.join(os.homedir(), '.cache', 'mcp-goose', 'runtime-recipes');
+try {
+  fs.rmSync(RUNTIME_RECIPES_DIR, { recursive: true, force: true });
+} catch (e) {
+  console.warn(`[jobs] cannot clear ${RUNTIME_RECIPES_DIR}: ${e?.message || e}`);
+}
+configureJobs({
+  maxConcurrency: config.maxConcurrency,
+  maxRuntimeMs: config.jobMaxRuntimeMinutes * 60_000,
+  idleTimeoutMs: config.jobIdleTimeoutMinutes * 60_000,
+  killGraceMs: config.jobKillGraceSeconds * 1000,
+  retentionMaxAgeMs: config.jobRetentionDays * 86_400_000,
+  retentionMaxJobs: config.jobRetentionMax,
+  redactPatterns: config.redactPatterns,
+  redactEnvKeys: config.redactEnvKeys,
+  envAllow: config.jobEnvAllow,
+  envOverridable: config.jobEnvOverridable
+});
+
+initAudit({ file: config.auditFile });
+configureLimits(config.runLimits);
+configureRunOptions({ models: config.runModelAllow, maxTurns: config.runMaxTurnsLimit });
+initRecipes({ dir: config.recipesDir });
+
+const webhookCount = initWebhooks({ file: config.webhooksFile, urls: config.webhookUrls, secret: config.webhookSecret });
+if (webhookCount) console.log(`[webhooks] ${webhookCount} webhook(s) registered`);
+
+const pipelineState = initPipelines({
+  file: config.pipelinesFile,
+  launch: (step, { project, baseBranch, priority, requestedBy, requestedFrom, pipelineId, stepIndex }) => queueGooseRun({
+    project,
+    text: step.text,
+    recipe: step.recipe,
+    params: step.params,
+    branch: baseBranch || undefined,
+    priority,
+    timeoutMinutes: step.timeoutMinutes || undefined,
+    meta: { source: 'goose_pipeline_run', requestedBy, requestedFrom, pipelineId, pipelineStep: stepIndex }
+  })
+});
+if (pipelineState.interrupted) console.log(`[pipelines] ${pipelineState.interrupted} pipeline(s) were interrupted by a restart`);
+
+// Stop running goose children on shutdown so they are not orphaned, and record them as interrupted
+for (const sig of ['SIGINT', 'SIGTERM']) {
+  process.once(sig, () => {
+    console.log(`[mcp-goose] ${sig} received, stopping running jobs...`);
+    shutdownJobs('SIGTERM');
+    closeAllMcpSessions().finally(() => process.exit(0));
+  });
+}
+
 // Express app
 const app = express();
-app.set('trust proxy', 1);
+app.set('trust proxy', config.trustProxy);
 app.use(cors({ origin: '*' }));
 app.use(express.json({ limit: '2mb' }));
 
@@ -161,14 +395,21 @@ app.get('/status', (req, res) => {
   });
 });
 
-// Auth helper
+// Browser sign-in for the preview sites, the run panel, /api/run and /events
+initWebAuth({ sessionHours: config.webSessionHours });
+registerWebAuthRoutes(app);
+
+// Auth helper: resolves the bearer token to a named token and its role. req.auth follows the
+// SDK's AuthInfo shape, so tool handlers see the caller as extra.authInfo.
 function checkAuth(req, res) {
   const header = req.headers['authorization'] || '';
   const token = (header.startsWith('Bearer ') ? header.slice(7) : header).trim();
-  if (!token || token !== config.authToken) {
+  const caller = authenticateToken(token);
+  if (!caller) {
     res.status(401).json({ error: 'Unauthorized' });
     return false;
   }
+  req.auth = { token, clientId: caller.name, scopes: [caller.role], extra: { role: caller.role, ip: req.ip } };
   return true;
 }
 
@@ -214,29 +455,103 @@ function ensureAllowedCommand(command) {
   if (!ALLOWED_COMMANDS.has(command)) throw new Error(`command not allowed: ${command}`);
 }
 
+// Job hooks that run goose in its own git worktree of the project, based on baseBranch. After exit, commits
+// are kept on a branch, the worktree is removed and the resulting branch is published.
+function worktreeHooks(project, baseBranch) {
+  return {
+    prepare: async (job) => {
+      if (!(await hasCommits(project.dir))) {
+        // Nothing to base a worktree on yet; the first run initializes the scope dir itself
+        console.warn(`[worktree] ${project.dir} has no commits yet; job ${job.id} runs in the project dir`);
+        return {};
+      }
+      const wt = await createJobWorktree(project.dir, config.worktreesDir, { jobId: job.id, baseBranch });
+      await ensureGuidanceReadme(wt.dir);
+      console.log(`[worktree] job ${job.id} → ${wt.dir} (from '${wt.baseBranch}' @ ${wt.baseCommit.slice(0, 7)})`);
+      return { cwd: wt.dir, worktree: wt.dir, baseBranch: wt.baseBranch, baseCommit: wt.baseCommit };
+    },
+    onExit: async (job) => {
+      try {
+        let branch = null;
+        if (job.worktree) {
+          const finalized = await finalizeJobWorktree(project.dir, { dir: job.worktree, jobId: job.id });
+          branch = finalized.branch;
+          updateJob(job.id, { branch, worktree: finalized.removed ? null : job.worktree });
+        }
+        const changes = await summarizeChanges(project.dir, { baseBranch: job.baseBranch, baseCommit: job.baseCommit, branch });
+        let previewUrl = null;
+        if (branch) {
+          try {
+            const published = await publishBranch(project.dir, branch, previewSite(project));
+            previewUrl = published.url;
+            console.log(`[preview] published '${branch}' from job ${job.id} → ${published.url}`);
+            broadcastReload({ project: project.name, branch });
+          } catch (e) {
+            console.warn(`[preview] publish of '${branch}' from job ${job.id} failed: ${e?.message || e}`);
+          }
+        }
+        updateJob(job.id, { resultStatus: 'ready', result: { ...changes, previewUrl, computedAt: new Date().toISOString() } });
+        recordAudit({
+          via: 'job',
+          action: 'job.result',
+          caller: job.requestedBy ?? null,
+          project: project.name,
+          jobId: job.id,
+          outcome: job.status === 'completed' ? 'ok' : 'error',
+          status: job.status,
+          branch,
+          commits: changes.commits.map(c => c.sha)
+        });
+      } catch (e) {
+        updateJob(job.id, { resultStatus: 'error', resultError: String(e?.message || e) });
+        recordAudit({ via: 'job', action: 'job.result', caller: job.requestedBy ?? null, project: project.name, jobId: job.id, outcome: 'error', error: String(e?.message || e) });
+        throw e;
+      }
+    }
+  };
+}
+
 // Tool: health_check
-server.registerTool(
+registerTool(
   'health_check',
   { title: 'Health Check', description: 'Liveness/readiness check', inputSchema: {} },
   async () => ({ content: [{ type: 'text', text: JSON.stringify({ ok: true, at: new Date().toISOString() }, null, 2) }] })
 );
 
 // Tool: get_config
-server.registerTool(
+registerTool(
   'get_config',
   { title: 'Get Config', description: 'Returns non-sensitive server configuration', inputSchema: {} },
-  async () => ({
+  async (_args, extra) => ({
     content: [{ type: 'text', text: JSON.stringify({
       scopeDir: config.scopeDir,
+      projectsDir: config.projectsDir,
+      defaultProject: defaultProject.name,
       maxConcurrency: config.maxConcurrency,
       logMaxBytes: config.logMaxBytes,
+      jobMaxRuntimeMinutes: config.jobMaxRuntimeMinutes,
+      jobIdleTimeoutMinutes: config.jobIdleTimeoutMinutes,
+      jobKillGraceSeconds: config.jobKillGraceSeconds,
+      jobRetentionDays: config.jobRetentionDays,
+      jobRetentionMax: config.jobRetentionMax,
+      redactPatternCount: config.redactPatterns.length,
+      redactEnvKeys: config.redactEnvKeys,
+      recipesDir: config.recipesDir,
+      recipes: listRecipes(),
+      mcpSessionIdleMinutes: config.mcpSessionIdleMinutes,
+      mcpProgressHoldSeconds: config.mcpProgressHoldSeconds,
+      mcpSessions: mcpSessionCount(),
+      tokensFile: config.tokensFile,
+      caller: { token: callerName(extra), role: extra?.authInfo?.extra?.role ?? null },
+      gooseEnv: describeEnvPolicy(),
+      runOptions: describeRunOptions(),
       allowedCommands: Array.from(ALLOWED_COMMANDS)
     }, null, 2) }]
   })
 );
 
 // Tool: goose_version
-server.registerTool(
+registerTool(
   'goose_version',
   { title: 'Goose Version', description: 'Return goose --version', inputSchema: {} },
   async () => {
@@ -248,7 +563,7 @@ server.registerTool(
 );
 
 // Tool: goose_help
-server.registerTool(
+registerTool(
   'goose_help',
   {
     title: 'Goose Help',
@@ -265,7 +580,7 @@ server.registerTool(
 );
 
 // Tool: goose_list_commands
-server.registerTool(
+registerTool(
   'goose_list_commands',
   { title: 'Allowed Commands', description: 'List allowlisted Goose commands and flags', inputSchema: {} },
   async () => ({ content: [{ type: 'text', text: JSON.stringify({
@@ -275,112 +590,310 @@ server.registerTool(
   }, null, 2) }] })
 );
 
+// Recipe files given to scheduled runs and pipeline steps are paths relative to the project, resolved inside the
+// job's worktree so the recipe comes from the branch the run is based on. That is also where it must exist:
+// it is looked up at the base branch's commit, not in the checkout (which may be on another branch).
+async function resolveProjectRecipe(recipe, project, branch) {
+  const rel = path.normalize(String(recipe || ''));
+  if (!rel || path.isAbsolute(rel) || rel === '..' || rel.startsWith('..' + path.sep)) {
+    throw new Error(`recipe must be a path inside the project: ${recipe}`);
+  }
+  if (!/\.ya?ml$/i.test(rel)) throw new Error(`recipe must be a .yaml file: ${recipe}`);
+  // Without commits there is no worktree and the run uses the project dir itself
+  const base = (await hasCommits(project.dir)) ? await resolveBaseBranch(project.dir, branch) : null;
+  const found = base
+    ? (await tryGit(project.dir, ['cat-file', '-e', `${base.commit}:${rel.split(path.sep).join('/')}`])) !== null
+    : fs.existsSync(path.join(project.dir, rel));
+  if (!found) throw new Error(`recipe not found${base ? ` on '${base.branch}'` : ''}: ${recipe}`);
+  return rel;
+}
+
+const INSTRUCTION_RECIPE = 'headless-run';
+
+// goose_run instructions are rendered with the library's headless-run recipe; this minimal
+// recipe stands in when that file is missing or invalid
+function instructionRecipeYaml(text) {
+  try {
+    return renderRecipe(INSTRUCTION_RECIPE, { instruction: text }).yaml;
+  } catch (e) {
+    console.warn(`[recipes] ${INSTRUCTION_RECIPE} unavailable, using the built-in recipe: ${e?.message || e}`);
+  }
+  const prompt = `You are Goose running in headless mode. Follow the user instruction faithfully.\n\nUser instruction:\n${text}\n\nOperational requirements (perform automatically unless unsafe):\n- If the current directory is not a git repository, initialize one (git init).\n- Create and switch to a new feature branch uniquely named for this run (e.g., 'feat/mcp-run-<timestamp>').\n- Make all code changes on that branch.\n- At the end of the run, add all relevant files and commit with a concise message summarizing changes.\n- Do not push to any remote.\n- If actions would be destructive, explain and skip those actions.\n`;
+  return YAML.stringify({ title: 'MCP Headless Run', description: 'Headless run with git init/branch/commit workflow', prompt }, { lineWidth: 0 });
+}
+
+// Queue a headless goose run in its own worktree from one of: a text instruction (wrapped in
+// the headless-run recipe), a library recipe rendered with its parameters, or a recipe file in
+// the project with optional --params. runOptions picks provider, model and max turns (see
+// run-options.js). Used by goose_run, goose_run_recipe, /api/run, the scheduler and pipelines.
+async function queueGooseRun({ project, text, recipe, libraryRecipe, params, branch, priority = 0, timeoutMinutes, env = {}, runOptions = {}, meta = {} }) {
+  const normalized = 'run';
+  ensureAllowedCommand(normalized);
+  vetEnvOverrides(env);
+  const { args: optionArgs, effective } = resolveRunOptions(runOptions, env);
+  const proj = resolveProject(project);
+
+  if (branch && (await hasCommits(proj.dir)) && !(await resolveBaseBranch(proj.dir, branch))) {
+    throw new Error(`Branch '${branch}' does not exist`);
+  }
+  if (timeoutMinutes && config.jobMaxRuntimeMinutes > 0 && timeoutMinutes > config.jobMaxRuntimeMinutes) {
+    throw new Error(`timeoutMinutes cannot exceed ${config.jobMaxRuntimeMinutes} (JOB_MAX_RUNTIME_MINUTES)`);
+  }
+
+  let recipePath;
+  let recipeParams;
+  let runtimeRecipe = null;
+  if (recipe) {
+    recipePath = await resolveProjectRecipe(recipe, proj, branch);
+  } else {
+    // Write the rendered recipe outside of the project so goose never sees it as project content
+    let recipeYaml;
+    if (libraryRecipe) {
+      const rendered = renderRecipe(libraryRecipe, params);
+      recipeYaml = rendered.yaml;
+      recipeParams = rendered.params;
+    } else {
+      recipeYaml = instructionRecipeYaml(text);
+    }
+    try { fs.mkdirSync(RUNTIME_RECIPES_DIR, { recursive: true }); } catch {}
+    // Unique per run: runs queued in the same millisecond must not share a file
+    recipePath = path.join(RUNTIME_RECIPES_DIR, `run-${Date.now()}-${crypto.randomBytes(6).toString('hex')}.yaml`);
+    fs.writeFileSync(recipePath, recipeYaml, 'utf8');
+    runtimeRecipe = recipePath;
+  }
+  const removeRuntimeRecipe = () => {
+    if (runtimeRecipe) fs.rmSync(runtimeRecipe, { force: true });
+  };
+
+  // Build final args: always headless recipe with developer builtin
+  let finalArgs;
+  try {
+    finalArgs = buildRunArgs({ args: ['--no-session', '--with-builtin', 'developer', '--recipe', recipePath, ...optionArgs], params: recipe ? params : undefined });
+  } catch (e) {
+    removeRuntimeRecipe();
+    throw e;
+  }
+
+  const hooks = worktreeHooks(proj, branch);
+  return startJob({
+    command: normalized,
+    args: finalArgs,
+    env,
+    cwd: proj.dir,
+    goosePath: config.gooseBinary,
+    logMaxBytes: config.logMaxBytes,
+    echoToConsole: config.echoJobLogs,
+    priority,
+    maxRuntimeMs: timeoutMinutes ? timeoutMinutes * 60_000 : undefined,
+    meta: {
+      project: proj.name,
+      task: text,
+      recipe: recipe || libraryRecipe,
+      ...(recipeParams ? { recipeParams } : {}),
+      baseBranch: branch,
+      envOverrides: Object.keys(env),
+      ...effective,
+      resultStatus: 'pending',
+      ...meta
+    },
+    prepare: hooks.prepare,
+    onExit: async (job) => {
+      try {
+        await hooks.onExit(job);
+      } finally {
+        removeRuntimeRecipe();
+      }
+    }
+  });
+}
+
+// Per-run goose options shared by goose_run and goose_run_recipe
+const runOptionsSchema = {
+  provider: z.string().optional().describe('LLM provider for this run (default: GOOSE_PROVIDER); only allowed when get_config runOptions.allowedModels is set'),
+  model: z.string().optional().describe('Model for this run (default: GOOSE_MODEL); must match get_config runOptions.allowedModels, and is refused when that is null'),
+  maxTurns: z.number().int().positive().optional().describe('Max agent turns for this run (default: GOOSE_MAX_TURNS; cannot exceed RUN_MAX_TURNS_LIMIT)'),
+  explain: z.boolean().optional().describe("Pass --explain: goose shows the recipe's title, description and parameters"),
+  debug: z.boolean().optional().describe('Pass --debug: full tool responses and parameter values in the log')
+};
+
 // Tool: goose_run
-server.registerTool(
+registerTool(
   'goose_run',
   {
     title: 'Run Goose Command',
-    description: "Start a Goose 'run' job with a text prompt (headless). Always runs '--no-session -t <text>'.",
+    description: "Queue a Goose 'run' job with a text prompt (headless). Starts immediately when a slot is free (MAX_CONCURRENCY), otherwise waits in the queue.",
     inputSchema: {
-      text: z.string().min(1).describe('Natural language instruction to pass to goose run (-t)')
+      text: z.string().min(1).describe('Natural language instruction to pass to goose run (-t)'),
+      branch: z.string().optional().describe('Branch to base the run on (default: the branch checked out in the scope dir)'),
+      priority: z.number().int().optional().describe('Queue priority; higher runs first when all slots are busy (default 0)'),
+      timeoutMinutes: z.number().positive().optional().describe('Max runtime for this job in minutes (cannot exceed JOB_MAX_RUNTIME_MINUTES)'),
+      env: z.record(z.string()).optional().describe('Environment overrides for this run; only the names listed in get_config gooseEnv.overridable are accepted'),
+      ...runOptionsSchema,
+      project: projectArg
     }
   },
-  async ({ text }) => {
-    const normalized = 'run';
-    ensureAllowedCommand(normalized);
+  async ({ text, branch, priority = 0, timeoutMinutes, env = {}, provider, model, maxTurns, explain, debug, project }, extra) => {
+    const started = await queueGooseRun({ project, text, branch, priority, timeoutMinutes, env, runOptions: { provider, model, maxTurns, explain, debug }, meta: { source: 'goose_run', requestedBy: callerName(extra), requestedFrom: callerIp(extra) } });
+    return jobStartedResult(started, extra);
+  }
+);
 
-    // Create a runtime recipe (outside of scopeDir) that embeds the instruction and operational guardrails
-    const { homedir } = await import('node:os');
-    const runtimeDir = path.join(homedir(), '.cache', 'mcp-goose', 'runtime-recipes');
-    try { fs.mkdirSync(runtimeDir, { recursive: true }); } catch {}
-    const recipePath = path.join(runtimeDir, `run-${Date.now()}.yaml`);
-    const templatePath = path.resolve(process.cwd(), 'recipes', 'headless-run.yaml');
-    let recipeYaml;
-    try {
-      if (fs.existsSync(templatePath)) {
-        const tpl = fs.readFileSync(templatePath, 'utf8');
-        recipeYaml = tpl.replace('<<<INSTRUCTION>>>', text);
-      } else {
-        // Fallback: synthesize a minimal recipe if template missing
-        const prompt = `You are Goose running in headless mode. Follow the user instruction faithfully.\n\nUser instruction:\n${text}\n\nOperational requirements (perform automatically unless unsafe):\n- If the current directory is not a git repository, initialize one (git init).\n- Create and switch to a new feature branch uniquely named for this run (e.g., 'feat/mcp-run-<timestamp>').\n- Make all code changes on that branch.\n- At the end of the run, add all relevant files and commit with a concise message summarizing changes.\n- Do not push to any remote.\n- If actions would be destructive, explain and skip those actions.\n`;
-        recipeYaml = `title: MCP Headless Run\ndescription: Headless run with git init/branch/commit workflow\nprompt: |\n  ${prompt.split('\n').join('\n  ')}\n`;
-      }
-    } catch (e) {
-      throw new Error(`failed to prepare runtime recipe: ${e?.message || e}`);
+// Tool: goose_run_recipe
+registerTool(
+  'goose_run_recipe',
+  {
+    title: 'Run Recipe',
+    description: "Queue a goose run from a recipe in the server's recipe library (the same recipes listed as prompts), with its parameters. Parameter values are checked against the types the recipe declares. Runs like goose_run: its own worktree, queued when all slots are busy.",
+    inputSchema: {
+      recipe: z.string().min(1).describe('Recipe name: the file name in the recipes dir without .yaml (see prompts/list or get_config recipes)'),
+      params: z.record(z.union([z.string(), z.number(), z.boolean()])).optional().describe('Recipe parameters by key; optional ones fall back to their defaults'),
+      branch: z.string().optional().describe('Branch to base the run on (default: the branch checked out in the scope dir)'),
+      priority: z.number().int().optional().describe('Queue priority; higher runs first when all slots are busy (default 0)'),
+      timeoutMinutes: z.number().positive().optional().describe('Max runtime for this job in minutes (cannot exceed JOB_MAX_RUNTIME_MINUTES)'),
+      env: z.record(z.string()).optional().describe('Environment overrides for this run; only the names listed in get_config gooseEnv.overridable are accepted'),
+      ...runOptionsSchema,
+      project: projectArg
     }
-    fs.writeFileSync(recipePath, recipeYaml, 'utf8');
+  },
+  async ({ recipe, params = {}, branch, priority = 0, timeoutMinutes, env = {}, provider, model, maxTurns, explain, debug, project }, extra) => {
+    const started = await queueGooseRun({ project, libraryRecipe: recipe, params, branch, priority, timeoutMinutes, env, runOptions: { provider, model, maxTurns, explain, debug }, meta: { source: 'goose_run_recipe', requestedBy: callerName(extra), requestedFrom: callerIp(extra) } });
+    return jobStartedResult(started, extra);
+  }
+);
 
-    // Build final args: always headless recipe with developer builtin
-    const finalArgs = sanitizeArgs(['--no-session', '--with-builtin', 'developer', '--recipe', recipePath]);
+// Tool: goose_pipeline_run
+const pipelineStepSchema = z.object({
+  name: z.string().optional(),
+  text: z.string().min(1).optional().describe('Instruction for this step (as goose_run)'),
+  recipe: z.string().optional().describe('Recipe file relative to the project, read from the step branch'),
+  params: z.record(z.string()).optional().describe('Recipe parameters, passed as --params key=value'),
+  timeoutMinutes: z.number().positive().optional(),
+  successWhen: z.object({
+    requireCommits: z.boolean().optional().describe('The step must commit changes'),
+    outputIncludes: z.string().optional().describe('Text that must appear in the step output'),
+    outputExcludes: z.string().optional().describe('Text that must not appear in the step output')
+  }).optional().describe('Extra success conditions; a step always needs its job to complete with exit code 0'),
+  onFailure: z.enum(FAILURE_POLICIES).optional().describe("'stop' (default) ends the pipeline; 'continue' runs the next step from the branch this step started from")
+});
 
-    // Enforce single concurrency
-    if (getRunningJobId()) {
-      const err = new Error('A job is already running. Concurrency is limited to 1.');
-      err.code = 'BUSY';
-      throw err;
+registerTool(
+  'goose_pipeline_run',
+  {
+    title: 'Run Goose Pipeline',
+    description: 'Run an ordered list of goose steps, each an instruction or recipe. Every step runs in its own job based on the branch produced by the previous step. Returns the pipeline id; follow it with goose_pipeline_status.',
+    inputSchema: {
+      steps: z.array(pipelineStepSchema).min(1).max(20),
+      name: z.string().optional(),
+      branch: z.string().optional().describe('Branch the first step is based on (default: the branch checked out in the scope dir)'),
+      priority: z.number().int().optional().describe('Queue priority of every step job (default 0)'),
+      project: projectArg
     }
+  },
+  async ({ steps, name, branch, priority = 0, project }, extra) => {
+    const proj = resolveProject(project);
+    if (branch && (await hasCommits(proj.dir)) && !(await resolveBaseBranch(proj.dir, branch))) {
+      throw new Error(`Branch '${branch}' does not exist`);
+    }
+    for (const [i, s] of steps.entries()) {
+      if (!s.text === !s.recipe) throw new Error(`step ${i + 1}: exactly one of text or recipe is required`);
+      if (s.recipe) await resolveProjectRecipe(s.recipe, proj, branch);
+      if (s.timeoutMinutes && config.jobMaxRuntimeMinutes > 0 && s.timeoutMinutes > config.jobMaxRuntimeMinutes) {
+        throw new Error(`step ${i + 1}: timeoutMinutes cannot exceed ${config.jobMaxRuntimeMinutes} (JOB_MAX_RUNTIME_MINUTES)`);
+      }
+    }
+    const pipeline = await startPipeline({ name, project: proj.name, branch, priority, requestedBy: callerName(extra), requestedFrom: callerIp(extra), steps });
+    return { content: [{ type: 'text', text: JSON.stringify(pipeline, null, 2) }] };
+  }
+);
 
-    const { jobId, pid, startedAt } = startJob({
-      command: normalized,
-      args: finalArgs,
-      env: {},
-      cwd: config.scopeDir,
-      goosePath: config.gooseBinary,
-      logMaxBytes: config.logMaxBytes,
-      echoToConsole: config.echoJobLogs
-    });
-
-    return { content: [{ type: 'text', text: JSON.stringify({ jobId, pid, startedAt }, null, 2) }] };
+// Tool: goose_pipeline_status
+registerTool(
+  'goose_pipeline_status',
+  {
+    title: 'Pipeline Status',
+    description: 'Status of a pipeline rolled up from its step jobs (outcome, job status, base and resulting branch, preview URL, failure reason per step). Without an id, lists recent pipelines.',
+    inputSchema: {
+      id: z.string().optional(),
+      status: z.enum(['running', 'succeeded', 'completed_with_failures', 'failed', 'canceled', 'interrupted']).optional().describe('Filter the list by status'),
+      limit: z.number().int().min(1).max(200).optional()
+    }
+  },
+  async ({ id, status, limit = 20 }) => {
+    let result;
+    if (id) {
+      result = pipelineStatus(id);
+      if (!result) throw new Error('pipeline not found');
+    } else {
+      result = { pipelines: listPipelines({ status, limit }) };
+    }
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
   }
 );
 
+// Tool: goose_pipeline_stop
+registerTool(
+  'goose_pipeline_stop',
+  { title: 'Stop Pipeline', description: 'Stop the running step of a pipeline and skip the remaining steps', inputSchema: { id: z.string() } },
+  async ({ id }) => ({ content: [{ type: 'text', text: JSON.stringify(stopPipeline(id), null, 2) }] })
+);
+
 // Tool: goose_recipe_validate
-server.registerTool(
+registerTool(
   'goose_recipe_validate',
   {
     title: 'Recipe Validate',
     description: 'Validate a Goose recipe file',
-    inputSchema: { file: z.string().describe('Path to recipe yaml file (relative to scope dir)') }
+    inputSchema: {
+      file: z.string().describe('Path to recipe yaml file (relative to the project dir)'),
+      project: projectArg
+    }
   },
-  async ({ file }) => {
+  async ({ file, project }, extra) => {
+    const proj = resolveProject(project);
     // Spawn as a managed job to support long validations
-    const { jobId, pid, startedAt } = startJob({
+    const started = startJob({
       command: 'recipe',
       args: sanitizeArgs(['validate', file]),
       env: {},
-      cwd: config.scopeDir,
+      cwd: proj.dir,
       goosePath: config.gooseBinary,
       logMaxBytes: config.logMaxBytes,
-      echoToConsole: config.echoJobLogs
+      echoToConsole: config.echoJobLogs,
+      meta: { source: 'goose_recipe_validate', requestedBy: callerName(extra), project: proj.name, recipe: file }
     });
-    return { content: [{ type: 'text', text: JSON.stringify({ jobId, pid, startedAt }, null, 2) }] };
+    return jobStartedResult(started, extra);
   }
 );
 
 // Tool: goose_recipe_deeplink
-server.registerTool(
+registerTool(
   'goose_recipe_deeplink',
   {
     title: 'Recipe Deeplink',
     description: 'Generate a shareable link for a recipe file',
-    inputSchema: { file: z.string().describe('Path to recipe yaml file (relative to scope dir)') }
+    inputSchema: {
+      file: z.string().describe('Path to recipe yaml file (relative to the project dir)'),
+      project: projectArg
+    }
   },
-  async ({ file }) => {
-    const { jobId, pid, startedAt } = startJob({
+  async ({ file, project }, extra) => {
+    const proj = resolveProject(project);
+    const started = startJob({
       command: 'recipe',
       args: sanitizeArgs(['deeplink', file]),
       env: {},
-      cwd: config.scopeDir,
+      cwd: proj.dir,
       goosePath: config.gooseBinary,
       logMaxBytes: config.logMaxBytes,
-      echoToConsole: config.echoJobLogs
+      echoToConsole: config.echoJobLogs,
+      meta: { source: 'goose_recipe_deeplink', requestedBy: callerName(extra), project: proj.name, recipe: file }
     });
-    return { content: [{ type: 'text', text: JSON.stringify({ jobId, pid, startedAt }, null, 2) }] };
+    return jobStartedResult(started, extra);
   }
 );
 
 // Tool: goose_session_list
-server.registerTool(
+registerTool(
   'goose_session_list',
   {
     title: 'Session List',
@@ -391,26 +904,27 @@ server.registerTool(
       ascending: z.boolean().optional()
     }
   },
-  async ({ verbose = false, format, ascending = false }) => {
+  async ({ verbose = false, format, ascending = false }, extra) => {
     const args = ['session', 'list'];
     if (verbose) args.push('--verbose');
     if (format) args.push('--format', format);
     if (ascending) args.push('--ascending');
-    const { jobId, pid, startedAt } = startJob({
+    const started = startJob({
       command: args.shift(),
       args: sanitizeArgs(args),
       env: {},
       cwd: config.scopeDir,
       goosePath: config.gooseBinary,
       logMaxBytes: config.logMaxBytes,
-      echoToConsole: config.echoJobLogs
+      echoToConsole: config.echoJobLogs,
+      meta: { source: 'goose_session_list', requestedBy: callerName(extra) }
     });
-    return { content: [{ type: 'text', text: JSON.stringify({ jobId, pid, startedAt }, null, 2) }] };
+    return jobStartedResult(started, extra);
   }
 );
 
 // Tool: goose_session_export
-server.registerTool(
+registerTool(
   'goose_session_export',
   {
     title: 'Session Export',
@@ -422,28 +936,29 @@ server.registerTool(
       output: z.string().optional()
     }
   },
-  async ({ id, name, path: pth, output }) => {
+  async ({ id, name, path: pth, output }, extra) => {
     const args = ['session', 'export'];
     if (id) args.push('--id', id);
     if (name) args.push('--name', name);
     if (pth) args.push('--path', pth);
     if (output) args.push('--output', output);
-    const { jobId, pid, startedAt } = startJob({
+    const started = startJob({
       command: args.shift(),
       args: sanitizeArgs(args),
       env: {},
       cwd: config.scopeDir,
       goosePath: config.gooseBinary,
-      logMaxBytes: config.logMaxBytes
+      logMaxBytes: config.logMaxBytes,
+      meta: { source: 'goose_session_export', requestedBy: callerName(extra) }
     });
-    return { content: [{ type: 'text', text: JSON.stringify({ jobId, pid, startedAt }, null, 2) }] };
+    return jobStartedResult(started, extra);
   }
 );
 
 // Tool: goose_status
-server.registerTool(
+registerTool(
   'goose_status',
-  { title: 'Job Status', description: 'Get status of a Goose job', inputSchema: { jobId: z.string() } },
+  { title: 'Job Status', description: 'Get status of a Goose job (including queue position while queued)', inputSchema: { jobId: z.string() } },
   async ({ jobId }) => {
     const st = jobStatus(jobId);
     if (!st) throw new Error('job not found');
@@ -451,63 +966,393 @@ server.registerTool(
   }
 );
 
+// Tool: goose_list_jobs
+const JOB_STATUSES = ['queued', 'running', 'stopping', 'completed', 'failed', 'canceled', 'killed', 'timed_out', 'interrupted'];
+registerTool(
+  'goose_list_jobs',
+  {
+    title: 'List Jobs',
+    description: 'List current and past jobs, newest first, with the task or recipe each ran and the tool or HTTP route that started it. Page with the returned nextCursor.',
+    inputSchema: {
+      status: z.array(z.enum(JOB_STATUSES)).optional().describe('Only jobs in one of these statuses'),
+      command: z.string().optional().describe("Only jobs for this goose command (e.g. 'run', 'recipe', 'session')"),
+      source: z.string().optional().describe("Only jobs started by this tool or route (e.g. 'goose_run', 'POST /api/run')"),
+      project: z.string().optional().describe('Only jobs of this project'),
+      branch: z.string().optional().describe('Only jobs based on, or that produced, this branch'),
+      since: z.string().datetime({ offset: true }).optional().describe('Only jobs submitted at or after this ISO time'),
+      until: z.string().datetime({ offset: true }).optional().describe('Only jobs submitted before this ISO time'),
+      cursor: z.string().optional().describe('nextCursor from the previous page'),
+      limit: z.number().int().min(1).max(200).optional().describe('Page size (default 50)')
+    }
+  },
+  async ({ status, command, source, project, branch, since, until, cursor, limit = 50 }) => {
+    const projectFilter = project === undefined ? undefined : projectJobFilter(resolveProject(project));
+    const page = listJobs({ status, command, source, project: projectFilter, branch, since, until, cursor, limit });
+    return { content: [{ type: 'text', text: JSON.stringify(page, null, 2) }] };
+  }
+);
+
+// Tool: goose_webhooks
+registerTool(
+  'goose_webhooks',
+  {
+    title: 'Job Webhooks',
+    description: 'Manage outbound webhooks that receive a signed JSON POST on job start, success, failure, timeout, cancel and preview publish. Actions: list (with recent deliveries), add, remove, test.',
+    inputSchema: {
+      action: z.enum(['list', 'add', 'remove', 'test']),
+      id: z.string().optional().describe('Webhook id (remove, test)'),
+      url: z.string().url().optional().describe('Receiver URL (add)'),
+      events: z.array(z.enum(WEBHOOK_EVENTS)).optional().describe('Events to send (add; default all)'),
+      secret: z.string().min(16).optional().describe('HMAC secret for this webhook (add; default WEBHOOK_SECRET)')
+    }
+  },
+  async ({ action, id, url, events, secret }) => {
+    let result;
+    if (action === 'list') {
+      result = { webhooks: listWebhooks(), recentDeliveries: recentDeliveries() };
+    } else if (action === 'add') {
+      if (!url) throw new Error('url is required');
+      result = addWebhook({ url, events, secret });
+    } else {
+      if (!id) throw new Error('id is required');
+      result = action === 'remove' ? removeWebhook(id) : await testWebhook(id);
+    }
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+  }
+);
+
+// Token tools: named API tokens with a role (admin only)
+function tokenResult(result) {
+  return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+}
+
+registerTool(
+  'token_create',
+  {
+    title: 'Create API Token',
+    description: `Create a named API token with a role: ${ROLES.join(' < ')}. The token is returned once; only its hash is stored.`,
+    inputSchema: {
+      name: z.string().min(1).describe("Token name, recorded on the jobs and commits it starts (letters, digits, '.', '_', '-')"),
+      role: z.enum(ROLES).describe('viewer: read jobs, logs, branches and config; runner: also start and stop runs and schedules; admin: everything')
+    }
+  },
+  async ({ name, role }, extra) => tokenResult(createToken({ name, role, createdBy: callerName(extra) }))
+);
+
+registerTool(
+  'token_list',
+  { title: 'List API Tokens', description: 'List API tokens with their roles and when they were created, rotated, last used or revoked (never the tokens themselves)', inputSchema: {} },
+  async () => tokenResult({ tokens: listTokens() })
+);
+
+registerTool(
+  'token_rotate',
+  {
+    title: 'Rotate API Token',
+    description: 'Replace the secret of a token, keeping its name and role. The old token stops working at once; the new one is returned once.',
+    inputSchema: { name: z.string().min(1) }
+  },
+  async ({ name }) => tokenResult(rotateToken(name))
+);
+
+registerTool(
+  'token_revoke',
+  {
+    title: 'Revoke API Token',
+    description: 'Revoke a token; it stops working at once, for its MCP sessions and browser sign-ins too',
+    inputSchema: { name: z.string().min(1) }
+  },
+  async ({ name }) => tokenResult(revokeToken(name))
+);
+
+// Tool: audit_query
+const auditFilters = {
+  caller: z.string().optional().describe('Token name'),
+  action: z.string().optional().describe("Tool name, HTTP action such as 'POST /api/run', or 'job.result'"),
+  project: z.string().optional(),
+  outcome: z.enum(AUDIT_OUTCOMES).optional(),
+  jobId: z.string().optional(),
+  commit: z.string().min(4).optional().describe('Commit SHA or prefix: entries that created or moved a branch to or from it'),
+  since: z.string().optional().describe('ISO date/time (inclusive)'),
+  until: z.string().optional().describe('ISO date/time (inclusive)')
+};
+
+registerTool(
+  'audit_query',
+  {
+    title: 'Query Audit Log',
+    description: 'Search the append-only audit log of tool calls, HTTP actions (runs, sign-ins) and run results: who did what, with which (sanitized) arguments, the outcome and the commits affected. Newest first. format jsonl returns the entries oldest first as JSON lines, for export (also GET /api/audit).',
+    inputSchema: {
+      ...auditFilters,
+      limit: z.number().int().min(1).max(1000).optional().describe('Max entries (default 100)'),
+      format: z.enum(['json', 'jsonl']).optional()
+    }
+  },
+  async ({ limit = 100, format = 'json', ...filters }) => {
+    const result = await queryAudit({ limit, ...filters });
+    if (format === 'jsonl') {
+      const text = result.entries.slice().reverse().map(e => JSON.stringify(e)).join('\n');
+      return { content: [{ type: 'text', text: text ? text + '\n' : '' }] };
+    }
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+  }
+);
+
+// Tool: usage_report
+registerTool(
+  'usage_report',
+  {
+    title: 'Usage Report',
+    description: 'Show run usage against the limits: goose runs in the last hour, queued or running jobs, and job minutes today (UTC), for the calling token and its IP. Admins can ask for another token or IP.',
+    inputSchema: {
+      token: z.string().optional().describe('Token name (admin only; default: the calling token)'),
+      ip: z.string().optional().describe('Client IP (admin only; default: the caller\'s IP)')
+    }
+  },
+  async ({ token, ip }, extra) => {
+    if ((token || ip) && !hasRole(extra?.authInfo?.extra?.role, 'admin')) {
+      throw new Error('forbidden: only admins can see the usage of other tokens or IPs');
+    }
+    const report = usageReport({ token: token || (ip ? null : callerName(extra)), ip: ip || (token ? null : callerIp(extra)) });
+    return { content: [{ type: 'text', text: JSON.stringify(report, null, 2) }] };
+  }
+);
+
+// Schedule tools: recurring goose runs from a saved instruction or project recipe
+const DEFAULT_SCHEDULE_TIMEZONE = config.scheduleTimezone || moment.tz.guess() || 'UTC';
+
+registerTool(
+  'schedule_create',
+  {
+    title: 'Create Schedule',
+    description: "Create a recurring goose run from a 5-field cron expression evaluated in an IANA timezone, e.g. cron '0 7 * * 1-5' with timezone 'Australia/Sydney' for every weekday at 07:00 Sydney time. Give exactly one of text (instruction, as goose_run) or recipe (project-relative .yaml path).",
+    inputSchema: {
+      cron: z.string().min(1).describe("minute hour day-of-month month day-of-week, or @hourly/@daily/@weekly/@monthly"),
+      timezone: z.string().optional().describe(`IANA timezone (default ${DEFAULT_SCHEDULE_TIMEZONE})`),
+      name: z.string().optional(),
+      text: z.string().min(1).optional().describe('Instruction for each run'),
+      recipe: z.string().optional().describe('Recipe file relative to the project, read from the run branch'),
+      branch: z.string().optional().describe('Branch each run is based on (default: the branch checked out in the scope dir)'),
+      priority: z.number().int().optional(),
+      whenBusy: z.enum(BUSY_POLICIES).optional().describe("'skip' (default): do not start while the previous run is active or no job slot is free; 'queue': always queue"),
+      catchUp: z.enum(CATCH_UP_POLICIES).optional().describe(`Runs missed while the server was down: skip, once or all (default SCHEDULE_CATCH_UP, ${config.scheduleCatchUp})`),
+      project: projectArg
+    }
+  },
+  async ({ cron, timezone = DEFAULT_SCHEDULE_TIMEZONE, name, text, recipe, branch, priority = 0, whenBusy = 'skip', catchUp, project }, extra) => {
+    const proj = resolveProject(project);
+    if (branch && (await hasCommits(proj.dir)) && !(await resolveBaseBranch(proj.dir, branch))) {
+      throw new Error(`Branch '${branch}' does not exist`);
+    }
+    if (recipe) await resolveProjectRecipe(recipe, proj, branch);
+    const schedule = createSchedule({ name, cron, timezone, project: proj.name, text, recipe, branch, priority, whenBusy, catchUp, createdBy: callerName(extra) });
+    return { content: [{ type: 'text', text: JSON.stringify(schedule, null, 2) }] };
+  }
+);
+
+registerTool(
+  'schedule_list',
+  { title: 'List Schedules', description: 'List schedules with their next run (UTC and local to the schedule timezone) and last run outcome', inputSchema: {} },
+  async () => ({ content: [{ type: 'text', text: JSON.stringify({ schedules: listSchedules() }, null, 2) }] })
+);
+
+registerTool(
+  'schedule_pause',
+  { title: 'Pause Schedule', description: 'Pause a schedule; occurrences while paused are not caught up', inputSchema: { id: z.string() } },
+  async ({ id }) => ({ content: [{ type: 'text', text: JSON.stringify(setSchedulePaused(id, true), null, 2) }] })
+);
+
+registerTool(
+  'schedule_resume',
+  { title: 'Resume Schedule', description: 'Resume a paused schedule from its next occurrence', inputSchema: { id: z.string() } },
+  async ({ id }) => ({ content: [{ type: 'text', text: JSON.stringify(setSchedulePaused(id, false), null, 2) }] })
+);
+
+registerTool(
+  'schedule_delete',
+  { title: 'Delete Schedule', description: 'Delete a schedule (jobs it already started are kept)', inputSchema: { id: z.string() } },
+  async ({ id }) => ({ content: [{ type: 'text', text: JSON.stringify(deleteSchedule(id), null, 2) }] })
+);
+
+registerTool(
+  'schedule_runs',
+  {
+    title: 'Schedule Runs',
+    description: 'Run history of a schedule, newest first: started (with jobId and current job status), skipped_busy, missed or error',
+    inputSchema: { id: z.string(), limit: z.number().int().min(1).max(100).optional() }
+  },
+  async ({ id, limit = 20 }) => ({ content: [{ type: 'text', text: JSON.stringify(scheduleRuns(id, limit), null, 2) }] })
+);
+
 // Tool: goose_stream_logs
-server.registerTool(
+registerTool(
   'goose_stream_logs',
   {
     title: 'Stream Logs',
-    description: 'Read job logs incrementally',
-    inputSchema: { jobId: z.string(), which: z.enum(['stdout', 'stderr']).optional(), offset: z.number().optional(), maxBytes: z.number().optional() }
+    description: "Read job logs incrementally from an absolute byte offset. 'combined' interleaves stdout and stderr as timestamped lines tagged [stdout]/[stderr]. droppedBytes > 0 means output before startOffset was already discarded (LOG_MAX_BYTES).",
+    inputSchema: {
+      jobId: z.string(),
+      which: z.enum(['stdout', 'stderr', 'combined']).optional(),
+      offset: z.number().int().min(0).optional().describe('Absolute byte offset; pass the previous nextOffset (default 0)'),
+      maxBytes: z.number().int().positive().optional()
+    }
   },
   async ({ jobId, which = 'stdout', offset = 0, maxBytes = 65536 }) => {
     const chunk = streamLogs(jobId, which, offset, maxBytes);
     if (!chunk) throw new Error('job not found');
-    return { content: [{ type: 'text', text: JSON.stringify({ data: chunk.data, nextOffset: chunk.nextOffset, isEnd: chunk.isEnd }, null, 2) }] };
+    return { content: [{ type: 'text', text: JSON.stringify(chunk, null, 2) }] };
+  }
+);
+
+// Tool: goose_job_events
+registerTool(
+  'goose_job_events',
+  {
+    title: 'Job Events',
+    description: 'Read structured events parsed from goose output (turns, tool calls/results, assistant messages, errors, final summary). Page with the returned nextCursor.',
+    inputSchema: {
+      jobId: z.string(),
+      cursor: z.number().int().min(0).optional().describe('Last event seq already seen (default 0 = from the start)'),
+      limit: z.number().int().min(1).max(1000).optional().describe('Max events to scan per call (default 100)'),
+      types: z.array(z.enum(EVENT_TYPES)).optional().describe('Only return these event types')
+    }
+  },
+  async ({ jobId, cursor = 0, limit = 100, types }) => {
+    const page = jobEvents(jobId, cursor, limit, types);
+    if (!page) throw new Error('job not found');
+    return { content: [{ type: 'text', text: JSON.stringify(page, null, 2) }] };
+  }
+);
+
+// Tool: goose_job_result
+registerTool(
+  'goose_job_result',
+  {
+    title: 'Job Result',
+    description: 'Change summary of a finished goose_run job: the branch it created, commits, changed files with line counts versus the base branch, and the preview URL',
+    inputSchema: { jobId: z.string() }
+  },
+  async ({ jobId }) => {
+    const result = jobResult(jobId);
+    if (!result) throw new Error('job not found');
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
   }
 );
 
 // Tool: goose_get_output
-server.registerTool(
+registerTool(
   'goose_get_output',
-  { title: 'Get Output', description: 'Fetch final combined output', inputSchema: { jobId: z.string() } },
-  async ({ jobId }) => {
-    const out = getOutput(jobId);
+  {
+    title: 'Get Output',
+    description: 'Fetch the retained stdout and stderr of a job, or with combined: true both streams interleaved as timestamped, tagged lines',
+    inputSchema: { jobId: z.string(), combined: z.boolean().optional() }
+  },
+  async ({ jobId, combined = false }) => {
+    const out = getOutput(jobId, { combined });
     if (!out) throw new Error('job not found');
     return { content: [{ type: 'text', text: JSON.stringify(out, null, 2) }] };
   }
 );
 
 // Tool: goose_stop
-server.registerTool(
+registerTool(
   'goose_stop',
-  { title: 'Stop Job', description: 'Cancel a running Goose job', inputSchema: { jobId: z.string(), signal: z.enum(['SIGINT', 'SIGTERM']).optional() } },
+  { title: 'Stop Job', description: "Cancel a queued or running Goose job. A running job signals its whole process group, escalates to SIGKILL after the grace period, and becomes 'canceled' (or 'killed') once it has exited", inputSchema: { jobId: z.string(), signal: z.enum(['SIGINT', 'SIGTERM']).optional() } },
   async ({ jobId, signal = 'SIGTERM' }) => {
     const result = stopJob(jobId, signal);
     return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
   }
 );
 
+// Project tools: one server hosts many sites, each a git project under GOOSE_PROJECTS_DIR
+async function describeProject(project) {
+  const initialized = await hasCommits(project.dir);
+  const branches = initialized
+    ? (await execFileAsync('git', ['for-each-ref', '--format=%(refname:short)', 'refs/heads'], { cwd: project.dir })).stdout.split('\n').filter(Boolean)
+    : [];
+  const active = listJobs({ status: ['queued', 'running', 'stopping'], project: projectJobFilter(project), limit: 200 });
+  return {
+    name: project.name,
+    default: project.isDefault,
+    dir: project.dir,
+    currentBranch: initialized ? await currentBranch(project.dir) : null,
+    branches: branches.length,
+    activeJobs: active.jobs.length,
+    previewUrl: `http://localhost:${config.port}${previewBasePath(previewSite(project))}`
+  };
+}
+
+registerTool(
+  'project_create',
+  {
+    title: 'Create Project',
+    description: "Create a new project (site): a git repository under the projects dir with its own preview at /.project/<name>/. Pass its name as 'project' to the run, job, git and schedule tools.",
+    inputSchema: { name: z.string().describe("Project name: letters, digits, '.', '_' or '-' (max 64)") }
+  },
+  async ({ name }) => {
+    const project = await createProjectDir(name);
+    await ensureScopeReady(project.dir);
+    await startProjectSite(project);
+    console.log(`[projects] created '${project.name}' at ${project.dir}`);
+    return { content: [{ type: 'text', text: JSON.stringify(await describeProject(project), null, 2) }] };
+  }
+);
+
+registerTool(
+  'project_list',
+  { title: 'List Projects', description: 'List projects with their current branch, branch count, active jobs and preview URL', inputSchema: {} },
+  async () => {
+    const projects = [];
+    for (const project of listProjectDirs()) projects.push(await describeProject(project));
+    return { content: [{ type: 'text', text: JSON.stringify({ projectsDir: config.projectsDir, projects }, null, 2) }] };
+  }
+);
+
+registerTool(
+  'project_archive',
+  {
+    title: 'Archive Project',
+    description: "Archive a project: its directory moves to <projects dir>/.archive/, its preview site is removed and its schedules are paused. Refused while the project has queued or running jobs. The default project cannot be archived.",
+    inputSchema: { name: z.string() }
+  },
+  async ({ name }) => {
+    const project = resolveProject(name);
+    if (project.isDefault) throw new Error('the default project cannot be archived');
+    const { activeJobs } = await describeProject(project);
+    if (activeJobs) throw new Error(`project '${name}' has ${activeJobs} queued or running job(s); stop them first`);
+    const pausedSchedules = listSchedules()
+      .filter(sch => sch.project === project.name && !sch.paused)
+      .map(sch => setSchedulePaused(sch.id, true).id);
+    stopProjectSite(project.name);
+    const archived = await archiveProjectDir(project.name);
+    await removePreviewSite(previewSite(project));
+    console.log(`[projects] archived '${project.name}' → ${archived.archivedTo}`);
+    return { content: [{ type: 'text', text: JSON.stringify({ ok: true, name: project.name, archivedTo: archived.archivedTo, pausedSchedules }, null, 2) }] };
+  }
+);
+
 // Tool: list_branches
-server.registerTool(
+registerTool(
   'list_branches',
   {
     title: 'List Branches',
     description: 'List all git branches in the project with current branch indicated',
-    inputSchema: {}
+    inputSchema: { project: projectArg }
   },
-  async () => {
+  async ({ project }) => {
+    const proj = resolveProject(project);
     const { execFileSync } = await import('node:child_process');
     try {
       // Get current branch
       const currentResult = execFileSync('git', ['rev-parse', '--abbrev-ref', 'HEAD'], { 
-        cwd: config.scopeDir, 
+        cwd: proj.dir, 
         encoding: 'utf8' 
       });
       const currentBranch = currentResult.trim();
       
       // Get all branches with last commit info
       const branchesResult = execFileSync('git', ['branch', '-v', '--format=%(refname:short)|%(committerdate:iso8601)|%(subject)'], { 
-        cwd: config.scopeDir, 
+        cwd: proj.dir, 
         encoding: 'utf8' 
       });
       
@@ -522,6 +1367,7 @@ server.registerTool(
       }).filter(b => b.name);
       
       return { content: [{ type: 'text', text: JSON.stringify({ 
+        project: proj.name,
         currentBranch,
         branches,
         total: branches.length
@@ -534,30 +1380,136 @@ server.registerTool(
   }
 );
 
+// Read-only file tools (see project-files.js): any branch or commit, read from git objects
+const refArg = z.string().optional().describe('Branch name or commit (default: the branch checked out in the scope dir)');
+const globArg = z.string().optional().describe("Only paths matching this glob: '*' and '?' within a name, '**' across dirs; without a '/' it matches the file name (e.g. '*.html')");
+
+// Tool: project_list_files
+registerTool(
+  'project_list_files',
+  {
+    title: 'List Project Files',
+    description: 'List the files of a project at a branch or commit, without starting a goose job. Recursive by default; set recursive: false for the direct entries of dir.',
+    inputSchema: {
+      ref: refArg,
+      dir: z.string().optional().describe('Directory relative to the project root (default: the root)'),
+      glob: globArg,
+      recursive: z.boolean().optional().describe('List the whole subtree (default true)'),
+      limit: z.number().int().positive().optional().describe('Max entries returned (default 500, max 5000); total counts them all'),
+      project: projectArg
+    }
+  },
+  async ({ ref, dir, glob, recursive = true, limit = 500, project }) => {
+    const proj = resolveProject(project);
+    const listing = await listProjectFiles(proj, { ref, dir, glob, recursive, limit });
+    return { content: [{ type: 'text', text: JSON.stringify({ project: proj.name, ...listing }, null, 2) }] };
+  }
+);
+
+// Tool: project_read_file
+registerTool(
+  'project_read_file',
+  {
+    title: 'Read Project File',
+    description: 'Read a text file of a project at a branch or commit, whole or a line range. Files over 1 MB are refused; binary files are reported without content and symlinks by their target.',
+    inputSchema: {
+      path: z.string().min(1).describe('File path relative to the project root'),
+      ref: refArg,
+      startLine: z.number().int().positive().optional().describe('First line to return (1-based)'),
+      endLine: z.number().int().positive().optional().describe('Last line to return (inclusive)'),
+      maxBytes: z.number().int().positive().optional().describe('Cut the content at this many bytes (default 102400)'),
+      project: projectArg
+    }
+  },
+  async ({ path: filePath, ref, startLine, endLine, maxBytes, project }) => {
+    const proj = resolveProject(project);
+    const file = await readProjectFile(proj, { ref, path: filePath, startLine, endLine, maxBytes });
+    return { content: [{ type: 'text', text: JSON.stringify({ project: proj.name, ...file }, null, 2) }] };
+  }
+);
+
+// Tool: project_search
+registerTool(
+  'project_search',
+  {
+    title: 'Search Project',
+    description: 'Search the text files of a project at a branch or commit (git grep; binary files are skipped). Returns matching lines with their path and line number.',
+    inputSchema: {
+      pattern: z.string().min(1).describe('Text to find; a POSIX extended regular expression when regex is true'),
+      regex: z.boolean().optional().describe('Treat pattern as a regular expression (default false: fixed string)'),
+      ignoreCase: z.boolean().optional(),
+      ref: refArg,
+      dir: z.string().optional().describe('Only search below this directory'),
+      glob: globArg,
+      maxResults: z.number().int().positive().optional().describe('Max matching lines returned (default 100, max 500); totalMatches counts them all'),
+      project: projectArg
+    }
+  },
+  async ({ pattern, regex = false, ignoreCase = false, ref, dir, glob, maxResults = 100, project }) => {
+    const proj = resolveProject(project);
+    const found = await searchProject(proj, { ref, pattern, regex, ignoreCase, dir, glob, maxResults });
+    return { content: [{ type: 'text', text: JSON.stringify({ project: proj.name, ...found }, null, 2) }] };
+  }
+);
+
+// What head changed against base (see compareRefs), for compare_branches and GET /api/compare
+async function compareBranches(proj, { base = 'main', head, paths = [], ...options }) {
+  const [from, to] = [await resolveProjectRef(proj, base), await resolveProjectRef(proj, head)];
+  const relPaths = paths.map(p => projectPath(proj, p)).filter(Boolean);
+  const comparison = await compareRefs(proj.dir, { base: from.commit, head: to.commit, paths: relPaths, ...options });
+  return { project: proj.name, base: from.ref, head: to.ref, ...(relPaths.length ? { paths: relPaths } : {}), ...comparison };
+}
+
+// Tool: compare_branches
+registerTool(
+  'compare_branches',
+  {
+    title: 'Compare Branches',
+    description: 'Show what a branch or commit changed against another (default main) since they diverged: the commits only on head, ahead/behind counts, per-file stats and a unified diff. The diff is paged by file; pass diff.nextCursor back as cursor for the rest. Use it before promote_branch_to_main.',
+    inputSchema: {
+      head: z.string().min(1).describe('Branch or commit to inspect'),
+      base: z.string().optional().describe("Branch or commit to compare against (default 'main')"),
+      paths: z.array(z.string()).optional().describe('Only these files or directories, relative to the project root'),
+      ignoreWhitespace: z.boolean().optional().describe('Ignore whitespace changes in stats and diff (git diff -w)'),
+      contextLines: z.number().int().min(0).max(50).optional().describe('Context lines around each change (default 3)'),
+      includeDiff: z.boolean().optional().describe('Include the unified diff (default true); false returns commits and stats only'),
+      cursor: z.number().int().min(0).optional().describe('Index of the first file of the diff page (from diff.nextCursor)'),
+      maxBytes: z.number().int().positive().optional().describe('Size cap of the diff page in bytes (default 204800, max 2 MB)'),
+      project: projectArg
+    }
+  },
+  async ({ head, base = 'main', paths = [], ignoreWhitespace = false, contextLines = 3, includeDiff = true, cursor = 0, maxBytes, project }) => {
+    const comparison = await compareBranches(resolveProject(project), { base, head, paths, ignoreWhitespace, contextLines, includeDiff, cursor, maxBytes });
+    return { content: [{ type: 'text', text: JSON.stringify(comparison, null, 2) }] };
+  }
+);
+
 // Tool: promote_branch_to_main
-server.registerTool(
+registerTool(
   'promote_branch_to_main',
   {
     title: 'Promote Branch to Main',
     description: 'Replace main branch with a feature branch (hard reset main to match the feature branch)',
     inputSchema: {
-      branch: z.string().min(1).describe('Feature branch name to promote to main')
+      branch: z.string().min(1).describe('Feature branch name to promote to main'),
+      project: projectArg
     }
   },
-  async ({ branch }) => {
+  async ({ branch, project }) => {
+    const proj = resolveProject(project);
     const { execFileSync } = await import('node:child_process');
     try {
       console.log(`[promote_branch_to_main] Verifying branch '${branch}' exists...`);
       // Verify branch exists
-      execFileSync('git', ['rev-parse', '--verify', branch], { cwd: config.scopeDir, stdio: 'pipe' });
+      execFileSync('git', ['rev-parse', '--verify', branch], { cwd: proj.dir, stdio: 'pipe' });
       
       console.log(`[promote_branch_to_main] git checkout main`);
       // Checkout main
-      execFileSync('git', ['checkout', 'main'], { cwd: config.scopeDir, stdio: 'pipe' });
+      execFileSync('git', ['checkout', 'main'], { cwd: proj.dir, stdio: 'pipe' });
       
       console.log(`[promote_branch_to_main] git reset --hard ${branch}`);
       // Hard reset main to match the feature branch
-      execFileSync('git', ['reset', '--hard', branch], { cwd: config.scopeDir, stdio: 'pipe' });
+      execFileSync('git', ['reset', '--hard', branch], { cwd: proj.dir, stdio: 'pipe' });
       
       const message = `Successfully promoted '${branch}' to main. Main now matches ${branch}.`;
       console.log(`[promote_branch_to_main] ${message}`);
@@ -565,7 +1517,7 @@ server.registerTool(
       // Trigger republish of main branch
       console.log(`[promote_branch_to_main] Triggering republish of main...`);
       try {
-        const result = await publishCurrentBranch(config.scopeDir);
+        const result = await publishCurrentBranch(proj.dir, previewSite(proj));
         console.log(`[promote_branch_to_main] Republished main → ${result.targetDir}`);
       } catch (e) {
         console.warn(`[promote_branch_to_main] Republish failed: ${e?.message || e}`);
@@ -586,33 +1538,35 @@ server.registerTool(
 );
 
 // Tool: undo_last_commit_on_main
-server.registerTool(
+registerTool(
   'undo_last_commit_on_main',
   {
     title: 'Undo Last Commit on Main',
     description: 'Revert the last commit on the main branch (creates a new revert commit)',
     inputSchema: {
-      hard: z.boolean().optional().describe('If true, uses reset --hard (destructive). If false (default), uses revert (safe)')
+      hard: z.boolean().optional().describe('If true, uses reset --hard (destructive). If false (default), uses revert (safe)'),
+      project: projectArg
     }
   },
-  async ({ hard = false }) => {
+  async ({ hard = false, project }, extra) => {
+    const proj = resolveProject(project);
     const { execFileSync } = await import('node:child_process');
     try {
       console.log(`[undo_last_commit_on_main] git checkout main`);
       // Checkout main
-      execFileSync('git', ['checkout', 'main'], { cwd: config.scopeDir, stdio: 'pipe' });
+      execFileSync('git', ['checkout', 'main'], { cwd: proj.dir, stdio: 'pipe' });
       
       if (hard) {
         console.log(`[undo_last_commit_on_main] git reset --hard HEAD~1`);
         // Hard reset (destructive) - removes the commit entirely
-        execFileSync('git', ['reset', '--hard', 'HEAD~1'], { cwd: config.scopeDir, stdio: 'pipe' });
+        execFileSync('git', ['reset', '--hard', 'HEAD~1'], { cwd: proj.dir, stdio: 'pipe' });
         const message = 'Last commit on main has been removed (hard reset).';
         console.log(`[undo_last_commit_on_main] ${message}`);
         
         // Trigger republish of main branch
         console.log(`[undo_last_commit_on_main] Triggering republish of main...`);
         try {
-          const result = await publishCurrentBranch(config.scopeDir);
+          const result = await publishCurrentBranch(proj.dir, previewSite(proj));
           console.log(`[undo_last_commit_on_main] Republished main → ${result.targetDir}`);
         } catch (e) {
           console.warn(`[undo_last_commit_on_main] Republish failed: ${e?.message || e}`);
@@ -627,14 +1581,16 @@ server.registerTool(
       } else {
         console.log(`[undo_last_commit_on_main] git revert --no-edit HEAD`);
         // Safe revert - creates a new commit that undoes the last one
-        execFileSync('git', ['revert', '--no-edit', 'HEAD'], { cwd: config.scopeDir, stdio: 'pipe' });
+        const caller = callerName(extra);
+        const env = caller ? { ...process.env, GIT_COMMITTER_NAME: caller, GIT_COMMITTER_EMAIL: `${caller}@mcp-goose` } : process.env;
+        execFileSync('git', ['revert', '--no-edit', 'HEAD'], { cwd: proj.dir, stdio: 'pipe', env });
         const message = 'Last commit on main has been reverted (new revert commit created).';
         console.log(`[undo_last_commit_on_main] ${message}`);
         
         // Trigger republish of main branch
         console.log(`[undo_last_commit_on_main] Triggering republish of main...`);
         try {
-          const result = await publishCurrentBranch(config.scopeDir);
+          const result = await publishCurrentBranch(proj.dir, previewSite(proj));
           console.log(`[undo_last_commit_on_main] Republished main → ${result.targetDir}`);
         } catch (e) {
           console.warn(`[undo_last_commit_on_main] Republish failed: ${e?.message || e}`);
@@ -655,15 +1611,20 @@ server.registerTool(
   }
 );
 
-// MCP endpoint with auth
-app.post('/mcp', async (req, res) => {
+// MCP endpoint with auth: POST for requests, GET for the session's notification stream,
+// DELETE to end the session (see mcp-sessions.js)
+configureJobNotify({ progressHoldSeconds: config.mcpProgressHoldSeconds });
+initMcpSessions({ createMcpServer, idleMinutes: config.mcpSessionIdleMinutes, eventHistory: config.mcpEventHistory });
+app.all('/mcp', async (req, res) => {
   if (!checkAuth(req, res)) return;
-  const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
-  res.on('close', () => transport.close());
+  if (!['POST', 'GET', 'DELETE'].includes(req.method)) {
+    res.set('Allow', 'GET, POST, DELETE');
+    return res.status(405).json({ jsonrpc: '2.0', error: { code: -32000, message: 'Method not allowed.' }, id: null });
+  }
   try {
-    await server.connect(transport);
-    await transport.handleRequest(req, res, req.body);
+    await handleMcpRequest(req, res);
   } catch (err) {
+    console.error(`[mcp] ${req.method} failed: ${err?.message || err}`);
     if (!res.headersSent) {
       res.status(500).json({ jsonrpc: '2.0', error: { code: -32603, message: 'Internal server error.' }, id: null });
     }
@@ -671,87 +1632,132 @@ app.post('/mcp', async (req, res) => {
 });
 
 // API endpoint for running Goose tasks from the UI
-app.post('/api/run', express.json(), async (req, res) => {
-  console.log(`[api/run] Request received: branch=${req.body.branch || 'main'}, text=${req.body.text?.substring(0, 50)}...`);
+const RUN_OPTION_KEYS = ['provider', 'model', 'maxTurns', 'explain', 'debug'];
+const runArgs = (req) => ({
+  text: req.body?.text, branch: req.body?.branch, priority: req.body?.priority, env: req.body?.env,
+  ...Object.fromEntries(RUN_OPTION_KEYS.filter(k => req.body?.[k] !== undefined).map(k => [k, req.body[k]]))
+});
+app.post('/api/run', express.json(), auditHttp('POST /api/run', { args: runArgs }), requireWebRole('runner'), async (req, res) => {
+  console.log(`[api/run] Request received: project=${req.body.project || defaultProject.name}, branch=${req.body.branch || 'main'}, text=${req.body.text?.substring(0, 50)}...`);
   
-  const { text, branch } = req.body;
+  const { text, branch, priority, env = {}, project } = req.body;
   if (!text || typeof text !== 'string' || !text.trim()) {
     console.warn('[api/run] Bad request: text is required');
+    res.locals.audit = { error: 'text is required' };
     return res.status(400).json({ error: 'text is required' });
   }
-
-  // Enforce single concurrency before any operations
-  if (getRunningJobId()) {
-    console.warn('[api/run] Rejected: job already running');
-    return res.status(409).json({ error: 'A task is already running. Please wait for it to complete.' });
+  let proj;
+  const runOptions = Object.fromEntries(RUN_OPTION_KEYS.map(k => [k, req.body[k]]));
+  try {
+    if (typeof env !== 'object' || Array.isArray(env)) throw new Error('env must be an object');
+    vetEnvOverrides(env);
+    resolveRunOptions(runOptions, env);
+    proj = resolveProject(project);
+  } catch (e) {
+    console.warn(`[api/run] Bad request: ${e.message}`);
+    res.locals.audit = { error: e.message };
+    return res.status(400).json({ error: e.message });
+  }
+  let releaseRuns;
+  try {
+    releaseRuns = checkRunLimits({ token: req.auth.clientId, ip: req.ip });
+  } catch (e) {
+    console.warn(`[api/run] Rate limited: ${e.message}`);
+    res.locals.audit = { error: e.message };
+    if (e.retryAfterSeconds) res.set('Retry-After', String(e.retryAfterSeconds));
+    return res.status(429).json({ error: e.message, retryAfterSeconds: e.retryAfterSeconds });
   }
 
   try {
-    // If a branch is specified, check it out first
-    if (branch && branch !== 'main') {
-      const { execFileSync } = await import('node:child_process');
-      try {
-        // Check if branch exists
-        execFileSync('git', ['rev-parse', '--verify', branch], { cwd: config.scopeDir, stdio: 'pipe' });
-        // Checkout the branch
-        execFileSync('git', ['checkout', branch], { cwd: config.scopeDir, stdio: 'pipe' });
-        console.log(`[api/run] Checked out branch '${branch}' before running task`);
-        // Small buffer to ensure git operations complete
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (e) {
-        return res.status(400).json({ error: `Branch '${branch}' does not exist or cannot be checked out` });
-      }
+    // The job runs in its own worktree based on this branch; the shared checkout is never switched
+    const baseBranch = branch || undefined;
+    if ((await hasCommits(proj.dir)) && !(await resolveBaseBranch(proj.dir, baseBranch))) {
+      res.locals.audit = { error: `Branch '${branch}' does not exist` };
+      return res.status(400).json({ error: `Branch '${branch}' does not exist` });
     }
-    // Create a runtime recipe (outside of scopeDir) that embeds the instruction
-    const runtimeDir = path.join(os.homedir(), '.cache', 'mcp-goose', 'runtime-recipes');
-    try { fs.mkdirSync(runtimeDir, { recursive: true }); } catch {}
-    const recipePath = path.join(runtimeDir, `run-${Date.now()}.yaml`);
-    const templatePath = path.resolve(process.cwd(), 'recipes', 'headless-run.yaml');
-    let recipeYaml;
-    try {
-      if (fs.existsSync(templatePath)) {
-        const tpl = fs.readFileSync(templatePath, 'utf8');
-        recipeYaml = tpl.replace('<<<INSTRUCTION>>>', text);
-      } else {
-        // Fallback: synthesize a minimal recipe if template missing
-        const prompt = `You are Goose running in headless mode. Follow the user instruction faithfully.\\n\\nUser instruction:\\n${text}\\n\\nOperational requirements (perform automatically unless unsafe):\\n- If the current directory is not a git repository, initialize one (git init).\\n- Create and switch to a new feature branch uniquely named for this run (e.g., 'feat/mcp-run-<timestamp>').\\n- Make all code changes on that branch.\\n- At the end of the run, add all relevant files and commit with a concise message summarizing changes.\\n- Do not push to any remote.\\n- If actions would be destructive, explain and skip those actions.\\n`;
-        recipeYaml = `title: MCP Headless Run\\ndescription: Headless run with git init/branch/commit workflow\\nprompt: |\\n  ${prompt.split('\\n').join('\\n  ')}\\n`;
-      }
-    } catch (e) {
-      // Fallback recipe
-      const prompt = `You are Goose running in headless mode. Follow the user instruction faithfully.\\n\\nUser instruction:\\n${text}\\n\\nOperational requirements (perform automatically unless unsafe):\\n- If the current directory is not a git repository, initialize one (git init).\\n- Create and switch to a new feature branch uniquely named for this run (e.g., 'feat/mcp-run-<timestamp>').\\n- Make all code changes on that branch.\\n- At the end of the run, add all relevant files and commit with a concise message summarizing changes.\\n- Do not push to any remote.\\n- If actions would be destructive, explain and skip those actions.\\n`;
-      recipeYaml = `title: MCP Headless Run\\ndescription: Headless run with git init/branch/commit workflow\\nprompt: |\\n  ${prompt.split('\\n').join('\\n  ')}\\n`;
-    }
-    fs.writeFileSync(recipePath, recipeYaml, 'utf8');
-
-    // Build final args: always headless recipe with developer builtin
-    const finalArgs = sanitizeArgs(['--no-session', '--with-builtin', 'developer', '--recipe', recipePath]);
-
-    // Small buffer before starting job to ensure file operations complete
-    await new Promise(resolve => setTimeout(resolve, 50));
-
-    const { jobId, pid, startedAt } = startJob({
-      command: 'run',
-      args: finalArgs,
-      env: {},
-      cwd: config.scopeDir,
-      goosePath: config.gooseBinary,
-      logMaxBytes: config.logMaxBytes,
-      echoToConsole: config.echoJobLogs
+    const started = await queueGooseRun({
+      project: proj.name,
+      text,
+      branch: baseBranch,
+      priority: Number.isInteger(priority) ? priority : 0,
+      env,
+      runOptions,
+      meta: { source: 'POST /api/run', requestedBy: req.auth.clientId, requestedFrom: req.ip }
     });
 
-    console.log(`[api/run] Job started successfully: jobId=${jobId}, pid=${pid}`);
-    res.json({ jobId, pid, startedAt });
+    res.locals.audit = { jobId: started.jobId };
+    console.log(`[api/run] Job accepted: jobId=${started.jobId}, status=${started.status}, queuePosition=${started.queuePosition ?? '-'}`);
+    res.json({ ...started, resultUrl: `/api/run/${started.jobId}` });
   } catch (error) {
     console.error(`[api/run] Error:`, error);
     console.error(`[api/run] Stack:`, error.stack);
+    res.locals.audit = { error: error.message };
     res.status(500).json({ error: error.message || 'Failed to start job' });
+  } finally {
+    releaseRuns();
+  }
+});
+
+// compare_branches over HTTP, for the preview panel's "changes vs main". head may be a preview
+// slug (feature_x for feature/x). format=patch returns only the diff page as text/plain.
+app.get('/api/compare', requireWebRole('viewer'), async (req, res) => {
+  const q = req.query;
+  const flag = (v) => v === 'true' || v === '1';
+  if (!q.head || typeof q.head !== 'string') return res.status(400).json({ error: 'head is required' });
+  try {
+    const proj = resolveProject(q.project || undefined);
+    const head = (await resolveBaseBranch(proj.dir, q.head))?.branch || q.head;
+    const comparison = await compareBranches(proj, {
+      base: typeof q.base === 'string' && q.base ? q.base : 'main',
+      head,
+      paths: [].concat(q.path || []).map(String),
+      ignoreWhitespace: flag(q.ignoreWhitespace),
+      contextLines: q.contextLines !== undefined ? Math.min(50, Math.max(0, parseInt(q.contextLines, 10) || 0)) : 3,
+      includeDiff: q.format === 'patch' || q.diff === undefined || flag(q.diff),
+      cursor: Math.max(0, parseInt(q.cursor, 10) || 0),
+      maxBytes: q.maxBytes ? parseInt(q.maxBytes, 10) || undefined : undefined
+    });
+    if (q.format === 'patch') {
+      if (comparison.diff.nextCursor !== null) res.set('X-Next-Cursor', String(comparison.diff.nextCursor));
+      return res.type('text/plain').send(comparison.diff.patch);
+    }
+    res.json(comparison);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// Poll a run started via /api/run: status plus the change summary once it is ready
+app.get('/api/run/:jobId', requireWebRole('viewer'), (req, res) => {
+  const result = jobResult(req.params.jobId);
+  if (!result) return res.status(404).json({ error: 'job not found' });
+  res.json(result);
+});
+
+// Audit log export as JSON lines, oldest first; takes the audit_query filters as query parameters
+app.get('/api/audit', auditHttp('GET /api/audit'), requireWebRole('admin'), async (req, res) => {
+  const filters = {};
+  for (const key of ['caller', 'action', 'project', 'outcome', 'jobId', 'commit', 'since', 'until']) {
+    if (typeof req.query[key] === 'string' && req.query[key]) filters[key] = req.query[key];
+  }
+  try {
+    const entries = readAudit(filters);
+    const first = await entries.next();
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="audit.jsonl"');
+    if (!first.done) res.write(JSON.stringify(first.value) + '\n');
+    for await (const entry of entries) res.write(JSON.stringify(entry) + '\n');
+    res.end();
+  } catch (e) {
+    res.locals.audit = { error: e.message };
+    if (!res.headersSent) res.status(400).json({ error: e.message });
+    else res.end();
   }
 });
 
 // SSE event stream for live-reload on publish
 const sseClients = new Set();
-app.get('/events', (req, res) => {
+app.get('/events', requireWebRole('viewer'), (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
@@ -764,34 +1770,37 @@ app.get('/events', (req, res) => {
   });
 });
 
+// Tell preview pages to reload after a publish; MCP subscribers of that branch's resources are notified too
 function broadcastReload(info = {}) {
+  if (info.project) notifyBranchChanged(info.project, info.branch);
   const payload = JSON.stringify({ at: Date.now(), ...info });
   for (const res of sseClients) {
     try { res.write('event: reload\n'); res.write(`data: ${payload}\n\n`); } catch (_) {}
   }
 }
 
-// Helper: list preview branches from filesystem
-const PREVIEW_ROOT = resolvePreviewRoot();
-function listPreviewBranches() {
+// Helper: list a project's preview branches from the filesystem
+function listPreviewBranches(project) {
+  const root = resolvePreviewRoot(previewSite(project));
+  const base = previewBasePath(previewSite(project));
   const out = [];
   // main branch entry
   try {
-    const mainStat = fs.statSync(path.join(PREVIEW_ROOT, 'index.html'));
-    out.push({ name: 'main', url: '/', mtime: mainStat.mtimeMs });
+    const mainStat = fs.statSync(path.join(root, 'index.html'));
+    out.push({ name: 'main', url: base, mtime: mainStat.mtimeMs });
   } catch (_) {
-    out.push({ name: 'main', url: '/', mtime: 0 });
+    out.push({ name: 'main', url: base, mtime: 0 });
   }
   try {
-    const dir = path.join(PREVIEW_ROOT, '.preview');
+    const dir = path.join(root, '.preview');
     const entries = fs.readdirSync(dir, { withFileTypes: true });
     for (const ent of entries) {
       if (ent.isDirectory()) {
         try {
           const stat = fs.statSync(path.join(dir, ent.name));
-          out.push({ name: ent.name, url: `/.preview/${ent.name}/`, mtime: stat.mtimeMs });
+          out.push({ name: ent.name, url: `${base}.preview/${ent.name}/`, mtime: stat.mtimeMs });
         } catch (_) {
-          out.push({ name: ent.name, url: `/.preview/${ent.name}/`, mtime: 0 });
+          out.push({ name: ent.name, url: `${base}.preview/${ent.name}/`, mtime: 0 });
         }
       }
     }
@@ -806,24 +1815,32 @@ function needsInjection(filePath) {
   return lower.endsWith('.html') || lower.endsWith('.htm');
 }
 
-function buildInjected(html, currentPath = '/') {
-  const branches = listPreviewBranches();
-  const ui = buildPreviewUI(branches, currentPath);
+function buildInjected(html, project, currentPath = '/', req) {
+  const branches = listPreviewBranches(project);
+  const ui = buildPreviewUI(branches, currentPath, {
+    project: project.name,
+    basePath: previewBasePath(previewSite(project)),
+    user: req.auth.clientId,
+    canRun: hasRole(req.auth.extra.role, 'runner'),
+    csrfToken: req.csrfToken
+  });
   if (html.includes('</body>')) {
     return html.replace('</body>', ui + '\n</body>');
   }
   return html + ui;
 }
 
-function tryServeInjected(baseDir) {
+function tryServeInjected(baseDir, project) {
   return (req, res, next) => {
-    if (req.method !== 'GET') return next();
+    // The panel is only for signed-in visitors; public pages are served as they are
+    if (req.method !== 'GET' || !req.auth) return next();
     // Map URL path to filesystem under baseDir
     let rel = decodeURIComponent(req.path);
     if (rel.endsWith('/')) rel += 'index.html';
     const filePath = path.join(baseDir, rel);
     // Prevent path traversal
     if (!filePath.startsWith(baseDir)) return res.status(403).end();
+    const urlPath = req.baseUrl + req.path;
     try {
       const st = fs.statSync(filePath);
       if (st.isDirectory()) {
@@ -831,14 +1848,14 @@ function tryServeInjected(baseDir) {
         if (fs.existsSync(indexPath)) {
           const html = fs.readFileSync(indexPath, 'utf8');
           res.setHeader('Content-Type', 'text/html; charset=utf-8');
-          return res.send(buildInjected(html, req.path.endsWith('/') ? req.path : req.path + '/'));
+          return res.send(buildInjected(html, project, urlPath.endsWith('/') ? urlPath : urlPath + '/', req));
         }
         return next();
       }
       if (needsInjection(filePath)) {
         const html = fs.readFileSync(filePath, 'utf8');
         res.setHeader('Content-Type', 'text/html; charset=utf-8');
-        return res.send(buildInjected(html, req.path));
+        return res.send(buildInjected(html, project, urlPath, req));
       }
       return next();
     } catch (_) {
@@ -847,11 +1864,39 @@ function tryServeInjected(baseDir) {
   };
 }
 
-// Static hosting for published sites (main at '/', previews at '/.preview/<branch>/')
-app.use('/.preview', tryServeInjected(path.join(PREVIEW_ROOT)));
-app.use('/', tryServeInjected(PREVIEW_ROOT));
-app.use('/.preview', express.static(path.join(PREVIEW_ROOT, '.preview')));
-app.use('/', express.static(PREVIEW_ROOT));
+// Static hosting for one project's site: main at its base path, previews at .preview/<branch>/.
+// Everything needs a signed-in viewer, except the main site when PUBLIC_MAIN_SITE is set.
+function previewSiteRouter(project) {
+  const root = resolvePreviewRoot(previewSite(project));
+  const router = express.Router();
+  const requireViewer = requireWebRole('viewer');
+  router.use((req, res, next) => {
+    const isPreview = req.path === '/.preview' || req.path.startsWith('/.preview/');
+    return config.publicMainSite && !isPreview ? optionalWebAuth(req, res, next) : requireViewer(req, res, next);
+  });
+  router.use('/.preview', tryServeInjected(path.join(root, '.preview'), project));
+  router.use('/', tryServeInjected(root, project));
+  router.use('/.preview', express.static(path.join(root, '.preview')));
+  router.use('/', express.static(root));
+  return router;
+}
+
+// Other projects are served under '/.project/<name>/'; routers are built on first use
+const projectSiteRouters = new Map();
+app.use('/.project/:project', (req, res, next) => {
+  let project;
+  try {
+    project = resolveProject(req.params.project);
+  } catch (_) {
+    return next();
+  }
+  if (project.isDefault) return next();
+  if (!projectSiteRouters.has(project.name)) projectSiteRouters.set(project.name, previewSiteRouter(project));
+  projectSiteRouters.get(project.name)(req, res, next);
+});
+
+// The default project is served at '/' (previews at '/.preview/<branch>/')
+app.use('/', previewSiteRouter(defaultProject));
 
 // Global error handler (must be last)
 app.use((err, req, res, next) => {
@@ -866,46 +1911,88 @@ app.use((err, req, res, next) => {
   }
 });
 
-// Start HTTP server
-const PORT = config.port || 3003;
-app.listen(PORT, '0.0.0.0', async () => {
-  console.log(`[mcp-goose] listening on http://0.0.0.0:${PORT}`);
-  console.log(`[mcp-goose] MCP endpoint: POST http://localhost:${PORT}/mcp`);
-
-  // Initial publish of all branches to local static root
+// Publish all branches of a project and republish when its checkout changes (HEAD/branch moves)
+const gitWatchers = new Map(); // project name → stop function
+async function startProjectSite(project) {
   try {
-    console.log('[preview] Publishing all branches...');
-    const results = await publishAllBranches(config.scopeDir);
+    console.log(`[preview] Publishing all branches of '${project.name}'...`);
+    const results = await publishAllBranches(project.dir, previewSite(project));
     console.log(`[preview] Published ${results.length} branch(es)`);
     for (const result of results) {
       console.log(`[preview]   - ${result.branch} → ${result.url}`);
     }
-    broadcastReload({ branch: 'all' });
+    broadcastReload({ project: project.name, branch: 'all' });
   } catch (e) {
-    console.warn(`[preview] initial publish failed: ${e?.message || e}`);
+    console.warn(`[preview] initial publish of '${project.name}' failed: ${e?.message || e}`);
   }
 
-  // Watch for git HEAD/branch changes and republish
   let republishTimer = null;
-  const debounce = (fn, ms) => {
-    return () => {
-      if (republishTimer) clearTimeout(republishTimer);
-      republishTimer = setTimeout(fn, ms);
-    };
+  const onGitChange = () => {
+    if (republishTimer) clearTimeout(republishTimer);
+    republishTimer = setTimeout(async () => {
+      try {
+        const result = await publishCurrentBranch(project.dir, previewSite(project));
+        console.log(`[preview] republished '${result.branch}' of '${project.name}' → ${result.targetDir}`);
+        broadcastReload({ project: project.name, branch: result.branch });
+      } catch (e) {
+        console.warn(`[preview] republish of '${project.name}' failed: ${e?.message || e}`);
+      }
+    }, 500);
   };
-  const onGitChange = debounce(async () => {
-    try {
-      const result = await publishCurrentBranch(config.scopeDir);
-      console.log(`[preview] republished '${result.branch}' → ${result.targetDir}`);
-      broadcastReload({ branch: result.branch });
-    } catch (e) {
-      console.warn(`[preview] republish failed: ${e?.message || e}`);
-    }
-  }, 500);
   try {
-    initGitWatcher(config.scopeDir, onGitChange);
-    console.log('[preview] git watcher active');
+    gitWatchers.set(project.name, initGitWatcher(project.dir, onGitChange));
+    console.log(`[preview] git watcher active for '${project.name}'`);
   } catch (e) {
-    console.warn(`[preview] git watcher failed: ${e?.message || e}`);
+    console.warn(`[preview] git watcher for '${project.name}' failed: ${e?.message || e}`);
+  }
+}
+
+function stopProjectSite(name) {
+  const stop = gitWatchers.get(name);
+  if (stop) stop();
+  gitWatchers.delete(name);
+  projectSiteRouters.delete(name);
+}
+
+// Clean up worktrees left behind by jobs that were interrupted by a restart. This runs before
+// listen() so that no job can be queued (and get a worktree) while the cleanup is finalizing them.
+try {
+  const leftovers = await pruneJobWorktrees(listProjectDirs().map(p => p.dir), config.worktreesDir);
+  for (const wt of leftovers) {
+    console.log(`[worktree] cleaned up job ${wt.jobId}${wt.branch ? ` (branch '${wt.branch}')` : ''}${wt.removed ? '' : ' — kept, has uncommitted changes'}`);
+  }
+} catch (e) {
+  console.warn(`[worktree] startup cleanup failed: ${e?.message || e}`);
+}
+
+// Start HTTP server
+const PORT = config.port || 3003;
+app.listen(PORT, '0.0.0.0', async () => {
+  console.log(`[mcp-goose] listening on http://0.0.0.0:${PORT}`);
+  console.log(`[mcp-goose] MCP endpoint: POST http://localhost:${PORT}/mcp`);
+
+  // Load schedules and catch up on runs missed while the server was down
+  try {
+    const { loaded, caughtUp } = await initScheduler({
+      file: config.schedulesFile,
+      maxConcurrency: config.maxConcurrency,
+      catchUp: config.scheduleCatchUp,
+      launch: (s) => queueGooseRun({
+        text: s.text,
+        recipe: s.recipe,
+        branch: s.branch || undefined,
+        project: s.project || undefined,
+        priority: s.priority,
+        meta: { source: 'schedule', requestedBy: s.createdBy || null, scheduleId: s.id }
+      })
+    });
+    if (loaded) console.log(`[scheduler] ${loaded} schedule(s) loaded${caughtUp ? `, ${caughtUp} missed run(s) handled` : ''}`);
+  } catch (e) {
+    console.warn(`[scheduler] startup failed: ${e?.message || e}`);
+  }
+
+  // Publish every project's branches and watch each checkout for changes
+  for (const project of listProjectDirs()) {
+    await startProjectSite(project);
   }
 });
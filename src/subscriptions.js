@@ -0,0 +1,50 @@
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+// resources/subscribe bookkeeping for one McpServer (one MCP session). Resource modules call
+// notify() when something changed; subscribers get notifications/resources/updated, at most
+// about once per second per URI unless the change is final (e.g. a job exited).
+
+const NOTIFY_THROTTLE_MS = 1000;
+
+export function createSubscriptions(server) {
+  const uris = new Set();
+  const throttles = new Map();
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async (req) => {
+    uris.add(req.params.uri);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (req) => {
+    uris.delete(req.params.uri);
+    return {};
+  });
+
+  const notify = (uri, immediate = false) => {
+    if (!uris.has(uri)) return;
+    const fire = () => {
+      throttles.delete(uri);
+      server.server.sendResourceUpdated({ uri }).catch(() => {});
+    };
+    if (immediate) {
+      clearTimeout(throttles.get(uri));
+      return fire();
+    }
+    if (!throttles.has(uri)) throttles.set(uri, setTimeout(fire, NOTIFY_THROTTLE_MS));
+  };
+
+  return {
+    notify,
+    // Notify every subscribed URI the predicate accepts
+    notifyMatching(predicate, immediate = false) {
+      for (const uri of uris) {
+        if (predicate(uri)) notify(uri, immediate);
+      }
+    },
+    dispose() {
+      for (const t of throttles.values()) clearTimeout(t);
+      throttles.clear();
+      uris.clear();
+    }
+  };
+}
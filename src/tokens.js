@@ -0,0 +1,177 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Named API tokens with roles. Only a SHA-256 hash of each token is stored (TOKENS_FILE); the
+// token itself is shown once, when it is created or rotated. AUTH_TOKEN from the environment
+// keeps working as an admin token named 'AUTH_TOKEN', e.g. to create the first named tokens.
+//
+// Roles are ordered: viewer (read jobs, logs, branches, config) < runner (start and stop runs,
+// manage schedules) < admin (rewrite main, projects, webhooks, tokens).
+
+export const ROLES = ['viewer', 'runner', 'admin'];
+export const BOOTSTRAP_TOKEN_NAME = 'AUTH_TOKEN';
+
+const TOKEN_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const TOKEN_PREFIX = 'mcpg_';
+const LAST_USED_SAVE_MS = 60 * 1000;
+
+const tokens = new Map(); // name → { name, role, hash, createdAt, createdBy, rotatedAt, revokedAt, lastUsedAt }
+let storeFile = null;
+let bootstrapHash = null;
+let lastUsedDirty = false;
+let lastUsedTimer = null;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newSecret() {
+  return TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function save() {
+  if (!storeFile) return;
+  try {
+    fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+    const tmp = storeFile + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(Array.from(tokens.values()), null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmp, storeFile);
+  } catch (e) {
+    console.warn(`[tokens] failed to save ${storeFile}: ${e?.message || e}`);
+  }
+}
+
+function load() {
+  if (!storeFile) return [];
+  try {
+    return JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+  } catch (e) {
+    if (e && e.code !== 'ENOENT') console.warn(`[tokens] failed to load ${storeFile}: ${e?.message || e}`);
+    return [];
+  }
+}
+
+// lastUsedAt changes on every request; write it out at most once a minute
+function touch(record) {
+  record.lastUsedAt = new Date().toISOString();
+  lastUsedDirty = true;
+  if (lastUsedTimer) return;
+  lastUsedTimer = setTimeout(() => {
+    lastUsedTimer = null;
+    if (lastUsedDirty) save();
+    lastUsedDirty = false;
+  }, LAST_USED_SAVE_MS);
+  lastUsedTimer.unref?.();
+}
+
+function activeAdmins() {
+  return Array.from(tokens.values()).filter(t => !t.revokedAt && t.role === 'admin');
+}
+
+export function initTokens({ file, bootstrapToken }) {
+  storeFile = file || null;
+  bootstrapHash = bootstrapToken ? hashToken(bootstrapToken) : null;
+  for (const rec of load()) {
+    if (rec && rec.name && ROLES.includes(rec.role)) tokens.set(rec.name, rec);
+  }
+  const active = Array.from(tokens.values()).filter(t => !t.revokedAt).length;
+  return { active, admins: activeAdmins().length, bootstrap: !!bootstrapHash };
+}
+
+export function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// The caller behind a bearer token, or null when the token is unknown or revoked
+export function authenticateToken(token) {
+  if (!token) return null;
+  const hash = hashToken(token);
+  const hashBuf = Buffer.from(hash, 'hex');
+  if (bootstrapHash && crypto.timingSafeEqual(hashBuf, Buffer.from(bootstrapHash, 'hex'))) {
+    return { name: BOOTSTRAP_TOKEN_NAME, role: 'admin' };
+  }
+  for (const record of tokens.values()) {
+    if (record.revokedAt || !record.hash) continue;
+    if (crypto.timingSafeEqual(hashBuf, Buffer.from(record.hash, 'hex'))) {
+      touch(record);
+      return { name: record.name, role: record.role };
+    }
+  }
+  return null;
+}
+
+// Current role of an active token and when its secret was issued; sessions opened with an
+// older secret (before a rotation) are no longer valid
+export function tokenIdentity(name) {
+  if (name === BOOTSTRAP_TOKEN_NAME) return bootstrapHash ? { name, role: 'admin', issuedAt: null } : null;
+  const record = tokens.get(name);
+  if (!record || record.revokedAt) return null;
+  return { name, role: record.role, issuedAt: record.rotatedAt || record.createdAt };
+}
+
+function describe(record) {
+  const { hash, ...rest } = record;
+  return { ...rest, revoked: !!record.revokedAt };
+}
+
+export function listTokens() {
+  const list = Array.from(tokens.values()).map(describe);
+  if (bootstrapHash) list.unshift({ name: BOOTSTRAP_TOKEN_NAME, role: 'admin', source: 'environment', revoked: false });
+  return list;
+}
+
+// Returns the new token; it cannot be retrieved again
+export function createToken({ name, role, createdBy = null }) {
+  if (typeof name !== 'string' || !TOKEN_NAME_RE.test(name) || name === BOOTSTRAP_TOKEN_NAME) {
+    throw new Error(`invalid token name '${name}': use letters, digits, '.', '_' or '-' (max 64)`);
+  }
+  if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+  const existing = tokens.get(name);
+  if (existing && !existing.revokedAt) throw new Error(`token already exists: ${name}`);
+  const token = newSecret();
+  const record = {
+    name,
+    role,
+    hash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    createdBy,
+    rotatedAt: null,
+    revokedAt: null,
+    lastUsedAt: null
+  };
+  tokens.set(name, record);
+  save();
+  console.log(`[tokens] created '${name}' (${role})${createdBy ? ` by ${createdBy}` : ''}`);
+  return { ...describe(record), token };
+}
+
+function requireActive(name) {
+  if (name === BOOTSTRAP_TOKEN_NAME) throw new Error('AUTH_TOKEN is set in the environment and cannot be changed here');
+  const record = tokens.get(name);
+  if (!record || record.revokedAt) throw new Error(`token not found: ${name}`);
+  return record;
+}
+
+// Replace the secret of a token, keeping its name and role; the old secret stops working
+export function rotateToken(name) {
+  const record = requireActive(name);
+  const token = newSecret();
+  record.hash = hashToken(token);
+  record.rotatedAt = new Date().toISOString();
+  save();
+  console.log(`[tokens] rotated '${name}'`);
+  return { ...describe(record), token };
+}
+
+export function revokeToken(name) {
+  const record = requireActive(name);
+  if (record.role === 'admin' && !bootstrapHash && activeAdmins().length === 1) {
+    throw new Error('cannot revoke the last admin token while AUTH_TOKEN is not set');
+  }
+  record.revokedAt = new Date().toISOString();
+  record.hash = null;
+  save();
+  console.log(`[tokens] revoked '${name}'`);
+  return describe(record);
+}
@@ -0,0 +1,161 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { authenticateToken, tokenIdentity, hasRole } from './tokens.js';
+import { auditHttp } from './audit.js';
+
+// Browser access to the preview sites, the run panel, /api/run and /events. A visitor signs in at
+// /.auth/login with an API token (see tokens.js) and gets an HttpOnly session cookie; the token
+// itself never reaches the page. POST requests made with the cookie must carry the session's
+// CSRF token (X-CSRF-Token header or a csrf form field). Scripts can send Authorization: Bearer
+// instead, without CSRF. Sessions live in memory and end when their token is revoked or rotated.
+
+export const LOGIN_PATH = '/.auth/login';
+export const LOGOUT_PATH = '/.auth/logout';
+
+const COOKIE_NAME = 'mcpg_session';
+const UNSAFE_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+const sessions = new Map(); // sessionId → { name, issuedAt, csrf, expiresAt }
+let sessionMs = 12 * 60 * 60 * 1000;
+
+export function initWebAuth({ sessionHours = 12 } = {}) {
+  sessionMs = sessionHours * 60 * 60 * 1000;
+}
+
+function parseCookies(header = '') {
+  const out = {};
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+function sameSecret(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+}
+
+function setCookie(req, res, value, maxAgeMs) {
+  const parts = [`${COOKIE_NAME}=${value}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${Math.floor(maxAgeMs / 1000)}`];
+  if (req.secure) parts.push('Secure');
+  res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+function sweepExpired(now = Date.now()) {
+  for (const [id, s] of sessions) if (s.expiresAt <= now) sessions.delete(id);
+}
+
+// The caller of a browser or script request: { name, role, csrf? } or null
+function webCaller(req) {
+  const header = req.headers['authorization'] || '';
+  if (header.startsWith('Bearer ')) return authenticateToken(header.slice(7).trim());
+  const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  const session = id && sessions.get(id);
+  if (!session) return null;
+  const identity = tokenIdentity(session.name);
+  if (session.expiresAt <= Date.now() || !identity || identity.issuedAt !== session.issuedAt) {
+    sessions.delete(id);
+    return null;
+  }
+  return { name: identity.name, role: identity.role, csrf: session.csrf };
+}
+
+// Sets req.auth (the SDK's AuthInfo shape, as for /mcp) and req.csrfToken when the request has a caller
+function attach(req, caller) {
+  req.auth = { token: '', clientId: caller.name, scopes: [caller.role], extra: { role: caller.role, ip: req.ip } };
+  req.csrfToken = caller.csrf || null;
+}
+
+function wantsHtml(req) {
+  return req.method === 'GET' && /text\/html/.test(req.headers.accept || '');
+}
+
+// Middleware: the request needs a caller with at least this role. Pages redirect to the login
+// form; API and SSE requests get 401 / 403.
+export function requireWebRole(role) {
+  return (req, res, next) => {
+    const caller = webCaller(req);
+    if (!caller) {
+      if (wantsHtml(req)) return res.redirect(`${LOGIN_PATH}?next=${encodeURIComponent(req.originalUrl)}`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    attach(req, caller);
+    if (!hasRole(caller.role, role)) return res.status(403).json({ error: `Forbidden: requires the ${role} role` });
+    if (caller.csrf && UNSAFE_METHODS.has(req.method)) {
+      const sent = req.headers['x-csrf-token'] || req.body?.csrf;
+      if (!sameSecret(sent, caller.csrf)) return res.status(403).json({ error: 'Forbidden: missing or invalid CSRF token' });
+    }
+    next();
+  };
+}
+
+// Middleware for public pages: identifies a signed-in visitor if there is one, never rejects
+export function optionalWebAuth(req, res, next) {
+  const caller = webCaller(req);
+  if (caller) attach(req, caller);
+  next();
+}
+
+// Only same-site paths, so the login form cannot be used as an open redirect
+function safeNext(value) {
+  return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.includes('\\') ? value : '/';
+}
+
+function loginPage({ next, error }) {
+  const esc = (t) => String(t).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Sign in · mcp-goose</title>
+<style>
+  body{margin:0;min-height:100vh;display:flex;align-items:center;justify-content:center;background:#0a1419;font:14px/1.4 -apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:#dfe9f1}
+  form{width:320px;padding:20px;background:#111d28;border:2px solid #2a3b4a;border-radius:12px}
+  h1{margin:0 0 12px;font-size:15px;text-transform:uppercase;letter-spacing:.05em}
+  input{width:100%;box-sizing:border-box;padding:8px 10px;background:#0a1419;border:1px solid #2a3b4a;border-radius:6px;color:#dfe9f1}
+  button{width:100%;margin-top:10px;padding:9px 12px;background:#2563eb;border:none;border-radius:6px;color:#fff;font-weight:500;cursor:pointer}
+  .error{color:#f87171;margin:0 0 10px}
+</style></head>
+<body><form method="post" action="${LOGIN_PATH}">
+  <h1>mcp-goose</h1>
+  ${error ? `<p class="error">${esc(error)}</p>` : ''}
+  <label for="token">API token</label>
+  <input type="password" id="token" name="token" autocomplete="current-password" autofocus required>
+  <input type="hidden" name="next" value="${esc(next)}">
+  <button type="submit">Sign in</button>
+</form></body></html>`;
+}
+
+export function registerWebAuthRoutes(app) {
+  app.get(LOGIN_PATH, (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.type('html').send(loginPage({ next: safeNext(req.query.next) }));
+  });
+
+  app.post(LOGIN_PATH, express.urlencoded({ extended: false, limit: '4kb' }), auditHttp(`POST ${LOGIN_PATH}`), (req, res) => {
+    const next = safeNext(req.body?.next);
+    const caller = authenticateToken(String(req.body?.token || '').trim());
+    if (!caller) {
+      console.warn(`[web-auth] failed sign-in from ${req.ip}`);
+      return res.status(401).type('html').send(loginPage({ next, error: 'Unknown or revoked token' }));
+    }
+    attach(req, caller);
+    sweepExpired();
+    const id = crypto.randomBytes(32).toString('base64url');
+    sessions.set(id, {
+      name: caller.name,
+      issuedAt: tokenIdentity(caller.name)?.issuedAt ?? null,
+      csrf: crypto.randomBytes(24).toString('base64url'),
+      expiresAt: Date.now() + sessionMs
+    });
+    setCookie(req, res, id, sessionMs);
+    console.log(`[web-auth] '${caller.name}' signed in from ${req.ip}`);
+    res.redirect(303, next);
+  });
+
+  app.post(LOGOUT_PATH, express.urlencoded({ extended: false, limit: '4kb' }), auditHttp(`POST ${LOGOUT_PATH}`), requireWebRole('viewer'), (req, res) => {
+    const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (id) sessions.delete(id);
+    setCookie(req, res, '', 0);
+    res.redirect(303, LOGIN_PATH);
+  });
+}
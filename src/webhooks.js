@@ -0,0 +1,246 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { onJobUpdate, getJob, jobStatus, getOutput, ACTIVE_STATUSES } from './jobs.js';
+
+// Outbound webhooks for job lifecycle events. Hooks come from config (WEBHOOK_URLS) or are
+// added at runtime with the goose_webhooks tool (persisted to a JSON file). Each delivery is
+// a JSON POST signed with HMAC-SHA256 and retried with exponential backoff.
+//
+// Events: job.started, job.succeeded, job.failed, job.timed_out, job.canceled, job.published
+// (plus webhook.ping from the test action).
+
+export const WEBHOOK_EVENTS = ['job.started', 'job.succeeded', 'job.failed', 'job.timed_out', 'job.canceled', 'job.published'];
+
+const MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10_000;
+const LOG_TAIL_CHARS = 4000;
+const MAX_DELIVERY_HISTORY = 100;
+
+const hooks = new Map(); // id → { id, url, events, secret, source, createdAt }
+const deliveries = []; // newest last
+let storeFile = null;
+let defaultSecret = '';
+
+function newId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    throw new Error(`invalid webhook url: ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`webhook url must be http(s): ${url}`);
+  }
+  return parsed.href;
+}
+
+function saveHooks() {
+  if (!storeFile) return;
+  const list = Array.from(hooks.values()).filter(h => h.source === 'tool');
+  try {
+    fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+    const tmp = storeFile + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(list, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmp, storeFile);
+  } catch (e) {
+    console.warn(`[webhooks] failed to save ${storeFile}: ${e?.message || e}`);
+  }
+}
+
+function loadHooks() {
+  if (!storeFile) return;
+  try {
+    for (const h of JSON.parse(fs.readFileSync(storeFile, 'utf8'))) {
+      if (h && h.id && h.url) hooks.set(h.id, { ...h, source: 'tool' });
+    }
+  } catch (e) {
+    if (e && e.code !== 'ENOENT') console.warn(`[webhooks] failed to load ${storeFile}: ${e?.message || e}`);
+  }
+}
+
+// Public view of a hook: secrets are never returned
+function describeHook(h) {
+  return { id: h.id, url: h.url, events: h.events, signed: !!(h.secret || defaultSecret), source: h.source, createdAt: h.createdAt };
+}
+
+export function initWebhooks({ file, urls = [], secret = '' } = {}) {
+  storeFile = file || null;
+  defaultSecret = secret;
+  for (const url of urls) {
+    const id = `config-${crypto.createHash('sha1').update(url).digest('hex').slice(0, 8)}`;
+    hooks.set(id, { id, url: validateUrl(url), events: WEBHOOK_EVENTS, secret: '', source: 'config', createdAt: null });
+  }
+  loadHooks();
+  onJobUpdate(handleUpdate);
+  return hooks.size;
+}
+
+export function listWebhooks() {
+  return Array.from(hooks.values()).map(describeHook);
+}
+
+export function addWebhook({ url, events, secret }) {
+  const unknown = (events || []).filter(e => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) throw new Error(`unknown webhook events: ${unknown.join(', ')}`);
+  const hook = {
+    id: newId(),
+    url: validateUrl(url),
+    events: events && events.length ? events : WEBHOOK_EVENTS,
+    secret: secret || '',
+    source: 'tool',
+    createdAt: new Date().toISOString()
+  };
+  hooks.set(hook.id, hook);
+  saveHooks();
+  return describeHook(hook);
+}
+
+export function removeWebhook(id) {
+  const hook = hooks.get(id);
+  if (!hook) return { ok: false, reason: 'not_found' };
+  if (hook.source === 'config') return { ok: false, reason: 'configured via WEBHOOK_URLS; remove it there' };
+  hooks.delete(id);
+  saveHooks();
+  return { ok: true };
+}
+
+export function recentDeliveries(limit = 20) {
+  return deliveries.slice(-limit).reverse();
+}
+
+// Signature over "<timestamp>.<body>" so receivers can reject replays of old deliveries
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function recordDelivery(entry) {
+  deliveries.push(entry);
+  if (deliveries.length > MAX_DELIVERY_HISTORY) deliveries.shift();
+}
+
+function retryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+async function deliver(hook, event, payload) {
+  const body = JSON.stringify(payload);
+  const entry = { deliveryId: payload.deliveryId, hookId: hook.id, url: hook.url, event, jobId: payload.job?.jobId ?? null, attempts: 0, status: 'pending', responseStatus: null, lastError: null, at: payload.timestamp };
+  recordDelivery(entry);
+  const secret = hook.secret || defaultSecret;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    entry.attempts = attempt;
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'mcp-goose-webhooks',
+      'X-Goose-Event': event,
+      'X-Goose-Delivery': payload.deliveryId,
+      'X-Goose-Timestamp': timestamp,
+      ...(secret ? { 'X-Goose-Signature': signPayload(secret, timestamp, body) } : {})
+    };
+    try {
+      const res = await fetch(hook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+      entry.responseStatus = res.status;
+      if (res.ok) {
+        entry.status = 'delivered';
+        entry.lastError = null;
+        return entry;
+      }
+      entry.lastError = `HTTP ${res.status}`;
+      if (!retryable(res.status)) break;
+    } catch (e) {
+      entry.lastError = String(e?.message || e);
+    }
+    if (attempt < MAX_ATTEMPTS) {
+      await new Promise(r => setTimeout(r, BACKOFF_BASE_MS * 2 ** (attempt - 1)));
+    }
+  }
+  entry.status = 'failed';
+  console.warn(`[webhooks] ${event} to ${hook.url} failed after ${entry.attempts} attempt(s): ${entry.lastError}`);
+  return entry;
+}
+
+function buildPayload(event, jobId) {
+  const job = getJob(jobId);
+  const st = jobStatus(jobId);
+  const out = getOutput(jobId, { combined: true });
+  const logTail = out ? out.combined.slice(-LOG_TAIL_CHARS) : '';
+  return {
+    event,
+    timestamp: new Date().toISOString(),
+    job: job && {
+      jobId,
+      status: st.status,
+      exitCode: st.exitCode,
+      exitSignal: st.exitSignal,
+      timeoutReason: st.timeoutReason,
+      source: job.source ?? null,
+      requestedBy: job.requestedBy ?? null,
+      project: job.project ?? null,
+      command: job.command,
+      task: typeof job.task === 'string' ? job.task.slice(0, 500) : null,
+      baseBranch: job.baseBranch ?? null,
+      branch: job.branch ?? job.result?.branch ?? null,
+      previewUrl: job.result?.previewUrl ?? null,
+      queuedAt: st.queuedAt,
+      startedAt: st.startedAt,
+      finishedAt: st.finishedAt,
+      runtimeSeconds: st.runtimeSeconds
+    },
+    logTail
+  };
+}
+
+function dispatch(event, jobId) {
+  const targets = Array.from(hooks.values()).filter(h => h.events.includes(event));
+  if (!targets.length) return;
+  const payload = buildPayload(event, jobId);
+  for (const hook of targets) {
+    deliver(hook, event, { ...payload, deliveryId: newId() }).catch(() => {});
+  }
+}
+
+function terminalEvent(status) {
+  switch (status) {
+    case 'completed': return 'job.succeeded';
+    case 'timed_out': return 'job.timed_out';
+    case 'canceled':
+    case 'killed': return 'job.canceled';
+    default: return 'job.failed'; // failed, interrupted
+  }
+}
+
+// Fire each lifecycle event at most once per job (tracked on the job, never persisted)
+function once(job, event) {
+  job._webhookEvents ??= new Set();
+  if (job._webhookEvents.has(event)) return;
+  job._webhookEvents.add(event);
+  dispatch(event, job.id);
+}
+
+function handleUpdate(u) {
+  if (u.kind !== 'status' || !hooks.size) return;
+  const job = getJob(u.jobId);
+  if (!job) return;
+  if (u.status === 'running' && job.pid) once(job, 'job.started');
+  if (ACTIVE_STATUSES.has(u.status)) return;
+  // Runs that compute a change summary report completion once it is ready, so the payload
+  // carries the branch and preview URL
+  if (job.resultStatus === 'pending') return;
+  once(job, terminalEvent(job.status));
+  if (job.result?.previewUrl) once(job, 'job.published');
+}
+
+export async function testWebhook(id) {
+  const hook = hooks.get(id);
+  if (!hook) return { ok: false, reason: 'not_found' };
+  const payload = { event: 'webhook.ping', deliveryId: newId(), timestamp: new Date().toISOString(), job: null, logTail: '' };
+  const entry = await deliver(hook, 'webhook.ping', payload);
+  return { ok: entry.status === 'delivered', ...entry };
+}
@@ -0,0 +1,111 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { git, tryGit, withWorktreeLock } from './git.js';
+import { removeGuidanceReadme } from './publish.js';
+
+// Per-job git worktrees. Each goose job runs in its own detached worktree under
+// worktreesDir so that concurrent jobs, branch switches and the preview publisher
+// never touch the shared working tree in scopeDir (the checkout of the job's project).
+
+const MAIN_BRANCH = 'main';
+
+export async function currentBranch(scopeDir) {
+  const name = await tryGit(scopeDir, ['rev-parse', '--abbrev-ref', 'HEAD']);
+  return name && name !== 'HEAD' ? name : MAIN_BRANCH;
+}
+
+// Resolve a requested base branch to a commit. Accepts a branch name or, as the preview
+// panel sends, a filesystem slug of one (e.g. 'feature_x' for 'feature/x').
+export async function resolveBaseBranch(scopeDir, requested) {
+  const wanted = requested || await currentBranch(scopeDir);
+  const direct = await tryGit(scopeDir, ['rev-parse', '--verify', '--quiet', `refs/heads/${wanted}^{commit}`]);
+  if (direct) return { branch: wanted, commit: direct };
+  const list = await tryGit(scopeDir, ['for-each-ref', '--format=%(refname:short)', 'refs/heads']);
+  for (const name of (list || '').split('\n').filter(Boolean)) {
+    if (name.replace(/[^A-Za-z0-9._-]/g, '_') === wanted) {
+      const commit = await git(scopeDir, ['rev-parse', `refs/heads/${name}^{commit}`]);
+      return { branch: name, commit };
+    }
+  }
+  return null;
+}
+
+export async function hasCommits(scopeDir) {
+  return !!(await tryGit(scopeDir, ['rev-parse', '--verify', '--quiet', 'HEAD^{commit}']));
+}
+
+export async function createJobWorktree(scopeDir, worktreesDir, { jobId, baseBranch }) {
+  const base = await resolveBaseBranch(scopeDir, baseBranch);
+  if (!base) {
+    const err = new Error(`Branch '${baseBranch}' does not exist`);
+    err.code = 'BRANCH_NOT_FOUND';
+    throw err;
+  }
+  await fsp.mkdir(worktreesDir, { recursive: true });
+  const dir = path.join(worktreesDir, jobId);
+  // Detached at the base commit: goose creates its own feature branch from there
+  await withWorktreeLock(scopeDir, () => git(scopeDir, ['worktree', 'add', '--detach', dir, base.commit]));
+  return { dir, baseBranch: base.branch, baseCommit: base.commit };
+}
+
+async function isDirty(dir) {
+  const status = await tryGit(dir, ['status', '--porcelain']);
+  return !!status;
+}
+
+// After a job: keep any commits goose made on a detached HEAD by giving them a branch,
+// then remove the worktree. A worktree with uncommitted changes is left in place so
+// nothing is lost; it is retried on the next startup. The guidance README the job was
+// given does not count as a change unless goose edited it.
+export async function finalizeJobWorktree(scopeDir, { dir, jobId }) {
+  if (!dir || !fs.existsSync(dir)) return { branch: null, removed: true };
+  let branch = await tryGit(dir, ['symbolic-ref', '--quiet', '--short', 'HEAD']);
+  if (!branch) {
+    const head = await tryGit(dir, ['rev-parse', '--verify', '--quiet', 'HEAD']);
+    const reachable = head && await tryGit(dir, ['for-each-ref', '--contains', head, '--count=1', 'refs/heads']);
+    if (head && !reachable) {
+      branch = `goose/${jobId}`;
+      await git(dir, ['branch', branch, head]);
+    }
+  }
+  await removeGuidanceReadme(dir);
+  if (await isDirty(dir)) {
+    console.warn(`[worktree] ${dir} has uncommitted changes; leaving it in place`);
+    return { branch, removed: false };
+  }
+  await withWorktreeLock(scopeDir, () => git(scopeDir, ['worktree', 'remove', '--force', dir]));
+  return { branch, removed: true };
+}
+
+// The main checkout a job worktree belongs to; worktrees of every project share worktreesDir
+async function ownerRepo(dir) {
+  const common = await tryGit(dir, ['rev-parse', '--path-format=absolute', '--git-common-dir']);
+  return common ? path.dirname(common) : null;
+}
+
+// Startup cleanup: finalize worktrees left behind by jobs that are no longer running.
+// scopeDirs are the project checkouts whose stale worktree records are pruned first.
+export async function pruneJobWorktrees(scopeDirs, worktreesDir, activeJobIds = new Set()) {
+  for (const scopeDir of scopeDirs) await withWorktreeLock(scopeDir, () => tryGit(scopeDir, ['worktree', 'prune']));
+  let entries = [];
+  try {
+    entries = await fsp.readdir(worktreesDir, { withFileTypes: true });
+  } catch (e) {
+    if (e && e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const results = [];
+  for (const ent of entries) {
+    if (!ent.isDirectory() || activeJobIds.has(ent.name)) continue;
+    const dir = path.join(worktreesDir, ent.name);
+    try {
+      const scopeDir = await ownerRepo(dir);
+      if (!scopeDir) throw new Error('not a git worktree');
+      results.push({ jobId: ent.name, scopeDir, ...(await finalizeJobWorktree(scopeDir, { dir, jobId: ent.name })) });
+    } catch (e) {
+      console.warn(`[worktree] failed to clean up ${dir}: ${e?.message || e}`);
+    }
+  }
+  return results;
+}
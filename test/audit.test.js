@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { initAudit, sanitizeArgs, recordAudit, queryAudit } from '../src/audit.js';
+import { REDACTED } from '../src/redact.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-goose-audit-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+process.env.DEPLOY_API_KEY = 'deploy-key-1234567890';
+initAudit({ file: path.join(dir, 'audit.jsonl') });
+
+test('secret-looking keys are masked, a bare token name is kept', () => {
+  assert.deepEqual(sanitizeArgs({ password: 'hunter2', accessToken: 'abc', apiKey: 'k', token: 'ci', text: 'hi' }), {
+    password: REDACTED, accessToken: REDACTED, apiKey: REDACTED, token: 'ci', text: 'hi'
+  });
+});
+
+test('env keeps only the variable names', () => {
+  assert.deepEqual(sanitizeArgs({ env: { GOOSE_MODEL: 'gpt-4o', FOO: 'bar' } }), { env: { GOOSE_MODEL: REDACTED, FOO: REDACTED } });
+});
+
+test('text is redacted with the server env secrets and the credential patterns', () => {
+  const args = sanitizeArgs({ text: 'use deploy-key-1234567890 then sk-abcdefghijklmnopqrstuvwx', steps: ['Bearer abcdefghijklmnop'] });
+  assert.equal(args.text, `use ${REDACTED} then ${REDACTED}`);
+  assert.deepEqual(args.steps, [`Bearer ${REDACTED}`]);
+});
+
+test('long text is shortened', () => {
+  const { text } = sanitizeArgs({ text: 'x'.repeat(5000) });
+  assert.equal(text.length, 2001);
+  assert.ok(text.endsWith('…'));
+});
+
+test('recorded entries are sanitized and can be queried newest first', async () => {
+  recordAudit({ via: 'mcp', action: 'goose_run', caller: 'ci', project: 'shop', args: { text: 'key deploy-key-1234567890' } });
+  recordAudit({ via: 'mcp', action: 'goose_status', caller: 'ci', outcome: 'denied', args: { jobId: 'abc' } });
+  recordAudit({ via: 'http', action: 'POST /api/run', caller: 'web', project: 'shop' });
+  const { total, entries } = await queryAudit({ caller: 'ci' });
+  assert.equal(total, 2);
+  assert.deepEqual(entries.map(e => e.action), ['goose_status', 'goose_run']);
+  assert.equal(entries[1].args.text, `key ${REDACTED}`);
+  assert.equal((await queryAudit({ project: 'shop', limit: 1 })).entries[0].action, 'POST /api/run');
+  assert.equal((await queryAudit({ outcome: 'denied' })).entries[0].args.jobId, 'abc');
+  await assert.rejects(queryAudit({ since: 'yesterday' }), /since must be an ISO date/);
+});
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { git } from '../src/git.js';
+import { summarizeChanges, compareRefs } from '../src/changes.js';
+
+const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-goose-changes-'));
+test.after(() => fs.rmSync(repo, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com'
+});
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+  fs.writeFileSync(path.join(repo, file), content);
+}
+
+test.before(async () => {
+  await git(repo, ['init', '-q', '-b', 'main']);
+  write('index.html', '<h1>hi</h1>\n');
+  write('old.css', 'body {}\n');
+  await git(repo, ['add', '-A']);
+  await git(repo, ['commit', '-q', '-m', 'init']);
+  await git(repo, ['checkout', '-q', '-b', 'goose/feature']);
+  write('index.html', '<h1>hello</h1>\n<p>new</p>\n');
+  write('blog/café menu.html', '<p>crème brûlée</p>\n');
+  write('logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 3]));
+  fs.rmSync(path.join(repo, 'old.css'));
+  await git(repo, ['add', '-A']);
+  await git(repo, ['commit', '-q', '-m', 'Add a menu page']);
+  await git(repo, ['checkout', '-q', 'main']);
+});
+
+test('a run summary lists each file with its status and line counts', async () => {
+  const summary = await summarizeChanges(repo, { baseBranch: 'main', branch: 'goose/feature' });
+  assert.deepEqual(summary.commits.map(c => c.subject), ['Add a menu page']);
+  assert.deepEqual(summary.files, [
+    { path: 'blog/café menu.html', status: 'A', additions: 1, deletions: 0, binary: false },
+    { path: 'index.html', status: 'M', additions: 2, deletions: 1, binary: false },
+    { path: 'logo.png', status: 'A', additions: 0, deletions: 0, binary: true },
+    { path: 'old.css', status: 'D', additions: 0, deletions: 1, binary: false }
+  ]);
+  assert.deepEqual(summary.totals, { commits: 1, files: 4, additions: 3, deletions: 2 });
+});
+
+test('a branch that does not exist gives an empty summary', async () => {
+  const summary = await summarizeChanges(repo, { baseBranch: 'main', branch: 'goose/missing' });
+  assert.equal(summary.headCommit, null);
+  assert.deepEqual(summary.files, []);
+});
+
+async function compare(opts = {}) {
+  const [base, head] = await Promise.all([git(repo, ['rev-parse', 'main']), git(repo, ['rev-parse', 'goose/feature'])]);
+  return compareRefs(repo, { base, head, ...opts });
+}
+
+test('compare pages the diff by whole files', async () => {
+  const pages = [];
+  let cursor = 0;
+  while (cursor !== null) {
+    const { diff } = await compare({ cursor, maxBytes: 1024 });
+    pages.push(diff);
+    cursor = diff.nextCursor;
+  }
+  // Every file lands on exactly one page, in order, and its patch is complete
+  assert.deepEqual(pages.flatMap(p => p.files), ['blog/café menu.html', 'index.html', 'logo.png', 'old.css']);
+  const patch = pages.map(p => p.patch).join('');
+  assert.match(patch, /\+<p>crème brûlée<\/p>/);
+  assert.match(patch, /-body \{\}/);
+  assert.equal(pages.some(p => p.cut), false);
+});
+
+test('a file larger than a page is cut and paging moves on', async () => {
+  await git(repo, ['checkout', '-q', 'goose/feature']);
+  write('big.txt', 'line of text\n'.repeat(200));
+  await git(repo, ['add', '-A']);
+  await git(repo, ['commit', '-q', '-m', 'Big file']);
+  await git(repo, ['checkout', '-q', 'main']);
+  const { diff } = await compare({ maxBytes: 1024 });
+  assert.deepEqual(diff.files, ['big.txt']);
+  assert.equal(diff.cut, true);
+  assert.ok(Buffer.byteLength(diff.patch) <= 1024);
+  assert.equal(diff.nextCursor, 1);
+  // Put the branch back for the other tests
+  await git(repo, ['branch', '-q', '-f', 'goose/feature', 'goose/feature~1']);
+});
+
+test('compare limits files to the given paths, taken literally', async () => {
+  const result = await compare({ paths: ['blog/café menu.html'] });
+  assert.deepEqual(result.files.map(f => f.path), ['blog/café menu.html']);
+  assert.deepEqual(result.diff.files, ['blog/café menu.html']);
+  assert.equal((await compare({ paths: ['*.html'] })).files.length, 0);
+  assert.equal(result.ahead, 1);
+  assert.equal(result.behind, 0);
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronTime, isValidTimezone } from '../src/cron.js';
+
+// The next `count` matches after `from`, as ISO strings
+function upcoming(expression, timezone, from, count = 3) {
+  const cron = parseCron(expression);
+  const times = [];
+  let at = new Date(from);
+  for (let i = 0; i < count; i++) {
+    at = nextCronTime(cron, timezone, at);
+    times.push(at.toISOString());
+  }
+  return times;
+}
+
+test('parseCron expands lists, ranges, steps and names', () => {
+  const cron = parseCron('0,30 9-11 */10 JAN-MAR mon,FRI');
+  assert.deepEqual([...cron.minutes], [0, 30]);
+  assert.deepEqual([...cron.hours], [9, 10, 11]);
+  assert.deepEqual([...cron.dom], [1, 11, 21, 31]);
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.deepEqual([...cron.dow], [1, 5]);
+});
+
+test('parseCron accepts the @ shortcuts and 7 for Sunday', () => {
+  assert.deepEqual([...parseCron('@daily').hours], [0]);
+  assert.equal(parseCron('@weekly').dow.has(0), true);
+  assert.equal(parseCron('0 0 * * 7').dow.has(0), true);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /out of range/);
+  assert.throws(() => parseCron('* * * * FOO'), /invalid day-of-week value/);
+  assert.throws(() => parseCron('*/0 * * * *'), /invalid minute step/);
+  assert.throws(() => parseCron('* 5-2 * * *'), /invalid hour range/);
+});
+
+test('day-of-month and day-of-week fields starting with * are unrestricted', () => {
+  const cron = parseCron('0 0 */2 * MON');
+  assert.equal(cron.domRestricted, false);
+  assert.equal(cron.dowRestricted, true);
+  // Both have to match: odd days of the month that are Mondays
+  assert.deepEqual(upcoming('0 0 */2 * MON', 'UTC', '2026-10-18T12:00:00Z'), [
+    '2026-10-19T00:00:00.000Z',
+    '2026-11-09T00:00:00.000Z',
+    '2026-11-23T00:00:00.000Z'
+  ]);
+});
+
+test('a day matching either restricted day field fires', () => {
+  // The 1st of the month or any Monday
+  assert.deepEqual(upcoming('0 0 1 * MON', 'UTC', '2026-10-18T12:00:00Z'), [
+    '2026-10-19T00:00:00.000Z',
+    '2026-10-26T00:00:00.000Z',
+    '2026-11-01T00:00:00.000Z'
+  ]);
+});
+
+test('nextCronTime evaluates in the schedule timezone', () => {
+  // 07:00 in Sydney is 20:00 UTC the day before during daylight saving time (AEDT, UTC+11)
+  assert.deepEqual(upcoming('0 7 * * 1-5', 'Australia/Sydney', '2026-10-18T00:00:00Z', 2), [
+    '2026-10-18T20:00:00.000Z',
+    '2026-10-19T20:00:00.000Z'
+  ]);
+});
+
+test('nextCronTime is strictly after the given time', () => {
+  assert.deepEqual(upcoming('30 * * * *', 'UTC', '2026-10-19T10:30:00Z', 1), ['2026-10-19T11:30:00.000Z']);
+});
+
+test('nextCronTime fails for expressions that never match', () => {
+  assert.throws(() => nextCronTime(parseCron('0 0 31 2 *'), 'UTC', new Date('2026-01-01T00:00:00Z')), /never matches/);
+});
+
+test('isValidTimezone', () => {
+  assert.equal(isValidTimezone('Europe/Berlin'), true);
+  assert.equal(isValidTimezone('Mars/Base'), false);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { openJobStore, appendJobRecord, loadJobRecords, readLogTail } from '../src/job-store.js';
+import { initJobStore, getJob } from '../src/jobs.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-goose-jobstore-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const ids = { done: 'a'.repeat(24), running: 'b'.repeat(24), queued: 'c'.repeat(24) };
+const recordsFile = path.join(dir, 'jobs.jsonl');
+
+test('loading keeps the latest snapshot per job and compacts the file', () => {
+  openJobStore(dir);
+  appendJobRecord({ id: ids.done, status: 'queued' });
+  appendJobRecord({ id: ids.running, status: 'queued' });
+  appendJobRecord({ id: ids.done, status: 'running' });
+  appendJobRecord({ id: ids.queued, status: 'queued' });
+  appendJobRecord({ id: ids.running, status: 'running', pid: null, resultStatus: 'pending' });
+  appendJobRecord({ id: ids.done, status: 'completed', exitCode: 0 });
+  // A crash mid-write leaves a torn last line
+  fs.appendFileSync(recordsFile, '{"id":"' + ids.queued + '","sta');
+
+  const records = loadJobRecords();
+  assert.deepEqual(records.map(r => [r.id, r.status]), [
+    [ids.done, 'completed'], [ids.running, 'running'], [ids.queued, 'queued']
+  ]);
+  assert.equal(fs.readFileSync(recordsFile, 'utf8').trim().split('\n').length, 3);
+  assert.deepEqual(loadJobRecords(), records);
+});
+
+test('on startup running and queued jobs become interrupted', () => {
+  const { loaded, interrupted } = initJobStore({ dir });
+  assert.deepEqual({ loaded, interrupted }, { loaded: 3, interrupted: 2 });
+  assert.equal(getJob(ids.done).status, 'completed');
+  assert.equal(getJob(ids.running).status, 'interrupted');
+  assert.equal(getJob(ids.running).resultStatus, 'error');
+  assert.equal(getJob(ids.queued).status, 'interrupted');
+  // The new states are what the next startup reads back
+  assert.deepEqual(loadJobRecords().map(r => r.status), ['completed', 'interrupted', 'interrupted']);
+});
+
+test('a log tail is read from the end with its offset', () => {
+  fs.mkdirSync(path.join(dir, ids.done), { recursive: true });
+  fs.writeFileSync(path.join(dir, ids.done, 'stdout.log'), '0123456789');
+  assert.deepEqual(readLogTail(ids.done, 'stdout', 4), { buffer: Buffer.from('6789'), skipped: 6 });
+  assert.deepEqual(readLogTail(ids.queued, 'stdout', 4), { buffer: Buffer.alloc(0), skipped: 0 });
+  assert.throws(() => readLogTail('../etc', 'stdout', 4), /invalid job id/);
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startJob, configureJobs, onJobUpdate, getJob, ACTIVE_STATUSES } from '../src/jobs.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-goose-queue-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Stand-in for goose: 'run slow' takes a moment, anything else exits at once
+const goosePath = path.join(dir, 'goose');
+fs.writeFileSync(goosePath, '#!/bin/sh\n[ "$2" = slow ] && /bin/sleep 0.3\necho "done $*"\n', { mode: 0o755 });
+
+configureJobs({ maxConcurrency: 1, retentionMaxAgeMs: 0, retentionMaxJobs: 0 });
+
+function run(name, { priority = 0, goose = goosePath } = {}) {
+  return startJob({ command: 'run', args: [name], goosePath: goose, logMaxBytes: 64 * 1024, priority, meta: { task: name } }).jobId;
+}
+
+async function settled(ids) {
+  while (ids.some(id => ACTIVE_STATUSES.has(getJob(id).status))) await new Promise(r => setTimeout(r, 20));
+  return ids.map(id => getJob(id).status);
+}
+
+test('queued jobs start by priority, then in submission order', async () => {
+  const started = [];
+  const off = onJobUpdate((u) => {
+    if (u.kind === 'status' && u.status === 'running') started.push(getJob(u.jobId).task);
+  });
+  const ids = [run('slow'), run('low-1'), run('high', { priority: 5 }), run('low-2'), run('mid', { priority: 1 })];
+  assert.equal(getJob(ids[1]).status, 'queued');
+  assert.deepEqual(await settled(ids), ['completed', 'completed', 'completed', 'completed', 'completed']);
+  off();
+  assert.deepEqual(started, ['slow', 'high', 'mid', 'low-1', 'low-2']);
+});
+
+test('a job that cannot be launched fails and frees its slot', async () => {
+  // spawn() throws synchronously on a goose path that is not a string
+  const broken = run('broken', { goose: 42 });
+  const next = run('after');
+  assert.deepEqual(await settled([broken, next]), ['failed', 'completed']);
+  assert.ok(getJob(broken).finishedAt);
+});
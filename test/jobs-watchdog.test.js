@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startJob, configureJobs, stopJob, getJob, ACTIVE_STATUSES } from '../src/jobs.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-goose-watchdog-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Stand-in for goose. 'quiet' prints once and then hangs; 'stubborn' ignores SIGTERM and leaves a
+// child of its own running, whose pid it writes to the file named by its last argument.
+const goosePath = path.join(dir, 'goose');
+fs.writeFileSync(goosePath, `#!/bin/sh
+case "$2" in
+  quiet) echo started; exec /bin/sleep 30 ;;
+  stubborn) trap '' TERM; /bin/sleep 30 & echo $! > "$3"; wait ;;
+esac
+`, { mode: 0o755 });
+
+configureJobs({ maxConcurrency: 4, killGraceMs: 200, retentionMaxAgeMs: 0, retentionMaxJobs: 0 });
+
+function run(args, limits = {}) {
+  return startJob({ command: 'run', args, goosePath, logMaxBytes: 64 * 1024, ...limits }).jobId;
+}
+
+async function settled(id) {
+  while (ACTIVE_STATUSES.has(getJob(id).status)) await new Promise(r => setTimeout(r, 20));
+  return getJob(id);
+}
+
+async function gone(pid) {
+  for (let i = 0; i < 100; i++) {
+    try { process.kill(pid, 0); } catch (e) { if (e.code === 'ESRCH') return true; }
+    await new Promise(r => setTimeout(r, 20));
+  }
+  return false;
+}
+
+test('a job without output past the idle timeout is stopped with SIGTERM', async () => {
+  const job = await settled(run(['quiet'], { idleTimeoutMs: 200 }));
+  assert.equal(job.status, 'timed_out');
+  assert.equal(job.timeoutReason, 'idle');
+  assert.equal(job.exitSignal, 'SIGTERM');
+  assert.equal(job.killedAt, undefined);
+});
+
+test('a job past its max runtime that ignores SIGTERM is killed with its process group', async () => {
+  const pidFile = path.join(dir, 'runtime.pid');
+  const job = await settled(run(['stubborn', pidFile], { maxRuntimeMs: 300 }));
+  assert.equal(job.status, 'timed_out');
+  assert.equal(job.timeoutReason, 'max_runtime');
+  assert.equal(job.exitSignal, 'SIGKILL');
+  assert.ok(job.killedAt);
+  assert.equal(await gone(Number(fs.readFileSync(pidFile, 'utf8'))), true);
+});
+
+test('a cancel that has to escalate ends as killed', async () => {
+  const pidFile = path.join(dir, 'cancel.pid');
+  const id = run(['stubborn', pidFile]);
+  while (!fs.existsSync(pidFile) || !fs.readFileSync(pidFile, 'utf8').trim()) await new Promise(r => setTimeout(r, 20));
+  assert.equal(stopJob(id).status, 'stopping');
+  const job = await settled(id);
+  assert.equal(job.status, 'killed');
+  assert.equal(await gone(Number(fs.readFileSync(pidFile, 'utf8'))), true);
+});
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { configureLimits, checkRunLimits, usageReport } from '../src/limits.js';
+import { startJob, getJob, ACTIVE_STATUSES } from '../src/jobs.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-goose-limits-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const goosePath = path.join(dir, 'goose');
+fs.writeFileSync(goosePath, '#!/bin/sh\n/bin/sleep 0.3\n', { mode: 0o755 });
+
+configureLimits({ token: { runsPerHour: 3, activeJobs: 2 }, ip: { activeJobs: 1 } });
+
+function limited(fn, message) {
+  assert.throws(fn, (e) => e.code === 'RATE_LIMITED' && message.test(e.message) && e.retryAfterSeconds > 0);
+}
+
+test('a passing check reserves its runs until they are released', () => {
+  const release = checkRunLimits({ token: 'ci', runs: 2 });
+  assert.equal(usageReport({ token: 'ci' }).token.runsPerHour.used, 2);
+  limited(() => checkRunLimits({ token: 'ci', runs: 2 }), /token 'ci' reached 3 runs per hour/);
+  release();
+  assert.equal(usageReport({ token: 'ci' }).token.runsPerHour.used, 0);
+  checkRunLimits({ token: 'ci', runs: 3 })();
+});
+
+test('each reservation counts as an active job', () => {
+  const releases = [checkRunLimits({ token: 'ci' }), checkRunLimits({ token: 'ci' })];
+  limited(() => checkRunLimits({ token: 'ci' }), /token 'ci' already has 2 queued or running job\(s\) \(limit 2\)/);
+  releases.forEach(release => release());
+  checkRunLimits({ token: 'ci' })();
+});
+
+test('more runs than the hourly limit are refused outright', () => {
+  assert.throws(() => checkRunLimits({ token: 'ci', runs: 4 }), (e) => e.code === 'RATE_LIMITED' && e.retryAfterSeconds === null);
+});
+
+test('token and IP are limited separately', () => {
+  const release = checkRunLimits({ token: 'ci', ip: '10.0.0.1' });
+  limited(() => checkRunLimits({ token: 'other', ip: '10.0.0.1' }), /IP 10.0.0.1 already has 1/);
+  checkRunLimits({ token: 'ci', ip: '10.0.0.2' })();
+  release();
+  checkRunLimits({ token: 'other', ip: '10.0.0.1' })();
+});
+
+test('queued and running jobs in the history count once their reservation is released', async () => {
+  const release = checkRunLimits({ token: 'web' });
+  const { jobId } = startJob({ command: 'run', args: [], goosePath, logMaxBytes: 1024, meta: { requestedBy: 'web', requestedFrom: '10.0.0.9' } });
+  release();
+  assert.deepEqual(usageReport({ token: 'web' }).token.activeJobs, { used: 1, limit: 2 });
+  limited(() => checkRunLimits({ ip: '10.0.0.9' }), /IP 10.0.0.9 already has 1/);
+  while (ACTIVE_STATUSES.has(getJob(jobId).status)) await new Promise(r => setTimeout(r, 20));
+  checkRunLimits({ ip: '10.0.0.9' })();
+  assert.equal(usageReport({ token: 'web' }).token.runsPerHour.used, 1);
+});
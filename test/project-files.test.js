@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { projectPath, globMatcher } from '../src/project-files.js';
+
+const project = { name: 'site', dir: '/srv/projects/site' };
+
+test('projectPath normalizes to a clean relative path', () => {
+  assert.equal(projectPath(project), '');
+  assert.equal(projectPath(project, '.'), '');
+  assert.equal(projectPath(project, 'css/site.css'), 'css/site.css');
+  assert.equal(projectPath(project, './blog//posts/'), 'blog/posts');
+  assert.equal(projectPath(project, 'img\\logo.png'), 'img/logo.png');
+});
+
+test('projectPath refuses paths that leave the project', () => {
+  assert.throws(() => projectPath(project, '../other/index.html'), /escapes the project/);
+  assert.throws(() => projectPath(project, 'blog/../../other'), /escapes the project/);
+  assert.throws(() => projectPath(project, '..\\other'), /escapes the project/);
+  assert.throws(() => projectPath(project, '/etc/passwd'), /must be relative/);
+  assert.throws(() => projectPath(project, 'index.html\0.txt'), /invalid path/);
+});
+
+test('globMatcher without a pattern matches everything', () => {
+  assert.equal(globMatcher('')('any/file.txt'), true);
+  assert.equal(globMatcher(undefined)('file'), true);
+});
+
+test('a pattern without a slash matches the file name in any directory', () => {
+  const match = globMatcher('*.html');
+  assert.equal(match('index.html'), true);
+  assert.equal(match('blog/posts/first.html'), true);
+  assert.equal(match('css/site.css'), false);
+  assert.equal(globMatcher('post-?.md')('drafts/post-1.md'), true);
+  assert.equal(globMatcher('post-?.md')('drafts/post-10.md'), false);
+});
+
+test('a pattern with a slash matches the whole path', () => {
+  assert.equal(globMatcher('blog/*.html')('blog/index.html'), true);
+  assert.equal(globMatcher('blog/*.html')('blog/posts/first.html'), false);
+  assert.equal(globMatcher('blog/**/*.html')('blog/index.html'), true);
+  assert.equal(globMatcher('blog/**/*.html')('blog/posts/2024/first.html'), true);
+  assert.equal(globMatcher('blog/**')('blog/posts/first.html'), true);
+  assert.equal(globMatcher('blog/**')('about.html'), false);
+});
+
+test('regex characters in a pattern are literal', () => {
+  assert.equal(globMatcher('a+b (1).txt')('a+b (1).txt'), true);
+  assert.equal(globMatcher('file.txt')('fileXtxt'), false);
+});
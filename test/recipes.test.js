@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import YAML from 'yaml';
+import { initRecipes, listRecipes, renderRecipe, resolveRecipeParams } from '../src/recipes.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-goose-recipes-'));
+
+fs.writeFileSync(path.join(dir, 'banner.yaml'), `title: Sale banner
+description: Show a sale banner on the home page
+parameters:
+  - key: percent
+    input_type: number
+    requirement: required
+  - key: tone
+    input_type: select
+    requirement: optional
+    default: calm
+    options: [calm, loud]
+  - key: loud
+    input_type: boolean
+    requirement: optional
+    default: false
+  - key: until
+    input_type: date
+    requirement: optional
+    default: today
+  - key: note
+    input_type: string
+    requirement: user_prompt
+prompt: "Add a {{ percent }}% banner in a {{ tone }} tone until {{until}}. {{ note }}"
+`);
+fs.writeFileSync(path.join(dir, 'broken.yaml'), `title: Broken
+description: Uses an undeclared placeholder
+prompt: Hello {{ name }} {% if x %}
+`);
+
+initRecipes({ dir });
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function today() {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+test('the library lists valid and invalid recipes', () => {
+  const [banner, broken] = ['banner', 'broken'].map(name => listRecipes().find(r => r.name === name));
+  assert.equal(banner.valid, true);
+  assert.deepEqual(banner.parameters.map(p => [p.key, p.required]), [
+    ['percent', true], ['tone', false], ['loud', false], ['until', false], ['note', true]
+  ]);
+  assert.equal(broken.valid, false);
+  assert.match(broken.errors.join('\n'), /placeholder '\{\{ name \}\}' is not a declared parameter/);
+  assert.match(broken.errors.join('\n'), /unsupported template syntax/);
+  assert.throws(() => renderRecipe('broken'), /recipe 'broken' is invalid/);
+  assert.throws(() => renderRecipe('missing'), /recipe not found: missing/);
+});
+
+test('values are coerced to their input type and defaults are filled in', () => {
+  assert.deepEqual(resolveRecipeParams('banner', { percent: '15', loud: 'true', note: 'Thanks' }), {
+    percent: 15, tone: 'calm', loud: true, until: today(), note: 'Thanks'
+  });
+});
+
+test('bad values, unknown and missing parameters are refused', () => {
+  const base = { percent: 10, note: 'x' };
+  assert.throws(() => resolveRecipeParams('banner', { ...base, percent: 'ten' }), /'percent' must be a number/);
+  assert.throws(() => resolveRecipeParams('banner', { ...base, tone: 'angry' }), /'tone' must be one of calm, loud/);
+  assert.throws(() => resolveRecipeParams('banner', { ...base, loud: 'yes' }), /'loud' must be true or false/);
+  assert.throws(() => resolveRecipeParams('banner', { ...base, color: 'red' }), /has no parameter 'color'/);
+  // user_prompt parameters cannot be asked for in a headless run, so they are required
+  assert.throws(() => resolveRecipeParams('banner', { percent: 10 }), /requires parameter 'note'/);
+});
+
+test('date parameters take YYYY-MM-DD or today', () => {
+  const base = { percent: 10, note: 'x' };
+  assert.equal(resolveRecipeParams('banner', { ...base, until: '2024-02-29' }).until, '2024-02-29');
+  assert.equal(resolveRecipeParams('banner', { ...base, until: 'today' }).until, today());
+  for (const bad of ['2023-02-29', '2024-13-01', '24-01-01', 'next week', 20240101]) {
+    assert.throws(() => resolveRecipeParams('banner', { ...base, until: bad }), /'until' must be a YYYY-MM-DD date or 'today'/, String(bad));
+  }
+});
+
+test('rendering substitutes values as data, never as YAML', () => {
+  const note = 'Quote: "x"\nnext: line {{ tone }}';
+  const { doc, yaml, params } = renderRecipe('banner', { percent: 20, tone: 'loud', until: '2030-01-01', note });
+  assert.equal(doc.prompt, `Add a 20% banner in a loud tone until 2030-01-01. ${note}`);
+  assert.equal(doc.parameters, undefined);
+  assert.deepEqual(YAML.parse(yaml), doc);
+  assert.equal(params.percent, 20);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { configureRunOptions, resolveRunOptions, describeRunOptions } from '../src/run-options.js';
+
+// Each test starts from no allowlist, no turn cap and no goose defaults in the environment
+function reset(t, { models = [], maxTurns = 0, env = {} } = {}) {
+  configureRunOptions({ models, maxTurns });
+  const saved = {};
+  for (const key of ['GOOSE_PROVIDER', 'GOOSE_MODEL', 'GOOSE_MAX_TURNS']) {
+    saved[key] = process.env[key];
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  }
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+}
+
+test('without options the server defaults apply and no flags are added', (t) => {
+  reset(t, { env: { GOOSE_PROVIDER: 'openai', GOOSE_MODEL: 'gpt-4o', GOOSE_MAX_TURNS: '30' } });
+  const { args, effective } = resolveRunOptions({});
+  assert.deepEqual(args, []);
+  assert.deepEqual(effective, { provider: 'openai', model: 'gpt-4o', maxTurns: 30, explain: false, debug: false });
+});
+
+test('provider and model are refused without RUN_MODEL_ALLOW', (t) => {
+  reset(t);
+  assert.throws(() => resolveRunOptions({ model: 'gpt-4o' }), /RUN_MODEL_ALLOW is not set/);
+  assert.throws(() => resolveRunOptions({ provider: 'openai' }), /RUN_MODEL_ALLOW is not set/);
+  assert.throws(() => resolveRunOptions({}, { GOOSE_MODEL: 'gpt-4o' }), /RUN_MODEL_ALLOW is not set/);
+});
+
+test('provider and model are checked against the allowlist', (t) => {
+  reset(t, { models: ['openai:gpt-4o*', 'claude-3-5-haiku*'], env: { GOOSE_PROVIDER: 'openai' } });
+  assert.deepEqual(resolveRunOptions({ model: 'gpt-4o-mini' }).args, ['--model', 'gpt-4o-mini']);
+  // A bare model in the allowlist matches any provider
+  assert.deepEqual(resolveRunOptions({ provider: 'anthropic', model: 'claude-3-5-haiku-latest' }).args,
+    ['--provider', 'anthropic', '--model', 'claude-3-5-haiku-latest']);
+  assert.throws(() => resolveRunOptions({ model: 'o1' }), /model not allowed: openai \/ o1/);
+  assert.deepEqual(describeRunOptions().allowedModels, ['openai:gpt-4o*', '*:claude-3-5-haiku*']);
+});
+
+test('an env override goes through the same checks and must agree with the option', (t) => {
+  reset(t, { models: ['openai:*'], env: { GOOSE_PROVIDER: 'openai' } });
+  // Env overrides reach goose as env, so they add no flags
+  assert.deepEqual(resolveRunOptions({}, { GOOSE_MODEL: 'gpt-4o' }), {
+    args: [],
+    effective: { provider: 'openai', model: 'gpt-4o', maxTurns: null, explain: false, debug: false }
+  });
+  assert.throws(() => resolveRunOptions({ model: 'gpt-4o' }, { GOOSE_MODEL: 'o1' }), /conflicts with env.GOOSE_MODEL/);
+  assert.throws(() => resolveRunOptions({}, { GOOSE_PROVIDER: 'anthropic' }), /model not allowed/);
+});
+
+test('maxTurns must be a positive integer within RUN_MAX_TURNS_LIMIT', (t) => {
+  reset(t, { maxTurns: 20 });
+  assert.deepEqual(resolveRunOptions({ maxTurns: 20 }).args, ['--max-turns', '20']);
+  assert.throws(() => resolveRunOptions({ maxTurns: 21 }), /cannot exceed 20/);
+  assert.throws(() => resolveRunOptions({}, { GOOSE_MAX_TURNS: '50' }), /cannot exceed 20/);
+  assert.throws(() => resolveRunOptions({ maxTurns: 0 }), /positive integer/);
+  assert.throws(() => resolveRunOptions({ maxTurns: 2.5 }), /positive integer/);
+});
+
+test('explain and debug become flags', (t) => {
+  reset(t);
+  assert.deepEqual(resolveRunOptions({ explain: true, debug: true }).args, ['--explain', '--debug']);
+  assert.throws(() => resolveRunOptions({ debug: 'yes' }), /debug must be a boolean/);
+});
+
+test('provider and model names are validated', (t) => {
+  reset(t, { models: ['*'] });
+  assert.throws(() => resolveRunOptions({ model: 'gpt 4o' }), /invalid model/);
+  assert.throws(() => resolveRunOptions({ provider: '--config=x;rm' }), /invalid provider/);
+});
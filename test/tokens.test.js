@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { initTokens, hasRole, authenticateToken, tokenIdentity, listTokens, createToken, rotateToken, revokeToken } from '../src/tokens.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-goose-tokens-'));
+const file = path.join(dir, 'tokens.json');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('roles are ordered viewer < runner < admin', () => {
+  assert.equal(hasRole('admin', 'runner'), true);
+  assert.equal(hasRole('runner', 'runner'), true);
+  assert.equal(hasRole('viewer', 'runner'), false);
+  assert.equal(hasRole('runner', 'admin'), false);
+});
+
+test('without AUTH_TOKEN the last admin token cannot be revoked', () => {
+  initTokens({ file, bootstrapToken: '' });
+  const admin = createToken({ name: 'owner', role: 'admin' });
+  assert.deepEqual(authenticateToken(admin.token), { name: 'owner', role: 'admin' });
+  assert.throws(() => revokeToken('owner'), /cannot revoke the last admin token/);
+});
+
+test('AUTH_TOKEN is an admin token that cannot be changed', () => {
+  initTokens({ file, bootstrapToken: 'bootstrap-secret' });
+  assert.deepEqual(authenticateToken('bootstrap-secret'), { name: 'AUTH_TOKEN', role: 'admin' });
+  assert.equal(listTokens()[0].source, 'environment');
+  assert.throws(() => rotateToken('AUTH_TOKEN'), /cannot be changed here/);
+  assert.throws(() => createToken({ name: 'AUTH_TOKEN', role: 'viewer' }), /invalid token name/);
+});
+
+test('named tokens carry their role, and rotation and revocation end the old secret', () => {
+  const ci = createToken({ name: 'ci', role: 'runner', createdBy: 'AUTH_TOKEN' });
+  assert.match(ci.token, /^mcpg_/);
+  assert.equal(ci.hash, undefined);
+  assert.deepEqual(authenticateToken(ci.token), { name: 'ci', role: 'runner' });
+  assert.throws(() => createToken({ name: 'ci', role: 'viewer' }), /token already exists: ci/);
+  assert.throws(() => createToken({ name: 'bad name', role: 'viewer' }), /invalid token name/);
+  assert.throws(() => createToken({ name: 'x', role: 'owner' }), /role must be one of viewer, runner, admin/);
+
+  const rotated = rotateToken('ci');
+  assert.equal(authenticateToken(ci.token), null);
+  assert.deepEqual(authenticateToken(rotated.token), { name: 'ci', role: 'runner' });
+  assert.equal(tokenIdentity('ci').issuedAt, rotated.rotatedAt);
+
+  revokeToken('ci');
+  assert.equal(authenticateToken(rotated.token), null);
+  assert.equal(tokenIdentity('ci'), null);
+  assert.throws(() => rotateToken('ci'), /token not found: ci/);
+  // A revoked name can be issued again
+  assert.equal(createToken({ name: 'ci', role: 'viewer' }).role, 'viewer');
+});
+
+test('only hashes of the tokens are stored', () => {
+  const { token } = createToken({ name: 'dash', role: 'viewer' });
+  const stored = fs.readFileSync(file, 'utf8');
+  assert.equal(stored.includes(token), false);
+  assert.equal(JSON.parse(stored).find(t => t.name === 'dash').hash.length, 64);
+});
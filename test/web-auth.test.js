@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { initTokens, createToken, rotateToken } from '../src/tokens.js';
+import { registerWebAuthRoutes, requireWebRole, LOGIN_PATH, LOGOUT_PATH } from '../src/web-auth.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-goose-webauth-'));
+initTokens({ file: path.join(dir, 'tokens.json'), bootstrapToken: '' });
+const runner = createToken({ name: 'editor', role: 'runner' });
+const viewer = createToken({ name: 'reader', role: 'viewer' });
+
+const app = express();
+registerWebAuthRoutes(app);
+app.get('/panel', requireWebRole('viewer'), (req, res) => res.json({ caller: req.auth.clientId, csrf: req.csrfToken }));
+app.post('/api/run', express.json(), requireWebRole('runner'), (req, res) => res.json({ ok: true }));
+
+let base;
+let server;
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(r => server.once('listening', r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function request(pathname, { method = 'GET', headers = {}, form, json } = {}) {
+  const body = form ? new URLSearchParams(form) : json ? JSON.stringify(json) : undefined;
+  if (json) headers = { 'content-type': 'application/json', ...headers };
+  return fetch(base + pathname, { method, headers, body, redirect: 'manual' });
+}
+
+// Signs in and returns the session cookie and its CSRF token
+async function signIn(token) {
+  const res = await request(LOGIN_PATH, { method: 'POST', form: { token, next: '/panel' } });
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get('location'), '/panel');
+  assert.match(res.headers.get('set-cookie'), /HttpOnly; SameSite=Lax/);
+  const cookie = res.headers.get('set-cookie').split(';')[0];
+  const { csrf } = await (await request('/panel', { headers: { cookie } })).json();
+  return { cookie, csrf };
+}
+
+test('pages redirect to the login form and APIs answer 401 without a session', async () => {
+  const page = await request('/panel', { headers: { accept: 'text/html' } });
+  assert.equal(page.status, 302);
+  assert.equal(page.headers.get('location'), `${LOGIN_PATH}?next=%2Fpanel`);
+  assert.equal((await request('/api/run', { method: 'POST', json: {} })).status, 401);
+  assert.equal((await request(LOGIN_PATH, { method: 'POST', form: { token: 'nope' } })).status, 401);
+});
+
+test('the login form only redirects within the site', async () => {
+  for (const next of ['//evil.example', 'https://evil.example', '/\\evil.example']) {
+    const res = await request(LOGIN_PATH, { method: 'POST', form: { token: runner.token, next } });
+    assert.equal(res.headers.get('location'), '/', next);
+  }
+});
+
+test('a POST with the session cookie needs its CSRF token', async () => {
+  const { cookie, csrf } = await signIn(runner.token);
+  assert.ok(csrf);
+  const without = await request('/api/run', { method: 'POST', headers: { cookie }, json: {} });
+  assert.equal(without.status, 403);
+  assert.match((await without.json()).error, /CSRF/);
+  assert.equal((await request('/api/run', { method: 'POST', headers: { cookie, 'x-csrf-token': 'forged' }, json: {} })).status, 403);
+  assert.equal((await request('/api/run', { method: 'POST', headers: { cookie, 'x-csrf-token': csrf }, json: {} })).status, 200);
+  // Sign-out is a POST too
+  assert.equal((await request(LOGOUT_PATH, { method: 'POST', headers: { cookie }, form: {} })).status, 403);
+  assert.equal((await request(LOGOUT_PATH, { method: 'POST', headers: { cookie }, form: { csrf } })).status, 303);
+  assert.equal((await request('/panel', { headers: { cookie } })).status, 401);
+});
+
+test('a bearer token needs no CSRF token', async () => {
+  const res = await request('/api/run', { method: 'POST', headers: { authorization: `Bearer ${runner.token}` }, json: {} });
+  assert.equal(res.status, 200);
+});
+
+test('the role is checked for sessions too', async () => {
+  const { cookie, csrf } = await signIn(viewer.token);
+  const res = await request('/api/run', { method: 'POST', headers: { cookie, 'x-csrf-token': csrf }, json: {} });
+  assert.equal(res.status, 403);
+  assert.match((await res.json()).error, /requires the runner role/);
+});
+
+test('rotating a token ends its sessions', async () => {
+  const { cookie } = await signIn(runner.token);
+  rotateToken('editor');
+  assert.equal((await request('/panel', { headers: { cookie } })).status, 401);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { initWebhooks, addWebhook, listWebhooks, testWebhook, recentDeliveries } from '../src/webhooks.js';
+import { startJob, getJob, ACTIVE_STATUSES } from '../src/jobs.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-goose-webhooks-'));
+const goosePath = path.join(dir, 'goose');
+fs.writeFileSync(goosePath, '#!/bin/sh\necho "all done"\n', { mode: 0o755 });
+
+// Receiver: records every delivery; /reject answers 400
+const received = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (d) => { body += d; });
+  req.on('end', () => {
+    received.push({ path: req.url, headers: req.headers, body });
+    res.statusCode = req.url === '/reject' ? 400 : 204;
+    res.end();
+  });
+});
+let base;
+test.before(async () => {
+  receiver.listen(0, '127.0.0.1');
+  await new Promise(r => receiver.once('listening', r));
+  base = `http://127.0.0.1:${receiver.address().port}`;
+  initWebhooks({ file: path.join(dir, 'webhooks.json') });
+});
+test.after(() => {
+  receiver.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function hmac(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+test('a delivery is signed over the timestamp and body with the hook secret', async () => {
+  const hook = addWebhook({ url: `${base}/signed`, events: ['job.failed'], secret: 'hook-secret' });
+  assert.equal(hook.signed, true);
+  assert.equal(JSON.stringify(listWebhooks()).includes('hook-secret'), false);
+  const result = await testWebhook(hook.id);
+  assert.equal(result.ok, true);
+  const { headers, body } = received.find(r => r.path === '/signed');
+  assert.equal(headers['x-goose-event'], 'webhook.ping');
+  assert.equal(headers['x-goose-delivery'], JSON.parse(body).deliveryId);
+  assert.equal(headers['x-goose-signature'], hmac('hook-secret', headers['x-goose-timestamp'], body));
+});
+
+test('a hook without a secret sends no signature', async () => {
+  const hook = addWebhook({ url: `${base}/plain` });
+  assert.equal(hook.signed, false);
+  await testWebhook(hook.id);
+  assert.equal(received.find(r => r.path === '/plain').headers['x-goose-signature'], undefined);
+});
+
+test('a 4xx answer is not retried', async () => {
+  const hook = addWebhook({ url: `${base}/reject`, events: ['job.canceled'], secret: 'x' });
+  const result = await testWebhook(hook.id);
+  assert.deepEqual([result.ok, result.status, result.attempts, result.lastError], [false, 'failed', 1, 'HTTP 400']);
+});
+
+test('job lifecycle events reach the hooks that subscribe to them', async () => {
+  addWebhook({ url: `${base}/jobs`, events: ['job.started', 'job.succeeded'], secret: 'jobs-secret' });
+  received.length = 0;
+  const { jobId } = startJob({ command: 'run', args: [], goosePath, logMaxBytes: 1024 });
+  while (ACTIVE_STATUSES.has(getJob(jobId).status)) await new Promise(r => setTimeout(r, 20));
+  while (recentDeliveries().some(d => d.status === 'pending')) await new Promise(r => setTimeout(r, 20));
+  // Only /jobs subscribes to job.started or job.succeeded; /plain gets every event
+  const jobs = received.filter(r => r.path === '/jobs').map(r => JSON.parse(r.body));
+  assert.deepEqual(jobs.map(p => p.event).sort(), ['job.started', 'job.succeeded']);
+  const succeeded = jobs.find(p => p.event === 'job.succeeded');
+  assert.equal(succeeded.job.jobId, jobId);
+  assert.equal(succeeded.job.status, 'completed');
+  assert.match(succeeded.logTail, /all done/);
+  assert.equal(received.filter(r => r.path === '/signed' || r.path === '/reject').length, 0);
+  for (const { headers, body } of received.filter(r => r.path === '/jobs')) {
+    assert.equal(headers['x-goose-signature'], hmac('jobs-secret', headers['x-goose-timestamp'], body));
+  }
+});
+
+test('hooks added with the tool are saved with their secrets', () => {
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'webhooks.json'), 'utf8'));
+  assert.deepEqual(saved.map(h => h.url.replace(base, '')), ['/signed', '/plain', '/reject', '/jobs']);
+  assert.equal(saved[0].secret, 'hook-secret');
+});
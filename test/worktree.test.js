@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { git, withWorktreeLock } from '../src/git.js';
+import { createJobWorktree, finalizeJobWorktree, pruneJobWorktrees } from '../src/worktree.js';
+import { ensureGuidanceReadme } from '../src/publish.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-goose-worktree-'));
+const repo = path.join(root, 'site');
+const worktreesDir = path.join(root, 'worktrees');
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com'
+});
+
+test.before(async () => {
+  fs.mkdirSync(repo);
+  await git(repo, ['init', '-q', '-b', 'main']);
+  fs.writeFileSync(path.join(repo, 'index.html'), '<h1>hi</h1>\n');
+  await git(repo, ['add', '-A']);
+  await git(repo, ['commit', '-q', '-m', 'init']);
+});
+
+test('worktree operations on one repository run one at a time', async () => {
+  let running = 0;
+  let overlapped = false;
+  const op = () => withWorktreeLock(repo, async () => {
+    running++;
+    if (running > 1) overlapped = true;
+    await new Promise(r => setTimeout(r, 10));
+    running--;
+  });
+  const failing = withWorktreeLock(repo, async () => { throw new Error('boom'); });
+  await Promise.all([op(), assert.rejects(failing, /boom/), op(), op()]);
+  assert.equal(overlapped, false);
+});
+
+test('concurrent job worktrees are created and removed without conflicts', async () => {
+  const ids = ['a1', 'a2', 'a3', 'a4', 'a5'];
+  const created = await Promise.all(ids.map(jobId => createJobWorktree(repo, worktreesDir, { jobId, baseBranch: 'main' })));
+  const finalized = await Promise.all(created.map((wt, i) => finalizeJobWorktree(repo, { dir: wt.dir, jobId: ids[i] })));
+  assert.deepEqual(finalized.map(f => f.removed), ids.map(() => true));
+  assert.deepEqual(fs.readdirSync(worktreesDir), []);
+});
+
+test('the unchanged guidance README does not keep a worktree', async () => {
+  const wt = await createJobWorktree(repo, worktreesDir, { jobId: 'readme', baseBranch: 'main' });
+  assert.equal(await ensureGuidanceReadme(wt.dir), true);
+  // Left behind by a restart: the startup cleanup removes it
+  const [result] = await pruneJobWorktrees([repo], worktreesDir);
+  assert.equal(result.removed, true);
+  assert.equal(fs.existsSync(wt.dir), false);
+});
+
+test('a worktree with real uncommitted changes is kept, and commits get a branch', async () => {
+  const wt = await createJobWorktree(repo, worktreesDir, { jobId: 'dirty', baseBranch: 'main' });
+  await ensureGuidanceReadme(wt.dir);
+  fs.appendFileSync(path.join(wt.dir, 'README.md'), '\nEdited by goose\n');
+  fs.writeFileSync(path.join(wt.dir, 'about.html'), '<p>about</p>\n');
+  await git(wt.dir, ['add', 'about.html']);
+  await git(wt.dir, ['commit', '-q', '-m', 'about']);
+  const result = await finalizeJobWorktree(repo, { dir: wt.dir, jobId: 'dirty' });
+  assert.deepEqual(result, { branch: 'goose/dirty', removed: false });
+  assert.equal(fs.existsSync(path.join(wt.dir, 'README.md')), true);
+});